@@ -5,13 +5,11 @@
  * Critical patterns:
  * - Does NOT use CLI prompts (@inquirer/prompts, readline) - Tabnine handles UI
  * - Presents options through console output, lets Tabnine UI handle confirmation
- * - Logs decisions to STATE.md Key Decisions table atomically
- * - Uses state-manager.js and file-ops.js for file operations
+ * - Logs decisions to the state document; STATE.md Key Decisions table is re-rendered
+ * - Uses state-store.js for state.json persistence and snapshot-backed STATE.md writes
  */
 
-import { readState } from './state-manager.js';
-import { readFile, writeFileAtomic } from './file-ops.js';
-import path from 'node:path';
+import { loadStateDocument, saveStateDocument } from './state-store.js';
 
 /**
  * Prepare approval gate context for Tabnine UI
@@ -62,7 +60,7 @@ export function prepareApprovalGate(gateName, options) {
 
 /**
  * Log approval decision to STATE.md Key Decisions table
- * Appends new decision row atomically
+ * Appends to state.json decisions and regenerates STATE.md atomically
  *
  * @param {string} projectRoot - Root directory of the project
  * @param {string} gateName - Decision point name
@@ -72,34 +70,21 @@ export function prepareApprovalGate(gateName, options) {
  */
 export async function logApprovalDecision(projectRoot, gateName, selectedOption, rationale) {
   try {
-    // Read current STATE.md
-    const state = await readState(projectRoot);
-    const statePath = path.join(projectRoot, '.planning', 'STATE.md');
+    // Load structured state (imports a legacy STATE.md on first use)
+    const document = await loadStateDocument(projectRoot);
 
-    // Prepare decision entry
+    // Append decision entry; STATE.md Key Decisions table is re-rendered on save
     const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-    const decision = `| [APPROVAL GATE] ${gateName}: ${selectedOption} | ${date} | ${rationale} |`;
+    document.decisions.push({
+      decision: `[APPROVAL GATE] ${gateName}: ${selectedOption}`,
+      date,
+      rationale
+    });
 
-    // Get raw content
-    let content = state.rawContent;
-
-    // Find the Key Decisions table and append new row
-    // Pattern: ## Key Decisions\n| Decision | Date | Rationale |\n|---|---|---|\n(existing rows)
-    const tableRegex = /(## Key Decisions\s+\| Decision \| Date \| Rationale \|\s+\|[-|]+\|[^\n]*\n)((?:\|[^\n]+\n)*)/;
-    const tableMatch = content.match(tableRegex);
-
-    if (tableMatch) {
-      // Insert new decision after existing rows
-      const tableStart = tableMatch[1];
-      const tableRows = tableMatch[2];
-      const newTable = tableStart + tableRows + decision + '\n';
-      content = content.replace(tableMatch[0], newTable);
-    } else {
-      throw new Error('Could not find Key Decisions table in STATE.md');
-    }
-
-    // Write atomically
-    await writeFileAtomic(statePath, content);
+    await saveStateDocument(projectRoot, document, {
+      operation: 'logApprovalDecision',
+      actor: 'approval-gate'
+    });
 
     return {
       logged: true,
@@ -0,0 +1,402 @@
+/**
+ * Artifact Fixer Module
+ * Repairs the structural problems validateArtifact reports, in place
+ *
+ * Critical patterns:
+ * - Missing sections inserted where the template puts them (before the next section present, in template order);
+ *   sections and fields the project's validation rules require are repaired the same way
+ * - Missing required frontmatter fields filled from schema defaults (phase/plan derived from the file path)
+ * - Key Decisions table header repaired to the schema's columns
+ * - markdownlint's automatic fixes applied last
+ * - Diff shown before writing; file written atomically (or not at all with dryRun)
+ * - Problems with no safe automatic fix are reported, never guessed at
+ *
+ * CLI usage:
+ * - node gsd/scripts/validator.js --artifact=.planning/PROJECT.md --type=PROJECT --fix
+ * - node gsd/scripts/validator.js --artifact=.planning/PROJECT.md --type=PROJECT --fix --dry-run
+ */
+
+import frontmatter from 'front-matter';
+import markdownlint from 'markdownlint';
+import { resolveArtifactRules, lintMarkdown } from './validator.js';
+import { readFile, writeFileAtomic } from './file-ops.js';
+import { expandTemplate } from './template-renderer.js';
+import { PHASE_PATTERN } from './phase-numbers.js';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Default templates directory (gsd/templates, relative to this script)
+ */
+const DEFAULT_TEMPLATES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'templates');
+
+/**
+ * Body of an inserted section (the same placeholder the templates use)
+ */
+const PLACEHOLDER = '(To be completed)';
+
+/**
+ * Lines of context around each diff hunk
+ */
+const DIFF_CONTEXT = 2;
+
+/**
+ * Read the order of ## sections and <tag> blocks from a template body (partials and layout expanded)
+ * @param {string} templatesDir - Templates directory
+ * @param {string|null} template - Template name (without .md)
+ * @returns {Promise<{sections: string[], tags: string[]}>} Markers in template order (empty without a template)
+ */
+async function loadTemplateOrder(templatesDir, template) {
+  if (!template) {
+    return { sections: [], tags: [] };
+  }
+  const body = await expandTemplate(template, templatesDir);
+  return {
+    sections: [...body.matchAll(/^## ([^\n$]+)$/gm)].map(match => match[1].trim()),
+    tags: [...body.matchAll(/^<([a-z_]+)>$/gm)].map(match => match[1])
+  };
+}
+
+/**
+ * Order required markers by the template, then any the template does not list
+ * @param {string[]} required - Required section names or tags
+ * @param {string[]} templateOrder - Markers in template order
+ * @returns {string[]} Ordering used to place insertions
+ */
+function mergeOrder(required, templateOrder) {
+  return [...templateOrder, ...required.filter(item => !templateOrder.includes(item))];
+}
+
+/**
+ * Insert missing blocks, each before the next present block in order (else after the previous one, else at the end)
+ *
+ * @param {string[]} lines - Body lines (mutated)
+ * @param {string[]} missing - Missing markers
+ * @param {string[]} order - All markers in template order
+ * @param {Function} findStart - (lines, marker) → index of the block's first line, or -1
+ * @param {Function} findEnd - (lines, startIndex) → index just past the block
+ * @param {Function} render - marker → lines to insert
+ * @returns {void}
+ */
+function insertBlocks(lines, missing, order, findStart, findEnd, render) {
+  for (const marker of missing) {
+    const position = order.indexOf(marker);
+    const next = order.slice(position + 1).map(item => findStart(lines, item)).find(index => index !== -1);
+    const previous = order.slice(0, position).reverse().map(item => findStart(lines, item)).find(index => index !== -1);
+
+    if (next !== undefined) {
+      lines.splice(next, 0, ...render(marker));
+    } else if (previous !== undefined) {
+      lines.splice(findEnd(lines, previous), 0, ...render(marker));
+    } else {
+      let at = lines.length;
+      while (at > 0 && lines[at - 1].trim() === '') {
+        at--;
+      }
+      lines.splice(at, 0, '', ...render(marker));
+    }
+  }
+}
+
+/**
+ * Find the line index of a "## Section" heading
+ * @param {string[]} lines - Body lines
+ * @param {string} section - Section name
+ * @returns {number} Index or -1
+ */
+function findSection(lines, section) {
+  return lines.findIndex(line => line.trimEnd() === `## ${section}`);
+}
+
+/**
+ * Find where a ## section ends (next ## heading or horizontal rule footer, else end of file)
+ * @param {string[]} lines - Body lines
+ * @param {number} start - Heading index
+ * @returns {number} Index just past the section
+ */
+function findSectionEnd(lines, start) {
+  const end = lines.findIndex((line, i) => i > start && (/^## /.test(line) || /^---\s*$/.test(line)));
+  return end === -1 ? lines.length : end;
+}
+
+/**
+ * Split a table row into trimmed cells
+ * @param {string} line - Table row
+ * @returns {string[]} Cells
+ */
+function tableCells(line) {
+  return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+}
+
+/**
+ * Repair the Key Decisions table header (insert it when missing, replace it when its columns are wrong)
+ * @param {string[]} lines - Body lines (mutated)
+ * @param {string[]} header - Expected column names
+ * @returns {string|null} Description of the change, or null
+ */
+function repairDecisionsHeader(lines, header) {
+  const heading = lines.findIndex(line => /^#{2,3}\s+Key Decisions\s*$/.test(line));
+  if (heading === -1) {
+    return null;
+  }
+  const end = lines.findIndex((line, i) => i > heading && /^#{1,3}\s/.test(line));
+  const first = lines.findIndex((line, i) => i > heading && (end === -1 || i < end) && line.trim().startsWith('|'));
+  if (first === -1) {
+    return null;
+  }
+
+  const expected = [`| ${header.join(' | ')} |`, `|${header.map(name => '-'.repeat(name.length + 2)).join('|')}|`];
+  const hasDelimiter = lines[first + 1] !== undefined && /^\s*\|?\s*:?-{3,}/.test(lines[first + 1]);
+  const matches = tableCells(lines[first]).map(cell => cell.toLowerCase()).join('|') ===
+    header.map(name => name.toLowerCase()).join('|');
+
+  if (hasDelimiter && matches) {
+    return null;
+  }
+  if (hasDelimiter) {
+    lines.splice(first, 2, ...expected);
+    return `Replaced Key Decisions table header with: ${header.join(', ')}`;
+  }
+  lines.splice(first, 0, ...expected);
+  return `Added Key Decisions table header: ${header.join(', ')}`;
+}
+
+/**
+ * Derive frontmatter values a plan-scoped artifact can take from its path
+ * @param {string} filePath - Artifact path (e.g. .planning/phases/01-setup/01-02-PLAN.md)
+ * @returns {Object} { phase, plan } when the path follows the phase/plan naming
+ */
+function deriveFromPath(filePath) {
+  const derived = {};
+  const dir = path.basename(path.dirname(filePath));
+  if (new RegExp(`^${PHASE_PATTERN}-`).test(dir)) {
+    derived.phase = dir;
+  }
+  const plan = path.basename(filePath).match(new RegExp(`^${PHASE_PATTERN}-(\\d+)-`));
+  if (plan) {
+    derived.plan = Number(plan[1]);
+  }
+  return derived;
+}
+
+/**
+ * Format a frontmatter value as a YAML scalar or flow collection
+ * @param {*} value - Value
+ * @returns {string} YAML text
+ */
+function toYaml(value) {
+  return typeof value === 'string' && /^[\w./-]+$/.test(value) ? value : JSON.stringify(value);
+}
+
+/**
+ * Fill missing required frontmatter fields
+ * @param {string} content - Artifact content
+ * @param {Object} metadataSchema - JSON Schema for the frontmatter
+ * @param {string} filePath - Artifact path (phase/plan derivation)
+ * @returns {{content: string, changes: string[], unfixed: string[]}} Updated content and what changed
+ */
+function fillFrontmatter(content, metadataSchema, filePath) {
+  const required = metadataSchema.required || [];
+  if (required.length === 0) {
+    return { content, changes: [], unfixed: [] };
+  }
+
+  let attributes = {};
+  let hasBlock = false;
+  try {
+    const parsed = frontmatter(content);
+    attributes = parsed.attributes;
+    hasBlock = parsed.frontmatter !== undefined;
+  } catch (error) {
+    return { content, changes: [], unfixed: [`Frontmatter is not valid YAML (${error.message.split('\n')[0]}); fix it by hand`] };
+  }
+
+  const derived = deriveFromPath(filePath);
+  const additions = [];
+  const unfixed = [];
+  for (const field of required.filter(name => attributes[name] === undefined)) {
+    const value = derived[field] !== undefined ? derived[field] : metadataSchema.properties?.[field]?.default;
+    if (value === undefined) {
+      unfixed.push(`Frontmatter field "${field}" has no default; add it by hand`);
+    } else {
+      additions.push([field, value]);
+    }
+  }
+  if (additions.length === 0) {
+    return { content, changes: [], unfixed };
+  }
+
+  const yaml = additions.map(([field, value]) => `${field}: ${toYaml(value)}`);
+  const updated = hasBlock
+    ? content.replace(/^(---\r?\n[\s\S]*?\r?\n)(---)/, (match, head, close) => `${head}${yaml.join('\n')}\n${close}`)
+    : `---\n${yaml.join('\n')}\n---\n\n${content}`;
+
+  return {
+    content: updated,
+    changes: additions.map(([field, value]) => `Added frontmatter ${field}: ${toYaml(value)}`),
+    unfixed
+  };
+}
+
+/**
+ * Produce a unified diff of two texts (line-based LCS, common prefix/suffix trimmed first)
+ *
+ * @param {string} before - Original text
+ * @param {string} after - Updated text
+ * @param {string} filePath - Path shown in the diff header
+ * @returns {string} Unified diff, or '' when the texts are equal
+ */
+export function formatDiff(before, after, filePath) {
+  if (before === after) {
+    return '';
+  }
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+
+  // LCS table over the differing middle
+  const width = midB.length + 1;
+  const table = new Uint32Array((midA.length + 1) * width);
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      table[i * width + j] = midA[i] === midB[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  // Edit script: [' ' | '-' | '+', text, oldLine, newLine] (1-based line numbers)
+  const ops = a.slice(0, prefix).map((text, i) => [' ', text, i + 1, i + 1]);
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      ops.push([' ', midA[i], prefix + i + 1, prefix + j + 1]);
+      i++;
+      j++;
+    } else if (j < midB.length && (i === midA.length || table[i * width + j + 1] >= table[(i + 1) * width + j])) {
+      ops.push(['+', midB[j], prefix + i + 1, prefix + j + 1]);
+      j++;
+    } else {
+      ops.push(['-', midA[i], prefix + i + 1, prefix + j + 1]);
+      i++;
+    }
+  }
+  a.slice(a.length - suffix).forEach((text, k) => {
+    ops.push([' ', text, a.length - suffix + k + 1, b.length - suffix + k + 1]);
+  });
+
+  // Group changes into hunks with context
+  const output = [`--- a/${filePath}`, `+++ b/${filePath}`];
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k][0] === ' ') {
+      k++;
+      continue;
+    }
+    const start = Math.max(0, k - DIFF_CONTEXT);
+    let end = k;
+    while (end < ops.length) {
+      if (ops[end][0] !== ' ') {
+        end++;
+        continue;
+      }
+      const nextChange = ops.findIndex((op, index) => index >= end && op[0] !== ' ');
+      if (nextChange === -1 || nextChange - end > DIFF_CONTEXT * 2) {
+        end = Math.min(ops.length, end + DIFF_CONTEXT);
+        break;
+      }
+      end = nextChange;
+    }
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(op => op[0] !== '+').length;
+    const newCount = hunk.filter(op => op[0] !== '-').length;
+    output.push(`@@ -${hunk[0][2]},${oldCount} +${hunk[0][3]},${newCount} @@`);
+    output.push(...hunk.map(op => `${op[0]}${op[1]}`));
+    k = end;
+  }
+
+  return output.join('\n');
+}
+
+/**
+ * Fix an artifact's structural validation errors
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {string} filePath - Path to artifact file (relative to project root)
+ * @param {string} artifactType - Artifact type (e.g., 'PROJECT', 'PLAN.md') or schema id
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.dryRun] - Compute the fix and diff without writing
+ * @param {string} [options.templatesDir] - Templates directory (default: gsd/templates)
+ * @returns {Promise<Object>} { path, changes: string[], unfixed: string[], diff, content, written }
+ * @throws {Error} If the artifact type is unknown or the file cannot be read
+ */
+export async function fixArtifact(projectRoot, filePath, artifactType, options = {}) {
+  const { schema, template } = await resolveArtifactRules(projectRoot, artifactType);
+  const absolutePath = path.isAbsolute(filePath) ? filePath : path.join(projectRoot, filePath);
+  const original = await readFile(absolutePath);
+  const changes = [];
+
+  // Frontmatter first, so body edits work on the final layout
+  const filled = fillFrontmatter(original, schema.metadataSchema, filePath);
+  changes.push(...filled.changes);
+  const unfixed = [...filled.unfixed];
+
+  const blockMatch = filled.content.match(/^---\r?\n[\s\S]*?\r?\n---\r?\n/);
+  const head = blockMatch ? blockMatch[0] : '';
+  const lines = filled.content.slice(head.length).split('\n');
+
+  const order = await loadTemplateOrder(options.templatesDir || DEFAULT_TEMPLATES_DIR, template);
+  const missingSections = schema.requiredSections.filter(section => findSection(lines, section) === -1);
+  insertBlocks(lines, missingSections, mergeOrder(schema.requiredSections, order.sections),
+    findSection, findSectionEnd, section => [`## ${section}`, '', PLACEHOLDER, '']);
+  changes.push(...missingSections.map(section => `Inserted section: ## ${section}`));
+
+  const requiredTags = schema.requiredTags || [];
+  const findTag = (body, tag) => body.findIndex(line => line.trim() === `<${tag}>`);
+  const findTagEnd = (body, start) => {
+    const close = body.findIndex((line, i) => i > start && /^<\/[a-z_]+>$/.test(line.trim()));
+    if (close === -1) {
+      return body.length;
+    }
+    return body[close + 1] !== undefined && body[close + 1].trim() === '' ? close + 2 : close + 1;
+  };
+  const missingTags = requiredTags.filter(tag => findTag(lines, tag) === -1);
+  insertBlocks(lines, missingTags, mergeOrder(requiredTags, order.tags),
+    findTag, findTagEnd, tag => [`<${tag}>`, PLACEHOLDER, `</${tag}>`, '']);
+  changes.push(...missingTags.map(tag => `Inserted section: <${tag}>`));
+
+  if (schema.keyDecisionsHeader) {
+    const repaired = repairDecisionsHeader(lines, schema.keyDecisionsHeader);
+    if (repaired) {
+      changes.push(repaired);
+    }
+  }
+
+  // markdownlint's own fixes (blank lines around tables, heading spacing, final newline)
+  let content = head + lines.join('\n');
+  const lint = await lintMarkdown(content, filePath);
+  const fixable = lint.results.filter(result => result.fixInfo);
+  if (fixable.length > 0) {
+    content = markdownlint.applyFixes(content, lint.results);
+    changes.push(...fixable.map(result => `Lint fix ${result.ruleNames[0]} (line ${result.lineNumber})`));
+  }
+
+  const diff = formatDiff(original, content, filePath);
+  const written = Boolean(diff) && !options.dryRun;
+  if (written) {
+    await writeFileAtomic(absolutePath, content);
+  }
+
+  return { path: absolutePath, changes, unfixed, diff, content, written };
+}
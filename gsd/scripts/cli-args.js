@@ -0,0 +1,53 @@
+/**
+ * CLI Arguments Module
+ * Provides minimal argument parsing and entry-point detection for script CLIs
+ *
+ * Critical patterns:
+ * - No external dependencies (node: built-ins only)
+ * - Supports --key=value and bare --flag forms; everything else is positional
+ * - Entry-point detection keeps modules importable without side effects
+ *
+ * Usage examples:
+ * - parseArgs(['--template=PROJECT', '--force']) → { options: { template: 'PROJECT', force: true }, positionals: [] }
+ * - parseArgs(['--update', 'status=completed']) → { options: { update: true }, positionals: ['status=completed'] }
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments (typically process.argv.slice(2))
+ * @returns {{options: Object<string, string|boolean>, positionals: string[]}} Parsed arguments
+ */
+export function parseArgs(argv) {
+  const options = {};
+  const positionals = [];
+
+  for (const arg of argv) {
+    if (arg.startsWith('--') && arg.length > 2) {
+      const eqIndex = arg.indexOf('=');
+      if (eqIndex === -1) {
+        options[arg.slice(2)] = true;
+      } else {
+        options[arg.slice(2, eqIndex)] = arg.slice(eqIndex + 1);
+      }
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  return { options, positionals };
+}
+
+/**
+ * Check whether a module is the script Node was invoked with
+ * @param {string} moduleUrl - import.meta.url of the calling module
+ * @returns {boolean} True if the module is being run directly
+ */
+export function isMainModule(moduleUrl) {
+  if (!process.argv[1]) {
+    return false;
+  }
+  return path.resolve(process.argv[1]) === fileURLToPath(moduleUrl);
+}
@@ -0,0 +1,186 @@
+/**
+ * Config Loader Module
+ * Single entry point for reading .gsd-config.json
+ *
+ * Critical patterns:
+ * - Validated with ajv against gsd/config-schema.json (draft 2020-12) on every fresh load
+ * - Schema defaults applied (useDefaults) so callers never hand-check optional fields
+ * - Accumulate all schema errors (allErrors) and report each with its path and expected type
+ * - Cached per resolved path; re-read when the file's mtime changes
+ * - Callers get a copy (mutating it never corrupts the cache)
+ * - Thrown errors carry diagnostics (error.diagnostics) located at the offending JSON property
+ *
+ * Usage examples:
+ * - const config = await loadConfig();                         (gsd/.gsd-config.json relative to cwd)
+ * - const config = await loadConfig(path.join(root, 'gsd', '.gsd-config.json'));
+ */
+
+import Ajv2020 from 'ajv/dist/2020.js';
+import { readFile } from './file-ops.js';
+import { createDiagnostic, createDiagnosticsError, positionAt } from './diagnostics.js';
+import { stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Default config location (relative to the working directory, like the CLI scripts)
+ */
+export const DEFAULT_CONFIG_PATH = 'gsd/.gsd-config.json';
+
+/**
+ * Config schema lives at gsd/config-schema.json, relative to this script
+ */
+const DEFAULT_SCHEMA_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'config-schema.json');
+
+/**
+ * Loaded configs: absolute config path → { mtimeMs, schemaPath, config }
+ */
+const cache = new Map();
+
+/**
+ * Compiled validators per schema path
+ */
+const validators = new Map();
+
+/**
+ * Compile (once) the validator for a schema file
+ * @param {string} schemaPath - Path to the JSON Schema
+ * @returns {Promise<Function>} ajv validate function (applies defaults)
+ * @throws {Error} If the schema cannot be read or compiled
+ */
+async function getValidator(schemaPath) {
+  if (!validators.has(schemaPath)) {
+    let schema;
+    try {
+      schema = JSON.parse(await readFile(schemaPath));
+    } catch (error) {
+      throw new Error(`Failed to load config schema ${schemaPath}: ${error.message}`);
+    }
+    const ajv = new Ajv2020({ allErrors: true, useDefaults: true });
+    validators.set(schemaPath, ajv.compile(schema));
+  }
+  return validators.get(schemaPath);
+}
+
+/**
+ * Describe the JSON type of a value for error messages
+ * @param {*} value - Any value
+ * @returns {string} 'array', 'null', or typeof
+ */
+function describeType(value) {
+  return Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+}
+
+/**
+ * Format an ajv error with its config path and, for type errors, the expected and actual type
+ * @param {Object} error - ajv error object
+ * @param {Object} config - Config being validated
+ * @returns {string} e.g. "triggerPhrases.start: must be array (expected array, got string)"
+ */
+function formatConfigError(error, config) {
+  const segments = error.instancePath.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (error.keyword === 'required') {
+    return `${[...segments, error.params.missingProperty].join('.')}: is required`;
+  }
+
+  const field = segments.join('.') || 'config';
+  if (error.keyword === 'type') {
+    const actual = segments.reduce((value, key) => (value == null ? value : value[key]), config);
+    return `${field}: ${error.message} (expected ${error.params.type}, got ${describeType(actual)})`;
+  }
+  return `${field}: ${error.message}`;
+}
+
+/**
+ * Locate a config path in the raw JSON text (the innermost property found; array indexes stay on their property)
+ * @param {string} text - Raw config file content
+ * @param {string[]} segments - Property path segments
+ * @returns {{line: number, column: number}} 1-based position
+ */
+function locateProperty(text, segments) {
+  let offset = 0;
+  let found = 0;
+  for (const segment of segments.filter(segment => !/^\d+$/.test(segment))) {
+    const match = new RegExp(`"${segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"\\s*:`).exec(text.slice(offset));
+    if (!match) {
+      break;
+    }
+    offset += match.index;
+    found = offset;
+  }
+  return positionAt(text, found);
+}
+
+/**
+ * Load, validate and cache a GSD config file
+ *
+ * @param {string} [configPath] - Path to .gsd-config.json (default: gsd/.gsd-config.json relative to cwd)
+ * @param {Object} [options] - Options
+ * @param {string} [options.schemaPath] - JSON Schema to validate against (default: gsd/config-schema.json)
+ * @param {boolean} [options.reload] - Bypass the cache
+ * @returns {Promise<Object>} Validated config with schema defaults applied (a copy; safe to mutate)
+ * @throws {Error} If the file is missing, not valid JSON, or fails schema validation
+ */
+export async function loadConfig(configPath = DEFAULT_CONFIG_PATH, options = {}) {
+  const absolutePath = path.resolve(configPath);
+  const schemaPath = options.schemaPath || DEFAULT_SCHEMA_PATH;
+
+  let mtimeMs;
+  try {
+    ({ mtimeMs } = await stat(absolutePath));
+  } catch (error) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  const cached = cache.get(absolutePath);
+  if (!options.reload && cached && cached.mtimeMs === mtimeMs && cached.schemaPath === schemaPath) {
+    return structuredClone(cached.config);
+  }
+
+  const text = await readFile(absolutePath);
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    const position = error.message.match(/at position (\d+)/);
+    throw createDiagnosticsError('Invalid config file', [createDiagnostic({
+      ruleId: 'config-json',
+      file: configPath,
+      ...(position ? positionAt(text, Number(position[1])) : {}),
+      message: `Invalid JSON: ${error.message}`
+    })], `Invalid config file (JSON parse error): ${error.message}`);
+  }
+
+  const validate = await getValidator(schemaPath);
+  if (!validate(config)) {
+    const fix = `edit ${configPath} to match ${path.relative(process.cwd(), schemaPath) || schemaPath}`;
+    const diagnostics = validate.errors.map(err => createDiagnostic({
+      ruleId: 'config-schema',
+      file: configPath,
+      ...locateProperty(text, err.instancePath.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))),
+      message: formatConfigError(err, config),
+      fix
+    }));
+    throw createDiagnosticsError(`Validation failed for config at ${configPath}`, diagnostics,
+      `Validation failed for config at ${configPath}:\n` +
+      diagnostics.map((diagnostic, i) => `  ${i + 1}. ${diagnostic.message}`).join('\n') +
+      `\nFix: ${fix}`
+    );
+  }
+
+  cache.set(absolutePath, { mtimeMs, schemaPath, config });
+  return structuredClone(config);
+}
+
+/**
+ * Forget cached configs (all, or one path)
+ * @param {string} [configPath] - Config path to forget (default: all)
+ * @returns {void}
+ */
+export function clearConfigCache(configPath) {
+  if (configPath === undefined) {
+    cache.clear();
+  } else {
+    cache.delete(path.resolve(configPath));
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * Diagnostics Module
+ * Structured validation findings shared by validator.js, config-loader.js and their CLIs
+ *
+ * Critical patterns:
+ * - A diagnostic is a plain object: { ruleId, severity, file, line, column, message, fix }
+ * - Lines and columns are 1-based and count from the top of the file (frontmatter included)
+ * - Files are project-relative with forward slashes, so editors and code review tools can resolve them
+ * - Thrown errors keep the numbered-list summary (compatibility) and carry the diagnostics as error.diagnostics
+ * - Serializers: JSON (diagnostics plus counts) and SARIF 2.1.0 (code review annotations)
+ *
+ * CLI usage:
+ * - node gsd/scripts/validator.js --check=artifacts --format=json
+ * - node gsd/scripts/validator.js --artifact=.planning/PROJECT.md --type=PROJECT --format=sarif > gsd.sarif
+ */
+
+import path from 'node:path';
+
+/**
+ * Severity levels (SARIF result levels)
+ */
+export const SEVERITIES = ['error', 'warning', 'note'];
+
+/**
+ * Rules reported by the GSD validators (markdownlint rules are described by markdownlint itself)
+ */
+export const DIAGNOSTIC_RULES = {
+  'missing-section': 'Required ## section is missing',
+  'missing-tag': 'Required <tag> block is missing',
+  'frontmatter-schema': 'YAML frontmatter does not match the artifact schema',
+  'frontmatter-yaml': 'YAML frontmatter cannot be parsed',
+  'requirement-unmapped': 'Requirement is not mapped to any phase',
+  'requirement-undefined': 'Roadmap or Traceability table references a requirement that REQUIREMENTS.md does not define',
+  'requirement-duplicate': 'Requirement is mapped to more than one phase',
+  'requirement-drift': 'REQUIREMENTS.md checkbox and Traceability table disagree',
+  'plan-summary-missing': 'Executed plan has no SUMMARY',
+  'plan-malformed': 'PLAN.md cannot be parsed',
+  'success-criterion': 'Success criterion check failed',
+  'consistency-state-phase': 'STATE phase disagrees with ROADMAP.md',
+  'consistency-state-plan': 'STATE plan has no PLAN file',
+  'consistency-summary': 'Completed phase has a plan without SUMMARY',
+  'consistency-progress': 'ROADMAP.md Progress table disagrees with STATE',
+  'consistency-phase-dir': 'Phase directory is not in ROADMAP.md',
+  'consistency-requirement': 'REQUIREMENTS.md checkbox disagrees with phase progress',
+  'plan-schedule': 'Plans of the current phase cannot be scheduled',
+  'config-schema': 'Config does not match config-schema.json',
+  'config-json': 'Config is not valid JSON',
+  'validation-error': 'Validation could not run'
+};
+
+/**
+ * SARIF format version written by formatSarif
+ */
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * Create a diagnostic
+ *
+ * @param {Object} fields - Diagnostic fields
+ * @param {string} fields.ruleId - Rule id (a DIAGNOSTIC_RULES key or a markdownlint rule such as MD056)
+ * @param {string} [fields.severity] - 'error' (default), 'warning' or 'note'
+ * @param {string} fields.file - File the finding is in
+ * @param {number} [fields.line] - 1-based line (default: 1)
+ * @param {number} [fields.column] - 1-based column (default: 1)
+ * @param {string} fields.message - What is wrong
+ * @param {string} [fields.fix] - Suggested remediation (command or edit)
+ * @returns {Object} Diagnostic
+ */
+export function createDiagnostic({ ruleId, severity = 'error', file, line = 1, column = 1, message, fix = '' }) {
+  return {
+    ruleId,
+    severity: SEVERITIES.includes(severity) ? severity : 'error',
+    file: file.split(path.sep).join('/'),
+    line: Math.max(1, line),
+    column: Math.max(1, column),
+    message,
+    fix
+  };
+}
+
+/**
+ * Find the 1-based line and column of a string offset
+ * @param {string} content - File content
+ * @param {number} offset - Character offset
+ * @returns {{line: number, column: number}} Position
+ */
+export function positionAt(content, offset) {
+  const before = content.slice(0, Math.max(0, offset));
+  const lastNewline = before.lastIndexOf('\n');
+  return { line: before.split('\n').length, column: offset - lastNewline };
+}
+
+/**
+ * Format a diagnostic in the validators' message style ("<message>. Fix: <fix>")
+ * @param {Object} diagnostic - Diagnostic
+ * @returns {string} Message
+ */
+export function formatDiagnostic(diagnostic) {
+  return diagnostic.fix ? `${diagnostic.message}. Fix: ${diagnostic.fix}` : diagnostic.message;
+}
+
+/**
+ * Build the error validators throw: the numbered summary as message, diagnostics attached
+ *
+ * @param {string} heading - Summary line
+ * @param {Array<Object>} diagnostics - Diagnostics
+ * @param {string} [message] - Message to use instead of the generated summary
+ * @returns {Error} Error with error.diagnostics
+ */
+export function createDiagnosticsError(heading, diagnostics, message) {
+  const error = new Error(message ?? (
+    `${heading}:\n` + diagnostics.map((diagnostic, i) => `  ${i + 1}. ${formatDiagnostic(diagnostic)}`).join('\n')
+  ));
+  error.diagnostics = diagnostics;
+  return error;
+}
+
+/**
+ * Diagnostics carried by an error, or one generic diagnostic for errors thrown without them
+ *
+ * @param {Error} error - Caught error
+ * @param {string} [file] - File to attribute a generic diagnostic to
+ * @returns {Array<Object>} Diagnostics
+ */
+export function diagnosticsFromError(error, file = '') {
+  if (Array.isArray(error.diagnostics)) {
+    return error.diagnostics;
+  }
+  return [createDiagnostic({ ruleId: 'validation-error', file, message: error.message })];
+}
+
+/**
+ * Count diagnostics per severity
+ * @param {Array<Object>} diagnostics - Diagnostics
+ * @returns {{errors: number, warnings: number, notes: number}} Counts
+ */
+function summarize(diagnostics) {
+  const count = severity => diagnostics.filter(diagnostic => diagnostic.severity === severity).length;
+  return { errors: count('error'), warnings: count('warning'), notes: count('note') };
+}
+
+/**
+ * Serialize diagnostics as JSON
+ * @param {Array<Object>} diagnostics - Diagnostics
+ * @returns {string} JSON: { diagnostics, summary: { errors, warnings, notes } }
+ */
+export function formatJson(diagnostics) {
+  return JSON.stringify({ diagnostics, summary: summarize(diagnostics) }, null, 2);
+}
+
+/**
+ * Serialize diagnostics as a SARIF 2.1.0 log (one run, tool "gsd-validator")
+ * The suggested fix travels in each result's properties (SARIF fixes need exact replacements)
+ *
+ * @param {Array<Object>} diagnostics - Diagnostics
+ * @returns {string} SARIF JSON
+ */
+export function formatSarif(diagnostics) {
+  const ruleIds = [...new Set(diagnostics.map(diagnostic => diagnostic.ruleId))];
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [{
+      tool: {
+        driver: {
+          name: 'gsd-validator',
+          rules: ruleIds.map(id => ({
+            id,
+            shortDescription: { text: DIAGNOSTIC_RULES[id] || `markdownlint ${id}` }
+          }))
+        }
+      },
+      results: diagnostics.map(diagnostic => ({
+        ruleId: diagnostic.ruleId,
+        ruleIndex: ruleIds.indexOf(diagnostic.ruleId),
+        level: diagnostic.severity,
+        message: { text: formatDiagnostic(diagnostic) },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: diagnostic.file },
+            region: { startLine: diagnostic.line, startColumn: diagnostic.column }
+          }
+        }],
+        ...(diagnostic.fix ? { properties: { fix: diagnostic.fix } } : {})
+      }))
+    }]
+  };
+
+  return JSON.stringify(log, null, 2);
+}
+
+/**
+ * Serializers by --format value
+ */
+export const DIAGNOSTIC_FORMATS = {
+  json: formatJson,
+  sarif: formatSarif
+};
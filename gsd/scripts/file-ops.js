@@ -9,7 +9,7 @@
  * - Cross-platform path handling with path.join()
  */
 
-import { readFile as fsReadFile, access, mkdir } from 'node:fs/promises';
+import { readFile as fsReadFile, appendFile as fsAppendFile, access, mkdir } from 'node:fs/promises';
 import writeFile from 'write-file-atomic';
 import path from 'node:path';
 
@@ -50,6 +50,23 @@ export async function writeFileAtomic(filePath, content) {
   }
 }
 
+/**
+ * Append content to a file, creating it if needed
+ * Used for append-only logs where rewriting the whole file would risk losing history
+ *
+ * @param {string} filePath - Absolute or relative path to file
+ * @param {string} content - String content to append
+ * @returns {Promise<void>}
+ * @throws {Error} If append fails
+ */
+export async function appendFile(filePath, content) {
+  try {
+    await fsAppendFile(filePath, content, 'utf8');
+  } catch (error) {
+    throw new Error(`Failed to append to ${filePath}: ${error.message}`);
+  }
+}
+
 /**
  * Check if file exists
  * @param {string} filePath - Absolute or relative path to file
@@ -3,13 +3,14 @@
  * Provides modular loading of workflow guidelines by name
  *
  * Critical patterns:
- * - Loads config from .gsd-config.json to map workflow names to files
+ * - Loads config via config-loader.js (schema-validated, defaults applied) to map workflow names to files
  * - Loads only the requested guideline (not all files at once)
  * - Reduces context window usage by 70-80% vs loading all guidelines
  * - Validates workflow names with helpful error messages
  */
 
 import { readFile } from './file-ops.js';
+import { loadConfig, DEFAULT_CONFIG_PATH } from './config-loader.js';
 import path from 'node:path';
 
 /**
@@ -18,37 +19,22 @@ import path from 'node:path';
  * @param {string} workflowName - Workflow name (e.g., 'newProject', 'planPhase')
  * @param {string} configPath - Path to .gsd-config.json (default: 'gsd/.gsd-config.json')
  * @returns {Promise<string>} Guideline content (markdown with YAML frontmatter)
- * @throws {Error} If config not found, workflow unknown, or guideline not found
+ * @throws {Error} If config is missing or invalid, workflow unknown, or guideline not found
  */
-export async function loadGuideline(workflowName, configPath = 'gsd/.gsd-config.json') {
-  // Load config file
-  let configContent;
-  try {
-    configContent = await readFile(configPath);
-  } catch (error) {
-    throw new Error(`Config file not found: ${configPath}`);
-  }
-
-  // Parse JSON
-  let config;
-  try {
-    config = JSON.parse(configContent);
-  } catch (error) {
-    throw new Error(`Invalid config file (JSON parse error): ${error.message}`);
-  }
+export async function loadGuideline(workflowName, configPath = DEFAULT_CONFIG_PATH) {
+  const config = await loadConfig(configPath);
 
   // Find guideline file for workflow
-  const guidelineFile = config.workflows?.[workflowName];
+  const guidelineFile = config.workflows[workflowName];
   if (!guidelineFile) {
-    const availableWorkflows = Object.keys(config.workflows || {});
+    const availableWorkflows = Object.keys(config.workflows);
     throw new Error(
       `Unknown workflow: ${workflowName}. Available workflows: ${availableWorkflows.join(', ')}`
     );
   }
 
   // Construct guideline path
-  const guidelinesDir = config.paths?.guidelines || 'gsd/guidelines';
-  const guidelinePath = path.join(guidelinesDir, guidelineFile);
+  const guidelinePath = path.join(config.paths.guidelines, guidelineFile);
 
   // Load and return guideline content
   try {
@@ -66,25 +52,9 @@ export async function loadGuideline(workflowName, configPath = 'gsd/.gsd-config.
  * @returns {Promise<string[]>} Array of workflow names
  * @throws {Error} If config not found or invalid
  */
-export async function listWorkflows(configPath = 'gsd/.gsd-config.json') {
-  // Load config file
-  let configContent;
-  try {
-    configContent = await readFile(configPath);
-  } catch (error) {
-    throw new Error(`Config file not found: ${configPath}`);
-  }
-
-  // Parse JSON
-  let config;
-  try {
-    config = JSON.parse(configContent);
-  } catch (error) {
-    throw new Error(`Invalid config file (JSON parse error): ${error.message}`);
-  }
-
-  // Return workflow names
-  return Object.keys(config.workflows || {});
+export async function listWorkflows(configPath = DEFAULT_CONFIG_PATH) {
+  const config = await loadConfig(configPath);
+  return Object.keys(config.workflows);
 }
 
 // Usage examples (in comments):
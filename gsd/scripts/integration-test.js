@@ -13,8 +13,10 @@
 
 import { readFile, writeFileAtomic, fileExists, ensureDir } from './file-ops.js';
 import { runCommand } from './process-runner.js';
-import { readState, writeState, generateProgressIndicator, validateStateData, STATUS_VALUES } from './state-manager.js';
-import { renderTemplate, listTemplates } from './template-renderer.js';
+import { readState, writeState, initState, generateProgressIndicator, validateStateData, STATUS_VALUES } from './state-manager.js';
+import { parseStateMarkdown, renderStateMarkdown, validateStateDocument, createStateDocument } from './state-store.js';
+import { readJournal, queryJournal } from './journal.js';
+import { renderTemplate, listTemplates, getTemplateVariables, expandTemplate } from './template-renderer.js';
 import { loadGuideline, listWorkflows } from './guideline-loader.js';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
@@ -237,6 +239,101 @@ async function testStateManager() {
   } catch (error) {
     logTest('validateStateData accepts valid state', false, error.message);
   }
+
+  // Test 6: initState renders a STATE.md that readState can parse
+  const initDir = gsdPath('scripts', 'test-tmp-state');
+  try {
+    const state = await initState(initDir, { projectName: 'Init Test' });
+    const content = await readFile(path.join(initDir, '.planning', 'STATE.md'));
+    const passed = state.phase === 1 && state.plan === 0 &&
+                   state.status === STATUS_VALUES.PENDING &&
+                   state.progressIndicator.includes('0%') &&
+                   content.includes('# State: Init Test');
+    logTest('initState renders parseable STATE.md', passed);
+  } catch (error) {
+    logTest('initState renders parseable STATE.md', false, error.message);
+  }
+
+  // Test 7: CLI --update coerces typed values and rejects invalid ones
+  try {
+    const script = gsdPath('scripts', 'state-manager.js');
+    await runCommand('node', [script, `--root=${initDir}`, '--update', 'status=in_progress', 'currentPlan=2']);
+    const { stdout } = await runCommand('node', [script, `--root=${initDir}`, '--show']);
+    const shown = JSON.parse(stdout);
+    let rejected = false;
+    try {
+      await runCommand('node', [script, `--root=${initDir}`, '--update', 'status=bogus']);
+    } catch (error) {
+      rejected = error.message.includes('Invalid status');
+    }
+    const passed = shown.plan === 2 && shown.status === 'in_progress' && rejected;
+    logTest('state-manager CLI --update validates and coerces', passed);
+  } catch (error) {
+    logTest('state-manager CLI --update validates and coerces', false, error.message);
+  }
+
+  // Test 8: state.json is the source of truth and STATE.md is rendered from it
+  try {
+    const document = JSON.parse(await readFile(path.join(initDir, '.planning', 'state.json')));
+    await writeState(initDir, { phase: 1, plan: 3, status: STATUS_VALUES.BLOCKED, step: 'Waiting on API keys' });
+    const saved = JSON.parse(await readFile(path.join(initDir, '.planning', 'state.json')));
+    const state = await readState(initDir);
+    const passed = document.schema === 'gsd-state-v1' && document.plan === 2 &&
+                   saved.plan === 3 && saved.status === 'blocked' &&
+                   state.step === 'Waiting on API keys' &&
+                   state.rawContent.includes('**Last activity:** Waiting on API keys');
+    logTest('writeState updates state.json and re-renders STATE.md', passed);
+  } catch (error) {
+    logTest('writeState updates state.json and re-renders STATE.md', false, error.message);
+  } finally {
+    fs.rmSync(initDir, { recursive: true, force: true });
+  }
+
+  // Test 9: Every state write is journaled with a field diff and is queryable
+  const journalDir = gsdPath('scripts', 'test-tmp-journal');
+  try {
+    await initState(journalDir, { projectName: 'Journal Test', totalPhases: 3 });
+    await writeState(journalDir, { phase: 1, plan: 1, status: STATUS_VALUES.IN_PROGRESS, step: 'Executing 01-01' },
+      { operation: 'executePhase', actor: 'test' });
+    const entries = await readJournal(journalDir);
+    const executed = await queryJournal(journalDir, { type: 'executePhase', phase: 1, since: '2000-01-01' });
+    const statusChange = executed[0] && executed[0].diff.find(change => change.field === 'status');
+    const { stdout } = await runCommand('node', [gsdPath('scripts', 'journal.js'), `--root=${journalDir}`, '--type=initState']);
+    const passed = entries.length === 2 && entries[0].operation === 'initState' &&
+                   executed.length === 1 && executed[0].actor === 'test' &&
+                   statusChange && statusChange.before === 'pending' && statusChange.after === 'in_progress' &&
+                   'gitHead' in executed[0] &&
+                   stdout.includes('[initState]') && !stdout.includes('[executePhase]');
+    logTest('State writes are journaled and queryable by type/phase/since', passed);
+  } catch (error) {
+    logTest('State writes are journaled and queryable by type/phase/since', false, error.message);
+  } finally {
+    fs.rmSync(journalDir, { recursive: true, force: true });
+  }
+
+  // Test 10: Legacy STATE.md imports into a document that round-trips through the template
+  try {
+    const legacy = await readFile(projectPath('.planning', 'STATE.md'));
+    const document = parseStateMarkdown(legacy);
+    await validateStateDocument(document);
+    const reparsed = parseStateMarkdown(await renderStateMarkdown(document));
+    const passed = document.status === 'completed' && document.decisions.length > 0 &&
+                   JSON.stringify(reparsed) === JSON.stringify(document);
+    logTest('Legacy STATE.md import round-trips through renderer', passed);
+  } catch (error) {
+    logTest('Legacy STATE.md import round-trips through renderer', false, error.message);
+  }
+
+  // Test 11: validateStateDocument accumulates schema errors
+  try {
+    await validateStateDocument({ ...createStateDocument(), phase: 0, extra: true });
+    logTest('validateStateDocument rejects invalid documents', false, 'Should have thrown error');
+  } catch (error) {
+    const passed = error.message.includes('Invalid state.json') &&
+                   error.message.includes('phase:') &&
+                   error.message.includes('additional properties');
+    logTest('validateStateDocument rejects invalid documents', passed, error.message);
+  }
 }
 
 /**
@@ -308,6 +405,132 @@ async function testTemplateRenderer() {
   } catch (error) {
     logTest('renderTemplate performs substitution', false, error.message);
   }
+
+  // Test 5: CLI renders --vars-file and --var pairs to --output
+  const cliDir = gsdPath('scripts', 'test-tmp-renderer');
+  try {
+    await ensureDir(cliDir);
+    const varsFile = path.join(cliDir, 'vars.json');
+    const outputFile = path.join(cliDir, 'out', 'SUMMARY.md');
+    await writeFileAtomic(varsFile, JSON.stringify({
+      timestamp: '2026-01-18',
+      totalSources: 2,
+      executiveSummary: 'Summary text',
+      keyFindings: [{ category: 'Stack', content: 'Use Node', confidence: 'HIGH', sourceCount: 2 }],
+      roadmapImplications: 'None',
+      nextSteps: ['Plan phase 1'],
+      sourceList: '- https://nodejs.org'
+    }));
+    await runCommand('node', [
+      gsdPath('scripts', 'template-renderer.js'),
+      '--template=SUMMARY',
+      `--vars-file=${varsFile}`,
+      `--output=${outputFile}`,
+      '--topic=CLI Topic'
+    ]);
+    const rendered = await readFile(outputFile);
+    const passed = rendered.includes('CLI Topic') && rendered.includes('### Stack') && rendered.includes('1. Plan phase 1');
+    logTest('template-renderer CLI writes rendered output', passed);
+  } catch (error) {
+    logTest('template-renderer CLI writes rendered output', false, error.message);
+  }
+
+  // Test 6: CLI reports missing required variables and exits non-zero
+  try {
+    await runCommand('node', [gsdPath('scripts', 'template-renderer.js'), '--template=PROJECT', '--projectName=X']);
+    logTest('template-renderer CLI reports missing variables', false, 'Should have exited non-zero');
+  } catch (error) {
+    const passed = error.message.includes('createdDate') && error.message.includes('coreValue');
+    logTest('template-renderer CLI reports missing variables', passed);
+  } finally {
+    fs.rmSync(cliDir, { recursive: true, force: true });
+  }
+
+  // Test 7: Template engine interprets {{ }} and legacy ${...} templates without evaluating JavaScript
+  const engineDir = gsdPath('scripts', 'test-tmp-engine');
+  try {
+    const { renderString } = await import('./template-engine.js');
+    const rendered = renderString([
+      '# {{ title | upper }}',
+      '{{#each findings as f}}',
+      '{{ @number }}. {{ f.name | default: "unnamed" }}',
+      '{{else}}',
+      'none',
+      '{{/each}}',
+      '{{#if empty}}never{{else}}{{ tags | join: "/" }}{{/if}}',
+      '{{ rows | table: "Decision, Rationale" }}',
+      '\\{{ literal }}'
+    ].join('\n'), {
+      title: 'a`b${process.exit()}',
+      findings: [{ name: 'one' }, { name: '' }],
+      empty: [],
+      tags: ['x', 'y'],
+      rows: [{ decision: 'Use ESM', rationale: 'a | b' }]
+    });
+    const located = (source, variables, options) => {
+      try {
+        renderString(source, variables, options);
+        return '';
+      } catch (error) {
+        return error.message;
+      }
+    };
+
+    await ensureDir(engineDir);
+    await writeFileAtomic(path.join(engineDir, 'LEGACY.md'),
+      '---\nvariables:\n  - items\n---\n\n${items.map((item, i) => `${i + 1}. ${item.name || \'?\'}`).join(\'\\n\')}\nTick: \\`x\\`\n');
+    const legacy = await renderTemplate('LEGACY', { items: [{ name: '${evil}' }, {}] }, engineDir);
+
+    const passed = rendered === '# A`B${PROCESS.EXIT()}\n1. one\n2. unnamed\nx/y\n' +
+                     '| Decision | Rationale |\n|----------|-----------|\n| Use ESM | a \\| b |\n{{ literal }}' &&
+                   legacy === '1. ${evil}\n2. ?\nTick: `x`\n' &&
+                   located('a\n{{ missing }}', {}, { name: 'X.md', line: 5 }) === "X.md:6: unknown variable 'missing'" &&
+                   located('{{#each xs as x}}\n', { xs: [] }, { name: 'X.md' }).includes('X.md:1: {{#each}} is never closed') &&
+                   located('${items.constructor("return 1")()}', { items: [] }, { name: 'L.md' }).startsWith('L.md:1:') &&
+                   ['toString', 'valueOf', 'constructor'].every(method =>
+                     located(`\${items.${method}()}`, {}, { name: 'L.md', engine: 'legacy' }).includes(`.${method}() is not supported`)) &&
+                   renderString('{{ missing | default: "n/a" }}', {}) === 'n/a';
+    logTest('Template engine renders safely in both modes with located errors', passed, JSON.stringify(legacy));
+  } catch (error) {
+    logTest('Template engine renders safely in both modes with located errors', false, error.message);
+  } finally {
+    fs.rmSync(engineDir, { recursive: true, force: true });
+  }
+
+  // Test 8: Partials and layouts resolve from templates/partials with combined variables and cycle detection
+  const partialsDir = gsdPath('scripts', 'test-tmp-partials');
+  try {
+    await ensureDir(path.join(partialsDir, 'partials'));
+    const write = (file, content) => writeFileAtomic(path.join(partialsDir, file), content);
+    await write('partials/footer.md', '---\nvariables:\n  - stamp\n---\n\n---\n*Made {{ stamp }}*\n');
+    await write('partials/page.md', '---\nvariables:\n  - title\n---\n\n# {{ title }}\n\n{{#block body}}\nDefault body\n{{/block}}\n\n{{> footer}}\n');
+    await write('DOC.md', '---\nextends: page\nvariables:\n  - items\n---\n\n{{#block body}}\n{{#each items as item}}\n- {{ item }}\n{{/each}}\n{{/block}}\n');
+    await write('partials/loop-a.md', '---\n---\n\n{{> loop-b}}\n');
+    await write('partials/loop-b.md', '---\n---\n\n{{> loop-a}}\n');
+    await write('LOOP.md', '---\n---\n\n{{> loop-a}}\n');
+    await write('BROKEN.md', '---\n---\n\n{{> footer}}\n');
+
+    const variables = await getTemplateVariables('DOC', partialsDir);
+    const rendered = await renderTemplate('DOC', { items: ['a', 'b'], title: 'T', stamp: 'today' }, partialsDir);
+    const failure = async (name, vars) => renderTemplate(name, vars, partialsDir).then(() => '', error => error.message);
+    const missing = await failure('DOC', { items: [] });
+    const cycle = await failure('LOOP', {});
+    await write('partials/footer.md', '---\n---\n\n\n{{ nope }}\n');
+    const located = await failure('BROKEN', {});
+
+    const passed = variables.join(',') === 'items,title,stamp' &&
+                   rendered === '# T\n\n- a\n- b\n\n---\n*Made today*\n' &&
+                   missing.includes('title, stamp') &&
+                   cycle.includes('Template include cycle: LOOP → partials/loop-a → partials/loop-b → partials/loop-a') &&
+                   located.includes("partials/footer.md:5: unknown variable 'nope'") &&
+                   (await expandTemplate('ARCHITECTURE', templatesDir)).includes('## Anti-Patterns\n\n{{ antiPatterns }}\n\n## Sources');
+    logTest('Template partials and layouts render with combined variables and cycle detection', passed,
+      JSON.stringify({ variables, rendered, missing, cycle, located }));
+  } catch (error) {
+    logTest('Template partials and layouts render with combined variables and cycle detection', false, error.message);
+  } finally {
+    fs.rmSync(partialsDir, { recursive: true, force: true });
+  }
 }
 
 /**
@@ -366,6 +589,44 @@ async function testGuidelineLoader() {
   } catch (error) {
     logTest('Guideline has YAML frontmatter', false, error.message);
   }
+
+  // Test 6: loadConfig applies schema defaults, reports typed errors and re-reads changed files
+  const configDir = gsdPath('scripts', 'test-tmp-config-loader');
+  try {
+    const { loadConfig } = await import('./config-loader.js');
+    const testConfig = path.join(configDir, '.gsd-config.json');
+    const base = {
+      version: '1.0.0',
+      triggerPhrases: { start: ['start GSD'], continue: ['continue GSD workflow'] },
+      paths: { planning: '.planning', guidelines: 'gsd/guidelines', scripts: 'gsd/scripts' },
+      workflows: { newProject: 'new-project.md' }
+    };
+    await ensureDir(configDir);
+    await writeFileAtomic(testConfig, JSON.stringify(base));
+
+    const loaded = await loadConfig(testConfig);
+    loaded.workflows.newProject = 'mutated.md';
+    const cached = await loadConfig(testConfig);
+
+    await writeFileAtomic(testConfig, JSON.stringify({ ...base, triggerPhrases: { start: 'start GSD' } }));
+    fs.utimesSync(testConfig, new Date(), new Date(Date.now() + 5000));
+    let invalid = '';
+    try {
+      await loadConfig(testConfig);
+    } catch (error) {
+      invalid = error.message;
+    }
+
+    const passed = loaded.paths.templates === 'gsd/templates' &&
+                   cached.workflows.newProject === 'new-project.md' && cached.workflows.verifyWork === 'verify-work.md' &&
+                   invalid.includes('triggerPhrases.start: must be array (expected array, got string)') &&
+                   invalid.includes('triggerPhrases.continue: is required');
+    logTest('loadConfig validates, applies defaults and caches', passed, invalid);
+  } catch (error) {
+    logTest('loadConfig validates, applies defaults and caches', false, error.message);
+  } finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  }
 }
 
 /**
@@ -542,6 +803,321 @@ async function testArtifactValidation() {
     });
     logTest('Validator exports functional', testResult.valid === true);
 
+    // Test 6: validateConfig accepts config and rejects schema violations
+    try {
+      const { validateConfig } = await import('./validator.js');
+      await validateConfig(gsdPath('.gsd-config.json'));
+      const badDir = gsdPath('scripts', 'test-tmp-config');
+      const badConfig = path.join(badDir, 'bad-config.json');
+      await ensureDir(badDir);
+      await writeFileAtomic(badConfig, JSON.stringify({ version: 'one', triggerPhrases: { start: [] } }));
+      let rejected = false;
+      try {
+        await validateConfig(badConfig);
+      } catch (error) {
+        rejected = error.message.includes('version') && error.message.includes('paths');
+      } finally {
+        fs.rmSync(badDir, { recursive: true, force: true });
+      }
+      logTest('validateConfig checks config against schema', rejected);
+    } catch (error) {
+      logTest('validateConfig checks config against schema', false, error.message);
+    }
+
+    // Test 7: validator CLI --check=sections exits non-zero with missing section list
+    try {
+      await runCommand('node', [
+        gsdPath('scripts', 'validator.js'),
+        `--root=${PROJECT_ROOT}`,
+        '--check=sections',
+        '--file=.planning/PROJECT.md',
+        '--required=Core Value,Nonexistent Section'
+      ]);
+      logTest('validator CLI --check=sections reports missing sections', false, 'Should have exited non-zero');
+    } catch (error) {
+      const passed = error.message.includes('Missing section: Nonexistent Section') &&
+                     !error.message.includes('Missing section: Core Value');
+      logTest('validator CLI --check=sections reports missing sections', passed);
+    }
+
+    // Test 8: Every template's schema id has a schema; PLAN frontmatter fields and body tags are enforced
+    const schemaDir = gsdPath('scripts', 'test-tmp-schemas');
+    try {
+      const { ARTIFACT_SCHEMAS, loadArtifactSchemaIds } = await import('./validator.js');
+      const ids = await loadArtifactSchemaIds();
+      const undefinedIds = Object.entries(ids).filter(([, id]) => !ARTIFACT_SCHEMAS[id]).map(([name]) => name);
+
+      await validateArtifact(PROJECT_ROOT, '.planning/phases/02-core-infrastructure/02-01-PLAN.md', 'gsd-plan-v1');
+      await validateArtifact(PROJECT_ROOT, '.planning/STATE.md', 'STATE');
+      await ensureDir(schemaDir);
+      await writeFileAtomic(path.join(schemaDir, '01-01-PLAN.md'),
+        '---\nphase: 01-setup\nplan: 1\nwave: first\n---\n\n<objective>\nScaffold\n</objective>\n');
+      let planErrors = '';
+      try {
+        await validateArtifact(schemaDir, '01-01-PLAN.md', 'PLAN');
+      } catch (error) {
+        planErrors = error.message;
+      }
+
+      const passed = Object.keys(ids).length >= 12 && undefinedIds.length === 0 &&
+                     ids['PLAN.md'] === 'gsd-plan-v1' && ids['SUMMARY.md'] === 'gsd-research-summary-v1' &&
+                     planErrors.includes("must have required property 'type'") &&
+                     planErrors.includes('Missing <tasks> section') && !planErrors.includes('<objective>');
+      logTest('Artifact schemas cover every template schema id', passed, undefinedIds.join(', ') || planErrors);
+    } catch (error) {
+      logTest('Artifact schemas cover every template schema id', false, error.message);
+    } finally {
+      fs.rmSync(schemaDir, { recursive: true, force: true });
+    }
+
+    // Test 9: markdownlint layer flags broken tables and duplicate headings; --fix repairs what it can
+    const lintDir = gsdPath('scripts', 'test-tmp-lint');
+    try {
+      const { lintArtifact } = await import('./validator.js');
+      await ensureDir(lintDir);
+      await writeFileAtomic(path.join(lintDir, 'PROJECT.md'), [
+        '# Lint Test', '', '## What This Is', '', 'A test.', '', '## Core Value', '', 'It works.', '',
+        '## Requirements', '', 'None.', '', '## Context', '', 'None.', '', '## Constraints', '', 'None.', '',
+        '## Key Decisions', '', '| Decision | Rationale | Outcome |', '|----------|-----------|---------|',
+        '| ESM only | Matches package type |', '## Context', ''
+      ].join('\n'));
+
+      let lintErrors = '';
+      try {
+        await validateArtifact(lintDir, 'PROJECT.md', 'PROJECT');
+      } catch (error) {
+        lintErrors = error.message;
+      }
+      const fixed = await lintArtifact(lintDir, 'PROJECT.md', { fix: true });
+      const remaining = fixed.errors.map(err => err.rule).sort().join(',');
+
+      const passed = lintErrors.includes('Lint GSD001/key-decisions-table (line 27)') &&
+                     lintErrors.includes('Lint MD056/table-column-count') &&
+                     lintErrors.includes('Lint MD024/no-duplicate-heading (line 28)') &&
+                     lintErrors.includes('Lint MD058/blanks-around-tables (line 27)') && lintErrors.includes('--fix') &&
+                     fixed.fixed === 1 && remaining === 'GSD001,MD024,MD056' &&
+                     (await readFile(path.join(lintDir, 'PROJECT.md'))).includes('Matches package type |\n\n## Context');
+      logTest('markdownlint layer reports GSD rules and auto-fixes', passed, lintErrors || remaining);
+    } catch (error) {
+      logTest('markdownlint layer reports GSD rules and auto-fixes', false, error.message);
+    } finally {
+      fs.rmSync(lintDir, { recursive: true, force: true });
+    }
+
+    // Test 10: fixArtifact inserts missing sections in template order, fills frontmatter, repairs decisions header
+    const fixDir = gsdPath('scripts', 'test-tmp-fix');
+    try {
+      const { fixArtifact } = await import('./artifact-fixer.js');
+      await ensureDir(path.join(fixDir, '01-setup'));
+      await writeFileAtomic(path.join(fixDir, 'PROJECT.md'), [
+        '# Fix Test', '', '## What This Is', '', 'A test.', '', '## Requirements', '', 'None.', '',
+        '## Context', '', 'None.', '', '## Key Decisions', '', '| ESM only | Matches package type | Pending |', ''
+      ].join('\n'));
+      await writeFileAtomic(path.join(fixDir, '01-setup', '01-02-PLAN.md'),
+        '---\nphase: 01-setup\nwave: 2\n---\n\n<objective>\nScaffold\n</objective>\n\n<verification>\n- ok\n</verification>\n');
+
+      const preview = await fixArtifact(fixDir, 'PROJECT.md', 'PROJECT', { dryRun: true });
+      const untouched = !(await readFile(path.join(fixDir, 'PROJECT.md'))).includes('## Core Value');
+      await fixArtifact(fixDir, 'PROJECT.md', 'PROJECT');
+      const plan = await fixArtifact(fixDir, '01-setup/01-02-PLAN.md', 'PLAN');
+      await validateArtifact(fixDir, 'PROJECT.md', 'PROJECT');
+      await validateArtifact(fixDir, '01-setup/01-02-PLAN.md', 'PLAN');
+
+      const project = await readFile(path.join(fixDir, 'PROJECT.md'));
+      const planContent = await readFile(path.join(fixDir, '01-setup', '01-02-PLAN.md'));
+      const passed = untouched && preview.written === false && preview.diff.includes('+## Core Value') &&
+                     project.indexOf('## Core Value') < project.indexOf('## Requirements') &&
+                     project.indexOf('## Constraints') < project.indexOf('## Key Decisions') &&
+                     project.includes('| Decision | Rationale | Outcome |\n|') &&
+                     planContent.includes('plan: 2\n') && planContent.includes('type: execute') &&
+                     planContent.indexOf('<tasks>') < planContent.indexOf('<verification>') &&
+                     plan.changes.includes('Inserted section: <success_criteria>');
+      logTest('fixArtifact repairs artifacts in template order with a diff preview', passed, preview.diff);
+    } catch (error) {
+      logTest('fixArtifact repairs artifacts in template order with a diff preview', false, error.message);
+    } finally {
+      fs.rmSync(fixDir, { recursive: true, force: true });
+    }
+
+    // Test 11: Diagnostics carry rule id, line and column; JSON and SARIF serializers; thrown summary unchanged
+    const diagnosticsDir = gsdPath('scripts', 'test-tmp-diagnostics');
+    try {
+      const { diagnoseArtifact } = await import('./validator.js');
+      const { formatSarif, formatJson } = await import('./diagnostics.js');
+      await ensureDir(diagnosticsDir);
+      await writeFileAtomic(path.join(diagnosticsDir, 'PROJECT.md'), [
+        '# Diagnostics Test', '', '## What This Is', '', 'A test.', '', '## Requirements', '', 'None.', '',
+        '## Context', '', 'None.', '', '## Constraints', '', 'None.', '', '## Key Decisions', '',
+        '| Decision | Rationale | Outcome |', '|----------|-----------|---------|', '| ESM only | Matches package type |', ''
+      ].join('\n'));
+
+      const diagnostics = await diagnoseArtifact(diagnosticsDir, 'PROJECT.md', 'PROJECT');
+      const missing = diagnostics.find(diagnostic => diagnostic.ruleId === 'missing-section');
+      const lint = diagnostics.find(diagnostic => diagnostic.ruleId === 'GSD001');
+      let thrown = null;
+      try {
+        await validateArtifact(diagnosticsDir, 'PROJECT.md', 'PROJECT');
+      } catch (error) {
+        thrown = error;
+      }
+      const sarif = JSON.parse(formatSarif(diagnostics));
+      const region = sarif.runs[0].results[0].locations[0].physicalLocation.region;
+
+      const cli = await runCommand('node', [
+        gsdPath('scripts', 'validator.js'), `--root=${PROJECT_ROOT}`, '--artifact=.planning/PROJECT.md', '--type=PROJECT', '--format=sarif'
+      ]);
+      const cliSarif = JSON.parse(cli.stdout);
+
+      const passed = missing && missing.line === 7 && missing.column === 1 && missing.file === 'PROJECT.md' &&
+                     missing.fix.includes('--fix') && lint && lint.line === 23 &&
+                     thrown && thrown.message.includes('1. Missing section: Core Value (expected around line 7). Fix:') &&
+                     thrown.diagnostics.length === diagnostics.length &&
+                     sarif.version === '2.1.0' && region.startLine === 7 &&
+                     sarif.runs[0].tool.driver.rules.some(rule => rule.id === 'GSD001') &&
+                     JSON.parse(formatJson(diagnostics)).summary.errors === diagnostics.length &&
+                     cliSarif.runs[0].results.length === 0;
+      logTest('Validators return structured diagnostics with JSON/SARIF output', passed, JSON.stringify(diagnostics));
+    } catch (error) {
+      logTest('Validators return structured diagnostics with JSON/SARIF output', false, error.message);
+    } finally {
+      fs.rmSync(diagnosticsDir, { recursive: true, force: true });
+    }
+
+    // Test 12: Traceability matrix reports orphans both ways, duplicates and status drift; --write rewrites the table
+    const traceDir = gsdPath('scripts', 'test-tmp-trace');
+    try {
+      const { buildTraceabilityMatrix, writeTraceability } = await import('./traceability.js');
+      await ensureDir(path.join(traceDir, '.planning', 'phases', '01-setup'));
+      await writeFileAtomic(path.join(traceDir, '.planning', 'REQUIREMENTS.md'), [
+        '# Requirements', '', '## v1 Requirements', '', '- [x] **CORE-01**: Starts', '- [ ] **CORE-02**: Builds',
+        '- [ ] **CORE-03**: Ships', '', '## v2 Requirements', '', '- **LATER-01**: Someday', '', '## Traceability', '',
+        '| Requirement | Phase | Status |', '|-------------|-------|--------|', '| CORE-01 | Phase 1 | Pending |',
+        '| CORE-02 | Phase 2 | Pending |', '| GHOST-01 | Phase 1 | Pending |', ''
+      ].join('\n'));
+      await writeFileAtomic(path.join(traceDir, '.planning', 'ROADMAP.md'),
+        '# Roadmap\n\n## Phases\n\n### Phase 1: Setup\n\n**Requirements:** CORE-01, CORE-02, NOPE-09\n\n' +
+        '### Phase 2: Build\n\n**Requirements:** CORE-02\n');
+      await writeFileAtomic(path.join(traceDir, '.planning', 'phases', '01-setup', '01-01-PLAN.md'),
+        '---\nphase: 01-setup\nplan: 1\nrequirements: [CORE-01]\n---\n');
+      await writeFileAtomic(path.join(traceDir, '.planning', 'phases', '01-setup', '01-01-SUMMARY.md'), '# Summary\n');
+
+      const matrix = await buildTraceabilityMatrix(traceDir);
+      const coverage = await validateRequirementCoverage(traceDir).then(() => '', error => error.message);
+      const rules = matrix.issues.map(issue => `${issue.ruleId}:${issue.line}`).sort().join(',');
+      const core01 = matrix.entries.find(entry => entry.id === 'CORE-01');
+      await writeTraceability(traceDir);
+      const rewritten = await readFile(path.join(traceDir, '.planning', 'REQUIREMENTS.md'));
+
+      const passed = coverage.startsWith('Requirement coverage validation failed:') && coverage.includes('CORE-03') &&
+                     rules === 'requirement-drift:17,requirement-duplicate:6,requirement-undefined:19,' +
+                              'requirement-undefined:7,requirement-unmapped:7' &&
+                     core01.plans.join() === '01-01' && core01.summaries.length === 1 &&
+                     matrix.coverage.total === 3 && matrix.coverage.traced === 2 &&
+                     rewritten.includes('| CORE-01 | Phase 1 | Complete |') && rewritten.includes('| CORE-03 | Unmapped | Pending |') &&
+                     !rewritten.includes('GHOST-01');
+      logTest('Traceability matrix checks both directions and rewrites the table', passed, rules);
+    } catch (error) {
+      logTest('Traceability matrix checks both directions and rewrites the table', false, error.message);
+    } finally {
+      fs.rmSync(traceDir, { recursive: true, force: true });
+    }
+
+    // Test 13: Consistency pass reports every contradiction; errors block resume, warnings do not
+    const consistencyDir = gsdPath('scripts', 'test-tmp-consistency');
+    try {
+      const { diagnoseConsistency, validateConsistency } = await import('./validator.js');
+      const { resumeWorkflow } = await import('./resume-manager.js');
+      const planning = path.join(consistencyDir, '.planning');
+      await ensureDir(path.join(planning, 'phases', '01-setup'));
+      await ensureDir(path.join(planning, 'phases', '09-extra'));
+      await writeFileAtomic(path.join(planning, 'ROADMAP.md'), [
+        '# Roadmap', '', '### Phase 1: Setup', '', '**Requirements:** CORE-01', '',
+        '### Phase 2: Build', '', '**Requirements:** CORE-02', '', '### Phase 3: Ship', '', '**Requirements:** CORE-03', '',
+        '## Progress', '', '| Phase | Status |', '|-------|--------|', '| 1 - Setup | Complete |',
+        '| 2 - Build | In Progress |', '| 3 - Ship | Complete |', ''
+      ].join('\n'));
+      await writeFileAtomic(path.join(planning, 'REQUIREMENTS.md'),
+        '# Requirements\n\n## v1 Requirements\n\n- [ ] **CORE-01**: Starts\n- [ ] **CORE-02**: Builds\n- [x] **CORE-03**: Ships\n');
+      await writeFileAtomic(path.join(planning, 'phases', '01-setup', '01-01-PLAN.md'), '---\nphase: 01-setup\nplan: 1\n---\n');
+      await initState(consistencyDir, { projectName: 'Consistency Test', totalPhases: 4 });
+      await writeState(consistencyDir, { phase: 2, plan: 1, status: 'in_progress', step: 'Plan 02-01' });
+
+      const findings = (await diagnoseConsistency(consistencyDir))
+        .map(d => `${d.ruleId}:${d.severity}`).sort().join(',');
+      const resumeError = await resumeWorkflow(consistencyDir).then(() => '', error => error.message);
+
+      await writeFileAtomic(path.join(planning, 'phases', '01-setup', '01-01-SUMMARY.md'), '# Summary\n');
+      await ensureDir(path.join(planning, 'phases', '02-build'));
+      await writeFileAtomic(path.join(planning, 'phases', '02-build', '02-01-PLAN.md'), '---\nphase: 02-build\nplan: 1\n---\n');
+      const { warnings } = await validateConsistency(consistencyDir);
+
+      const passed = findings === 'consistency-phase-dir:warning,consistency-progress:warning,' +
+                       'consistency-requirement:warning,consistency-requirement:warning,consistency-state-phase:warning,' +
+                       'consistency-state-plan:error,consistency-summary:error' &&
+                     resumeError.includes('Planning files contradict each other') && resumeError.includes('02-01-PLAN.md') &&
+                     warnings.length === 5;
+      logTest('Consistency pass cross-checks STATE, ROADMAP, REQUIREMENTS and phase dirs', passed, findings || resumeError);
+    } catch (error) {
+      logTest('Consistency pass cross-checks STATE, ROADMAP, REQUIREMENTS and phase dirs', false, error.message);
+    } finally {
+      fs.rmSync(consistencyDir, { recursive: true, force: true });
+    }
+
+    // Test 14: Project rules from the config's validation block extend the built-in schemas
+    const rulesDir = gsdPath('scripts', 'test-tmp-validation-rules');
+    try {
+      const { diagnoseArtifact } = await import('./validator.js');
+      const configFile = path.join(rulesDir, 'gsd', '.gsd-config.json');
+      const planFile = '.planning/phases/01-setup/01-01-PLAN.md';
+      const base = {
+        version: '1.0.0',
+        triggerPhrases: { start: ['start GSD'], continue: ['continue GSD workflow'] },
+        paths: { planning: '.planning', guidelines: 'gsd/guidelines', templates: 'gsd/templates', scripts: 'gsd/scripts' },
+        workflows: {}
+      };
+      const planRules = {
+        requiredSections: ['Security Review'],
+        rules: [
+          { id: 'plan-requirement-ref', mustMatch: '\\b[A-Z]+-\\d+\\b', message: 'PLAN references no requirement ID', fix: 'name the requirement' },
+          { id: 'no-todo', mustNotMatch: 'TODO', severity: 'warning', message: 'Unresolved TODO' }
+        ]
+      };
+      await ensureDir(path.join(rulesDir, 'gsd'));
+      await ensureDir(path.join(rulesDir, '.planning', 'phases', '01-setup'));
+      await writeFileAtomic(path.join(rulesDir, planFile), [
+        '---', 'phase: 01-setup', 'plan: 1', 'type: execute', 'wave: 1', 'depends_on: []', 'files_modified: []',
+        'autonomous: true', '---', '', '<objective>', 'Build it. TODO: pick the requirement', '</objective>', '',
+        '<tasks>', 'Do it.', '</tasks>', '', '<verification>', 'Check it.', '</verification>', '',
+        '<success_criteria>', 'Works.', '</success_criteria>', ''
+      ].join('\n'));
+      await writeFileAtomic(configFile, JSON.stringify({ ...base, validation: {
+        PLAN: planRules,
+        'gsd-plan-v1': { frontmatter: { required: ['requirements'], properties: { requirements: { type: 'array' } } } }
+      } }));
+      const strict = (await diagnoseArtifact(rulesDir, planFile, 'PLAN'))
+        .map(d => `${d.ruleId}:${d.severity}:${d.line}`).sort().join(',');
+
+      await writeFileAtomic(configFile, JSON.stringify({ ...base, validation: {
+        PLAN: { ...planRules, severity: { 'plan-requirement-ref': 'off', 'missing-section': 'warning' } }
+      } }));
+      fs.utimesSync(configFile, new Date(), new Date(Date.now() + 5000));
+      const relaxed = await validateArtifact(rulesDir, planFile, 'PLAN');
+
+      await writeFileAtomic(configFile, JSON.stringify({ ...base, validation: {
+        PLAN: { rules: [{ id: 'broken', mustMatch: '(', message: 'never' }] }
+      } }));
+      fs.utimesSync(configFile, new Date(), new Date(Date.now() + 10000));
+      const invalid = await validateArtifact(rulesDir, planFile, 'PLAN').then(() => '', error => error.message);
+
+      const passed = strict === 'frontmatter-schema:error:9,missing-section:error:26,no-todo:warning:12,plan-requirement-ref:error:1' &&
+                     relaxed === true && invalid.includes('Invalid regex for rule "broken" in validation.PLAN');
+      logTest('Config validation block adds sections, frontmatter, regex rules and severities', passed, strict || invalid);
+    } catch (error) {
+      logTest('Config validation block adds sections, frontmatter, regex rules and severities', false, error.message);
+    } finally {
+      fs.rmSync(rulesDir, { recursive: true, force: true });
+    }
+
   } catch (error) {
     logTest('Artifact validation tests - ERROR', false, error.message);
     // If import failed, mark remaining tests as failed
@@ -622,6 +1198,555 @@ async function testResumeOrchestration() {
       logTest('Phase completion validation', false, error.message);
     }
 
+    // Test 7: parseRoadmap derives phase count from sections and progress table
+    try {
+      const { parseRoadmap } = await import('./roadmap-parser.js');
+      const roadmap = parseRoadmap(`## Phases
+
+### Phase 1: Setup
+
+**Requirements:** CORE-01, CORE-02
+
+**Success Criteria:**
+1. Project builds
+
+### Phase 2: Build
+
+## Progress
+
+| Phase | Status | Requirements | Success Criteria |
+|-------|--------|--------------|------------------|
+| 1 - Setup | Complete | 2 | 1 |
+| 2 - Build | Pending | 0 | 0 |
+| 3 - Ship | Pending | 0 | 0 |
+`);
+      const passed = roadmap.totalPhases === 3 &&
+                     roadmap.phases[0].requirements.length === 2 &&
+                     roadmap.phases[0].successCriteria[0] === 'Project builds' &&
+                     roadmap.phases[2].name === 'Ship' &&
+                     roadmap.phases[0].status === 'Complete';
+      logTest('parseRoadmap derives phases from sections and progress table', passed);
+    } catch (error) {
+      logTest('parseRoadmap derives phases from sections and progress table', false, error.message);
+    }
+
+    // Test 8: Transition past the last roadmap phase blocked
+    try {
+      validatePhaseTransition({ phase: 3, status: 'completed' }, 4, 3);
+      logTest('Transition past final roadmap phase blocked', false, 'should have thrown');
+    } catch (error) {
+      logTest('Transition past final roadmap phase blocked', error.message.includes('3 phases'));
+    }
+
+    // Test 9: Final phase completion detected from total phases
+    const finalAction = determineNextAction({ phase: 6, status: 'completed', step: 'Done' }, 6);
+    logTest('Next action detects final phase completion', finalAction.includes('All 6 phases complete'));
+
+    // Test 10: STATE.md writes keep a bounded snapshot ring
+    const historyDir = gsdPath('scripts', 'test-tmp-history');
+    try {
+      const { snapshotState, listSnapshots } = await import('./state-history.js');
+      await initState(historyDir, { projectName: 'History Test', totalPhases: 3 });
+      await writeState(historyDir, { phase: 1, plan: 1, status: 'in_progress', step: 'Plan 01-01' });
+      await writeState(historyDir, { phase: 1, plan: 2, status: 'in_progress', step: 'Plan 01-02' });
+      const beforePrune = await listSnapshots(historyDir);
+      await writeState(historyDir, { phase: 1, plan: 3, status: 'in_progress', step: 'Plan 01-03' });
+      await snapshotState(historyDir, 2);
+      const afterPrune = await listSnapshots(historyDir);
+      const passed = beforePrune.length === 2 && afterPrune.length === 2;
+      logTest('STATE.md writes snapshot previous version into bounded ring', passed);
+    } catch (error) {
+      logTest('STATE.md writes snapshot previous version into bounded ring', false, error.message);
+    }
+
+    // Test 11: Recovery validates snapshot and restores it over corrupted STATE.md
+    try {
+      const { restoreFromBackup } = await import('./resume-manager.js');
+      await writeFileAtomic(path.join(historyDir, '.planning', 'STATE.md'), 'corrupted');
+      const result = await restoreFromBackup(historyDir, 'latest');
+      const restored = await readState(historyDir);
+      const passed = result.backup !== null && restored.plan === 3 && restored.step === 'Plan 01-03';
+      logTest('Recovery restores latest valid snapshot', passed);
+
+      // Restoring an older snapshot rolls state.json back and journals it
+      const { listSnapshots } = await import('./state-history.js');
+      const snapshots = await listSnapshots(historyDir);
+      const oldest = snapshots[snapshots.length - 1].id;
+      await restoreFromBackup(historyDir, oldest);
+      const entry = (await readJournal(historyDir)).at(-1);
+      const planChange = entry.diff.find(change => change.field === 'plan');
+      const journaled = entry.operation === 'recover' && entry.snapshot === oldest &&
+        planChange !== undefined && planChange.before === 3 && planChange.after === 2;
+      logTest('Recovery restore is journaled with its snapshot id', journaled);
+    } catch (error) {
+      logTest('Recovery restores latest valid snapshot', false, error.message);
+    } finally {
+      fs.rmSync(historyDir, { recursive: true, force: true });
+    }
+
+    // Test 13: Decimal phases (2.1) parse, order, transition and render progress
+    try {
+      const { parseRoadmap } = await import('./roadmap-parser.js');
+      const { formatPhasePrefix, formatPlanId, PLAN_FILE_REGEX, parsePhase } = await import('./phase-numbers.js');
+      const { parseStateContent } = await import('./state-manager.js');
+      const roadmap = parseRoadmap(`## Phases
+
+### Phase 1: Setup
+
+### Phase 2: Build
+
+### Phase 3: Ship
+
+### Phase 2.1: Auth Hotfix
+
+- [ ] 02.1-01-PLAN.md — Patch token refresh
+`);
+      const phases = roadmap.phases.map(phase => phase.number);
+      validatePhaseTransition({ phase: 2, status: 'completed' }, 2.1, phases);
+      let skipBlocked = false;
+      try {
+        validatePhaseTransition({ phase: 2, status: 'completed' }, 3, phases);
+      } catch (error) {
+        skipBlocked = error.message.includes('Complete Phase 2.1 first');
+      }
+      validateStateData({ phase: 2.1, plan: 1, status: 'in_progress', step: 'Hotfix' });
+      const progress = generateProgressIndicator(2.1, 4, phases);
+      const parsed = parseStateContent('**Phase:** 2.1 of 4\n**Plan:** 1\n**Status:** in_progress\n');
+      const passed = phases.join(',') === '1,2,2.1,3' &&
+                     roadmap.phases[2].plans[0].id === '02.1-01' &&
+                     skipBlocked &&
+                     progress.startsWith('███░') && progress.includes('Phase 2.1, 3 of 4') &&
+                     parsed.phase === 2.1 &&
+                     formatPhasePrefix(2.1) === '02.1' && formatPlanId(2.1, 1) === '02.1-01' &&
+                     PLAN_FILE_REGEX.test('02.1-01-PLAN.md') &&
+                     parsePhase('2.10') === null && !PLAN_FILE_REGEX.test('02.10-01-PLAN.md') &&
+                     determineNextAction({ phase: 2, status: 'completed', step: 'Done' }, phases).includes('Phase 2.1');
+      logTest('Decimal phases parse, order, transition and show progress', passed);
+    } catch (error) {
+      logTest('Decimal phases parse, order, transition and show progress', false, error.message);
+    }
+
+    // Test 12: reopenPhase moves backward with a recorded reason
+    const reopenDir = gsdPath('scripts', 'test-tmp-reopen');
+    try {
+      const { reopenPhase } = await import('./workflow-orchestrator.js');
+      await initState(reopenDir, { projectName: 'Reopen Test', totalPhases: 3 });
+      await writeFileAtomic(path.join(reopenDir, '.planning', 'ROADMAP.md'),
+        '## Phases\n\n### Phase 1: Setup\n\n### Phase 2: Build\n\n### Phase 3: Ship\n');
+      await writeState(reopenDir, { phase: 3, plan: 2, status: 'completed', step: 'Verifying Phase 3' });
+
+      let missingReason = false;
+      try {
+        await reopenPhase(reopenDir, 2, '');
+      } catch (error) {
+        missingReason = error.message.includes('reason is required');
+      }
+
+      const result = await reopenPhase(reopenDir, 2, 'Phase 3 verification found broken auth');
+      const state = await readState(reopenDir);
+      const document = JSON.parse(await readFile(path.join(reopenDir, '.planning', 'state.json')));
+      const passed = missingReason &&
+                     state.phase === 2 && state.status === 'in_progress' &&
+                     state.progressIndicator.includes('Phase 2 of 3') &&
+                     result.needsReverification.join(',') === '3' &&
+                     document.decisions.some(d => d.decision.startsWith('[REOPEN] Phase 2') &&
+                                                  d.rationale.includes('broken auth')) &&
+                     state.rawContent.includes('- [ ] Re-verify Phase 3 after Phase 2 rework');
+      logTest('reopenPhase moves backward, logs reason, flags downstream phases', passed);
+    } catch (error) {
+      logTest('reopenPhase moves backward, logs reason, flags downstream phases', false, error.message);
+    } finally {
+      fs.rmSync(reopenDir, { recursive: true, force: true });
+    }
+
+    // Test 12b: updateProgress without a roadmap keeps the indicator instead of failing
+    const noRoadmapDir = gsdPath('scripts', 'test-tmp-no-roadmap');
+    try {
+      const { updateProgress } = await import('./state-manager.js');
+      await initState(noRoadmapDir, { projectName: 'No Roadmap Test', totalPhases: 3 });
+      await writeState(noRoadmapDir, { phase: 1, plan: 1, status: 'in_progress', step: 'Plan 01-01', progressIndicator: 'Early days' });
+      const samePhase = await updateProgress(noRoadmapDir, { phase: 1, plan: 2 });
+      const nextPhase = await updateProgress(noRoadmapDir, { phase: 2 });
+      const passed = samePhase.plan === 2 && nextPhase.phase === 2 &&
+                     (await readState(noRoadmapDir)).progressIndicator === 'Early days';
+      logTest('updateProgress keeps the indicator when ROADMAP.md is missing', passed);
+    } catch (error) {
+      logTest('updateProgress keeps the indicator when ROADMAP.md is missing', false, error.message);
+    } finally {
+      fs.rmSync(noRoadmapDir, { recursive: true, force: true });
+    }
+
+    // Test 14: plan-parser loads the project's own plans into typed objects
+    try {
+      const { loadPlans } = await import('./plan-parser.js');
+      const { plans, errors } = await loadPlans(PROJECT_ROOT);
+      const plan = plans.find(candidate => candidate.id === '02-05');
+      const passed = errors.length === 0 && plans.length > 0 && plan &&
+                     plan.phase === 2 && plan.plan === 5 && plan.wave === 4 &&
+                     plan.dependsOn.join(',') === '02-03,02-04' &&
+                     plan.tasks.some(task => task.type === 'checkpoint:human-verify') &&
+                     plan.tasks[0].name.startsWith('Task 1') && plan.successCriteria.length > 0;
+      logTest('plan-parser loads typed plans from .planning/phases', passed, errors.length ? errors[0].message : '');
+    } catch (error) {
+      logTest('plan-parser loads typed plans from .planning/phases', false, error.message);
+    }
+
+    // Test 15: plan-parser reports malformed plans with file and line
+    const planDir = gsdPath('scripts', 'test-tmp-plans');
+    try {
+      const { loadPlans, loadPlan } = await import('./plan-parser.js');
+      await ensureDir(path.join(planDir, '.planning', 'phases', '01-setup'));
+      await writeFileAtomic(path.join(planDir, '.planning', 'phases', '01-setup', '01-01-PLAN.md'), [
+        '---',
+        'phase: 01-setup',
+        'plan: 02',
+        'type: execute',
+        'wave: 1',
+        'depends_on: []',
+        'files_modified: []',
+        'autonomous: true',
+        '---',
+        '',
+        '<objective>Set up</objective>',
+        '',
+        '<tasks>',
+        '<task type="auto">',
+        '  <action>No name</action>',
+        '</tasks>',
+        '',
+        '<verification>- ok</verification>',
+        '<success_criteria>- ok</success_criteria>',
+        ''
+      ].join('\n'));
+
+      const { errors } = await loadPlans(planDir);
+      let loadRejected = false;
+      try {
+        await loadPlan(planDir, 1, 1);
+      } catch (error) {
+        loadRejected = error.message.includes('01-01 is malformed');
+      }
+      const file = '.planning/phases/01-setup/01-01-PLAN.md';
+      const passed = loadRejected &&
+                     errors.some(e => e.file === file && e.line === 3 && e.message.includes('does not match file name')) &&
+                     errors.some(e => e.file === file && e.line === 14 && e.message.includes('Unclosed <task>'));
+      logTest('plan-parser reports malformed plans with file and line', passed);
+    } catch (error) {
+      logTest('plan-parser reports malformed plans with file and line', false, error.message);
+    } finally {
+      fs.rmSync(planDir, { recursive: true, force: true });
+    }
+
+    // Test 16: wave scheduler picks the next plan for execute and resume, rejects cycles and missing plans
+    const waveDir = gsdPath('scripts', 'test-tmp-waves');
+    try {
+      const { schedulePhase, nextRunnablePlan } = await import('./wave-scheduler.js');
+      const { executePhase } = await import('./workflow-orchestrator.js');
+      const phaseDir = path.join(waveDir, '.planning', 'phases', '01-setup');
+      const writePlan = (plan, dependsOn) => writeFileAtomic(path.join(phaseDir, `01-0${plan}-PLAN.md`), [
+        '---',
+        'phase: 01-setup',
+        `plan: 0${plan}`,
+        'type: execute',
+        'wave: 1',
+        `depends_on: [${dependsOn.join(', ')}]`,
+        'files_modified: []',
+        'autonomous: true',
+        '---',
+        '<objective>Plan objective</objective>',
+        '<tasks>',
+        '<task type="auto"><name>Task 1: Do it</name></task>',
+        '</tasks>',
+        '<verification>- ok</verification>',
+        '<success_criteria>- ok</success_criteria>',
+        ''
+      ].join('\n'));
+
+      await initState(waveDir, { projectName: 'Wave Test', totalPhases: 2 });
+      await writeFileAtomic(path.join(waveDir, '.planning', 'ROADMAP.md'),
+        '## Phases\n\n### Phase 1: Setup\n\n### Phase 2: Build\n');
+      await ensureDir(phaseDir);
+      await writePlan(1, []);
+      await writePlan(2, ['01-01']);
+      await writePlan(3, ['01-01']);
+      await writePlan(4, ['01-02', '01-03']);
+      await writeFileAtomic(path.join(phaseDir, '01-01-SUMMARY.md'), '# Summary\n');
+      await writeState(waveDir, { phase: 1, plan: 1, status: 'in_progress', step: 'Executing plan 01-01' });
+
+      const schedule = await schedulePhase(waveDir, 1);
+      const next = await nextRunnablePlan(waveDir);
+      const executed = await executePhase(waveDir, 1);
+      const resumed = await resumeWorkflow(waveDir);
+
+      await writePlan(1, ['01-04']);
+      await writePlan(3, ['01-09']);
+      let graphErrors = '';
+      try {
+        await schedulePhase(waveDir, 1);
+      } catch (error) {
+        graphErrors = error.message;
+      }
+      const blocked = await resumeWorkflow(waveDir);
+
+      const passed = JSON.stringify(schedule.waves) === '[["01-01"],["01-02","01-03"],["01-04"]]' &&
+                     next.id === '01-02' &&
+                     executed.plan.id === '01-02' && (await readState(waveDir)).plan === 2 &&
+                     resumed.nextAction.includes('Plan 01-02, task 1 of 1') &&
+                     graphErrors.includes('nonexistent plan 01-09') &&
+                     graphErrors.includes('Dependency cycle: 01-01 → 01-04 → 01-02 → 01-01') &&
+                     blocked.nextPlan === null && blocked.summary.length > 0 &&
+                     blocked.warnings.some(warning => warning.ruleId === 'plan-schedule' && warning.message === graphErrors);
+      logTest('Wave scheduler orders plans and picks next runnable plan', passed, graphErrors.slice(0, 200));
+    } catch (error) {
+      logTest('Wave scheduler orders plans and picks next runnable plan', false, error.message);
+    } finally {
+      fs.rmSync(waveDir, { recursive: true, force: true });
+    }
+
+    // Test 17: task checkpoints survive a dead session and drive resume
+    const taskDir = gsdPath('scripts', 'test-tmp-tasks');
+    try {
+      const { markTaskComplete, getPlanProgress } = await import('./task-progress.js');
+      const phaseDir = path.join(taskDir, '.planning', 'phases', '01-setup');
+      const writePlan = secondTask => writeFileAtomic(path.join(phaseDir, '01-01-PLAN.md'), [
+        '---',
+        'phase: 01-setup',
+        'plan: 01',
+        'type: execute',
+        'wave: 1',
+        'depends_on: []',
+        'files_modified: []',
+        'autonomous: true',
+        '---',
+        '<objective>Set up</objective>',
+        '<tasks>',
+        '<task type="auto"><name>Task 1: Scaffold</name><action>Create folders</action></task>',
+        `<task type="auto"><name>${secondTask}</name><action>Write config</action></task>`,
+        '<task type="auto"><name>Task 3: Wire CLI</name><action>Add bin entry\nDocument flags</action></task>',
+        '</tasks>',
+        '<verification>- ok</verification>',
+        '<success_criteria>- ok</success_criteria>',
+        ''
+      ].join('\n'));
+
+      await initState(taskDir, { projectName: 'Task Test', totalPhases: 1 });
+      await writeFileAtomic(path.join(taskDir, '.planning', 'ROADMAP.md'), '## Phases\n\n### Phase 1: Setup\n');
+      await ensureDir(phaseDir);
+      await writePlan('Task 2: Configure');
+      await writeState(taskDir, { phase: 1, plan: 1, status: 'in_progress', step: 'Executing plan 01-01' });
+
+      await markTaskComplete(taskDir, 1, 1, 1);
+      await markTaskComplete(taskDir, 1, 1, 2);
+      const resumed = await resumeWorkflow(taskDir);
+
+      let outOfRange = false;
+      try {
+        await markTaskComplete(taskDir, 1, 1, 4);
+      } catch (error) {
+        outOfRange = error.message.includes('has 3 tasks; task 4 does not exist');
+      }
+
+      await writePlan('Task 2: Configure from env');
+      const renamed = await getPlanProgress(taskDir, 1, 1);
+
+      const passed = resumed.nextAction === 'Continue Plan 01-01, task 3 of 3: Task 3: Wire CLI' &&
+                     resumed.summary.includes('  Add bin entry\n  Document flags') &&
+                     resumed.nextPlan.progress.completed.join(',') === '1,2' &&
+                     outOfRange &&
+                     renamed.label === 'Plan 01-01, task 2 of 3' && renamed.stale.length === 1;
+      logTest('Task checkpoints drive resume at the next unfinished task', passed);
+    } catch (error) {
+      logTest('Task checkpoints drive resume at the next unfinished task', false, error.message);
+    } finally {
+      fs.rmSync(taskDir, { recursive: true, force: true });
+    }
+
+    // Test 18: summarizePlan gathers commits, line stats, decisions and deviations into SUMMARY.md
+    const summaryDir = gsdPath('scripts', 'test-tmp-summary');
+    try {
+      const { summarizePlan, collectPlanSummary } = await import('./plan-summary.js');
+      const { markTaskComplete, startPlan } = await import('./task-progress.js');
+      const { executePhase } = await import('./workflow-orchestrator.js');
+      const { logApprovalDecision } = await import('./approval-gate.js');
+      const git = (...args) => runCommand('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args],
+        { cwd: summaryDir });
+      const phaseDir = path.join(summaryDir, '.planning', 'phases', '01-setup');
+
+      await ensureDir(phaseDir);
+      await git('init', '-q');
+      await initState(summaryDir, { projectName: 'Summary Test', totalPhases: 1 });
+      await writeFileAtomic(path.join(summaryDir, '.planning', 'ROADMAP.md'), '## Phases\n\n### Phase 1: Setup\n');
+      await writeFileAtomic(path.join(phaseDir, '01-01-PLAN.md'), [
+        '---',
+        'phase: 01-setup',
+        'plan: 01',
+        'type: execute',
+        'wave: 1',
+        'depends_on: []',
+        'files_modified: [src/app.js, src/config.js]',
+        'autonomous: true',
+        '---',
+        '<objective>Scaffold the app entry point</objective>',
+        '<tasks>',
+        '<task type="auto"><name>Task 1: Create app.js</name></task>',
+        '</tasks>',
+        '<verification>- ok</verification>',
+        '<success_criteria>- ok</success_criteria>',
+        ''
+      ].join('\n'));
+      await writeState(summaryDir, { phase: 1, plan: 1, status: 'in_progress', step: 'Planning phase 1' });
+      await git('add', '-A');
+      await git('commit', '-q', '-m', 'docs: plan 01-01');
+
+      await executePhase(summaryDir, 1);
+      await startPlan(summaryDir, 1, 1);
+      await ensureDir(path.join(summaryDir, 'src'));
+      await writeFileAtomic(path.join(summaryDir, 'src', 'app.js'), 'export const app = 1;\n');
+      await writeFileAtomic(path.join(summaryDir, 'src', 'extra.js'), 'export const extra = 1;\n');
+      await git('add', '-A');
+      await git('commit', '-q', '-m', 'feat(01-01): add app entry point');
+      await logApprovalDecision(summaryDir, 'Entry point', 'ESM', 'Matches package type');
+      await markTaskComplete(summaryDir, 1, 1, 1);
+
+      const result = await summarizePlan(summaryDir, 1, 1);
+      let duplicateRejected = false;
+      try {
+        await summarizePlan(summaryDir, 1, 1);
+      } catch (error) {
+        duplicateRejected = error.message.includes('already exists');
+      }
+
+      // Without the executePhase journal entry, the start recorded by --start is the diff base
+      fs.rmSync(path.join(summaryDir, '.planning', 'journal.jsonl'));
+      const fromSidecar = await collectPlanSummary(summaryDir, 1, 1);
+
+      const content = await readFile(path.join(phaseDir, '01-01-SUMMARY.md'));
+      const passed = result.data.commits.length === 1 &&
+                     !content.includes('.planning/') &&
+                     fromSidecar.base === result.data.base && fromSidecar.commits.length === 1 &&
+                     content.includes('# Phase 1 Plan 01: Scaffold the app entry point Summary') &&
+                     content.includes('feat(01-01): add app entry point') &&
+                     content.includes('- `src/app.js` - created (+1 -0)') &&
+                     content.includes('[APPROVAL GATE] Entry point: ESM') &&
+                     content.includes('src/extra.js changed but is not listed in files_modified') &&
+                     content.includes('src/config.js listed in files_modified but not changed') &&
+                     content.includes('1. **Task 1: Create app.js** - complete') &&
+                     content.includes('All plans in Phase 1 complete') &&
+                     duplicateRejected;
+      logTest('summarizePlan renders SUMMARY from plan, git history and journal', passed);
+    } catch (error) {
+      logTest('summarizePlan renders SUMMARY from plan, git history and journal', false, error.message);
+    } finally {
+      fs.rmSync(summaryDir, { recursive: true, force: true });
+    }
+
+    // Test 19: verifyPhase writes VERIFICATION.md, records the verdict and gates transitionPhase
+    const verifyDir = gsdPath('scripts', 'test-tmp-verify');
+    try {
+      const { verifyPhase, transitionPhase } = await import('./workflow-orchestrator.js');
+      const { determineWorkflowType } = await import('./resume-manager.js');
+      const planning = path.join(verifyDir, '.planning');
+      const phaseDir = path.join(planning, 'phases', '01-setup');
+
+      await initState(verifyDir, { projectName: 'Verify Test', totalPhases: 2 });
+      await ensureDir(phaseDir);
+      await writeFileAtomic(path.join(planning, 'PROJECT.md'),
+        '# Verify Test\n\n## What This Is\n\nA test.\n\n## Core Value\n\nIt works.\n\n## Requirements\n\nSee REQUIREMENTS.md\n\n' +
+        '## Context\n\nNone.\n\n## Constraints\n\nNone.\n');
+      await writeFileAtomic(path.join(planning, 'REQUIREMENTS.md'),
+        '# Requirements\n\n## v1 Requirements\n\n- [ ] **CORE-01**: App starts\n\n## Traceability\n\n| CORE-01 | Phase 1 |\n');
+      await writeFileAtomic(path.join(planning, 'ROADMAP.md'),
+        '# Roadmap\n\n## Overview\n\nTwo phases.\n\n## Phases\n\n### Phase 1: Setup\n\n**Goal:** Scaffold the app\n' +
+        '**Requirements:** CORE-01\n**Success Criteria:**\n1. App starts with npm start\n\n### Phase 2: Build\n\n' +
+        '**Goal:** Build features\n\n## Progress\n\nNot started.\n\n## Dependencies\n\nNone.\n\n' +
+        '## Traceability\n\n| CORE-01 | Phase 1 | Pending |\n');
+      await writeFileAtomic(path.join(phaseDir, '01-01-PLAN.md'), [
+        '---', 'phase: 01-setup', 'plan: 01', 'type: execute', 'wave: 1', 'depends_on: []',
+        'files_modified: [package.json]', 'autonomous: true', '---',
+        '<objective>Scaffold</objective>', '<tasks><task type="auto"><name>Task 1: Scaffold</name></task></tasks>',
+        '<verification>- ok</verification>', '<success_criteria>- Project scaffolded `verify: file .planning/PROJECT.md`</success_criteria>', ''
+      ].join('\n'));
+      await writeState(verifyDir, { phase: 1, plan: 1, status: 'completed', step: 'Executed 01-01' });
+
+      const failed = await verifyPhase(verifyDir, 1);
+      const orchestrator = gsdPath('scripts', 'workflow-orchestrator.js');
+      let blocked = '';
+      try {
+        await runCommand('node', [orchestrator, `--root=${verifyDir}`, '--transition=2']);
+      } catch (error) {
+        blocked = error.message;
+      }
+
+      await writeFileAtomic(path.join(phaseDir, '01-01-SUMMARY.md'), '# Summary\n');
+      const pending = await verifyPhase(verifyDir, 1);
+      const workflowWhilePending = determineWorkflowType(await readState(verifyDir));
+
+      const passedResult = await verifyPhase(verifyDir, 1, { approveManual: true });
+      const report = await readFile(path.join(phaseDir, '01-VERIFICATION.md'));
+      const state = await readState(verifyDir);
+      const transitioned = await transitionPhase(verifyDir, 1, 2);
+      let skipBlocked = false;
+      try {
+        await runCommand('node', [orchestrator, `--root=${verifyDir}`, '--transition=3']);
+      } catch (error) {
+        skipBlocked = error.message.includes('Phase 3 does not exist');
+      }
+
+      const passed = failed.status === 'failed' &&
+                     failed.items.some(item => item.status === 'failed' && item.remediation.includes('01-01-SUMMARY.md')) &&
+                     blocked.includes('Phase 1 verification failed') &&
+                     pending.status === 'human_needed' && workflowWhilePending === 'verifyWork' &&
+                     passedResult.status === 'passed' &&
+                     report.includes('status: passed') && report.includes('**Status:** PASSED') &&
+                     report.includes('App starts with npm start') &&
+                     pending.items.some(item => item.check.startsWith('Project scaffolded') && item.status === 'passed') &&
+                     state.verifications.length === 1 && state.verifications[0].status === 'passed' &&
+                     parseStateMarkdown(state.rawContent).verifications[0].report === '.planning/phases/01-setup/01-VERIFICATION.md' &&
+                     transitioned.to === 2 && skipBlocked;
+      logTest('verifyPhase writes VERIFICATION.md, records verdict and gates transitions', passed, blocked);
+    } catch (error) {
+      logTest('verifyPhase writes VERIFICATION.md, records verdict and gates transitions', false, error.message);
+    } finally {
+      fs.rmSync(verifyDir, { recursive: true, force: true });
+    }
+
+    // Test 20: Success criteria with `verify:` checks are evaluated; plain criteria need a human
+    const criteriaDir = gsdPath('scripts', 'test-tmp-criteria');
+    try {
+      const { parseCriterion, evaluateCriteria, formatCriteriaReport } = await import('./success-criteria.js');
+      await ensureDir(path.join(criteriaDir, 'docs'));
+      await writeFileAtomic(path.join(criteriaDir, 'docs', 'GUIDE.md'), '# Guide\n\n## Install\n\nnpm install\n');
+      await writeFileAtomic(path.join(criteriaDir, 'ok.test.js'), "import test from 'node:test';\ntest('ok', () => {});\n");
+
+      const parsed = parseCriterion('Guide documents install `verify: file docs/GUIDE.md` `verify: section docs/GUIDE.md Install`');
+      const report = await evaluateCriteria(criteriaDir, [
+        parsed.text,
+        'Guide mentions npm `verify: grep docs/GUIDE.md "npm\\s+install"`',
+        'Node runs `verify: command node --version`',
+        'Tests pass `verify: test ok.test.js`',
+        { text: 'Changelog exists `verify: file CHANGELOG.md`', source: 'ROADMAP.md' },
+        'Escapes root `verify: file ../outside.md`',
+        'Unknown check `verify: exists docs/GUIDE.md`',
+        'Docs read well to a newcomer'
+      ]);
+      const statuses = report.items.map(item => item.status).join(',');
+      const text = formatCriteriaReport(report);
+
+      const passed = parsed.checks.length === 2 && parsed.description === 'Guide documents install' &&
+                     statuses === 'passed,passed,passed,passed,failed,failed,failed,manual' &&
+                     report.automated.passed === 4 && report.automated.failed === 3 && report.manual === 1 &&
+                     report.status === 'failed' &&
+                     report.items[4].results[0].detail === 'CHANGELOG.md missing' &&
+                     report.items[5].errors[0].includes('inside the project') &&
+                     text.includes('Automated checks: 4 passed, 3 failed') &&
+                     text.includes('[manual] Docs read well to a newcomer');
+      logTest('Success criteria evaluator separates automated and human checks', passed, statuses);
+    } catch (error) {
+      logTest('Success criteria evaluator separates automated and human checks', false, error.message);
+    } finally {
+      fs.rmSync(criteriaDir, { recursive: true, force: true });
+    }
+
   } catch (error) {
     logTest('Resume & orchestration tests - ERROR', false, error.message);
     // If import failed, mark remaining tests as failed
@@ -821,7 +1946,7 @@ async function testApprovalGatesAndResearch() {
       const testDir = gsdPath('scripts', 'test-synth-tmp');
       const templatesDir = path.join(testDir, 'gsd', 'templates');
 
-      // Create temp directory and STACK.md template
+      // Create temp directory and STACK.md template (with the partials it extends and includes)
       fs.mkdirSync(templatesDir, { recursive: true });
 
       // Copy STACK.md template to temp location
@@ -829,6 +1954,7 @@ async function testApprovalGatesAndResearch() {
       const testTemplatePath = path.join(templatesDir, 'STACK.md');
       const templateContent = fs.readFileSync(actualTemplatePath, 'utf8');
       fs.writeFileSync(testTemplatePath, templateContent);
+      fs.cpSync(gsdPath('templates', 'partials'), path.join(templatesDir, 'partials'), { recursive: true });
 
       // Create test findings
       const findings = [
@@ -0,0 +1,293 @@
+/**
+ * Journal Module
+ * Append-only audit trail of workflow state mutations (.planning/journal.jsonl)
+ *
+ * Critical patterns:
+ * - One JSON object per line; entries are only ever appended, never rewritten
+ * - Each entry: timestamp, actor, operation, phase, field-level before/after diff, git HEAD
+ *   (plus the snapshot id for a --recover restore)
+ * - Recorded by state-store.js saveStateDocument(), so every state write is journaled
+ * - Git HEAD lookup is best-effort (null outside a repository)
+ *
+ * CLI usage:
+ * - node gsd/scripts/journal.js                        (all entries)
+ * - node gsd/scripts/journal.js --since=2026-01-18
+ * - node gsd/scripts/journal.js --phase=2 --type=transitionPhase
+ * - node gsd/scripts/journal.js --json
+ */
+
+import { readFile, appendFile, fileExists, ensureDir } from './file-ops.js';
+import { runCommand } from './process-runner.js';
+import { parseArgs, isMainModule } from './cli-args.js';
+import { parsePhase } from './phase-numbers.js';
+import path from 'node:path';
+
+/**
+ * Get the journal path for a project
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {string} Absolute path to .planning/journal.jsonl
+ */
+export function getJournalPath(projectRoot) {
+  return path.join(projectRoot, '.planning', 'journal.jsonl');
+}
+
+/**
+ * Flatten a state document into dotted field paths (metrics.totalPhases, session.nextAction)
+ * Arrays are kept whole so they can be diffed as lists
+ *
+ * @param {Object} value - Object to flatten
+ * @param {string} [prefix] - Path prefix
+ * @returns {Object} Flat map of field path to value
+ */
+function flatten(value, prefix = '') {
+  const flat = {};
+  for (const [key, child] of Object.entries(value || {})) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (child && typeof child === 'object' && !Array.isArray(child)) {
+      Object.assign(flat, flatten(child, field));
+    } else {
+      flat[field] = child;
+    }
+  }
+  return flat;
+}
+
+/**
+ * Compute a field-level diff between two state documents
+ * Lists that only grew (decisions, todos, ...) record just the appended items
+ *
+ * @param {Object|null} before - Previous document (null when state is first created)
+ * @param {Object} after - New document
+ * @param {string[]} [ignore] - Fields excluded from the diff (default: lastUpdated)
+ * @returns {Array<Object>} Changes: {field, before, after} or {field, added}
+ */
+export function diffState(before, after, ignore = ['lastUpdated']) {
+  const oldFlat = flatten(before);
+  const newFlat = flatten(after);
+  const fields = [...new Set([...Object.keys(oldFlat), ...Object.keys(newFlat)])];
+  const changes = [];
+
+  for (const field of fields) {
+    if (ignore.includes(field)) {
+      continue;
+    }
+
+    const oldValue = oldFlat[field];
+    const newValue = newFlat[field];
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+      continue;
+    }
+
+    if (Array.isArray(oldValue) && Array.isArray(newValue) && newValue.length > oldValue.length &&
+        JSON.stringify(newValue.slice(0, oldValue.length)) === JSON.stringify(oldValue)) {
+      changes.push({ field, added: newValue.slice(oldValue.length) });
+    } else {
+      changes.push({
+        field,
+        before: oldValue === undefined ? null : oldValue,
+        after: newValue === undefined ? null : newValue
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Get the current git HEAD commit of the project
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<string|null>} Commit hash, or null if unavailable
+ */
+export async function getGitHead(projectRoot) {
+  try {
+    const { stdout } = await runCommand('git', ['rev-parse', 'HEAD'], { cwd: projectRoot });
+    return stdout.trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Append a state mutation to the journal
+ * No-op when the mutation changed nothing (besides lastUpdated)
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {Object} event - Event details
+ * @param {string} event.operation - Operation name (e.g., 'transitionPhase', 'logApprovalDecision')
+ * @param {string} [event.actor] - Who performed it (default: 'state-manager')
+ * @param {Object|null} event.before - State document before the mutation
+ * @param {Object} event.after - State document after the mutation
+ * @param {string} [event.snapshot] - Snapshot restored (recover operations)
+ * @returns {Promise<Object|null>} Appended entry, or null if nothing changed
+ * @throws {Error} If the journal cannot be written
+ */
+export async function appendJournalEntry(projectRoot, event) {
+  const diff = diffState(event.before, event.after);
+  if (diff.length === 0) {
+    return null;
+  }
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    actor: event.actor || 'state-manager',
+    operation: event.operation,
+    phase: event.after.phase,
+    diff,
+    gitHead: await getGitHead(projectRoot),
+    ...(event.snapshot ? { snapshot: event.snapshot } : {})
+  };
+
+  const journalPath = getJournalPath(projectRoot);
+  await ensureDir(path.dirname(journalPath));
+  await appendFile(journalPath, JSON.stringify(entry) + '\n');
+
+  return entry;
+}
+
+/**
+ * Read all journal entries, oldest first
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<Array<Object>>} Entries (empty if no journal exists)
+ * @throws {Error} If a line is not valid JSON (reports the line number)
+ */
+export async function readJournal(projectRoot) {
+  const journalPath = getJournalPath(projectRoot);
+  if (!await fileExists(journalPath)) {
+    return [];
+  }
+
+  const lines = (await readFile(journalPath)).split('\n');
+  const entries = [];
+
+  lines.forEach((line, index) => {
+    if (line.trim() === '') {
+      return;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Malformed journal entry at ${journalPath}:${index + 1}: ${error.message}`);
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Query journal entries
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {Object} [filters] - Filters (all optional, combined with AND)
+ * @param {string} [filters.since] - Date or ISO timestamp; entries at or after it
+ * @param {number} [filters.phase] - Entries in this phase or moving out of it
+ * @param {string|string[]} [filters.type] - Operation name(s)
+ * @returns {Promise<Array<Object>>} Matching entries, oldest first
+ * @throws {Error} If a filter value is invalid
+ */
+export async function queryJournal(projectRoot, filters = {}) {
+  let sinceTime = null;
+  if (filters.since !== undefined) {
+    sinceTime = Date.parse(filters.since);
+    if (Number.isNaN(sinceTime)) {
+      throw new Error(`Invalid --since value: ${filters.since}. Use a date (YYYY-MM-DD) or ISO timestamp.`);
+    }
+  }
+
+  const types = filters.type === undefined
+    ? null
+    : (Array.isArray(filters.type) ? filters.type : String(filters.type).split(','));
+
+  const entries = await readJournal(projectRoot);
+
+  return entries.filter(entry => {
+    if (sinceTime !== null && Date.parse(entry.timestamp) < sinceTime) {
+      return false;
+    }
+    if (types && !types.includes(entry.operation)) {
+      return false;
+    }
+    if (filters.phase !== undefined) {
+      const phaseChange = entry.diff.find(change => change.field === 'phase');
+      if (entry.phase !== filters.phase && !(phaseChange && phaseChange.before === filters.phase)) {
+        return false;
+      }
+    }
+    return true;
+  });
+}
+
+/**
+ * Format a journal entry as a single human-readable line
+ * @param {Object} entry - Journal entry
+ * @returns {string} Formatted line
+ */
+export function formatJournalEntry(entry) {
+  const head = entry.gitHead ? entry.gitHead.slice(0, 7) : 'no-git';
+  const changes = entry.diff.map(change => {
+    if (change.added) {
+      return `${change.field} +${change.added.length}`;
+    }
+    const show = value => (typeof value === 'object' && value !== null ? JSON.stringify(value) : value);
+    return `${change.field}: ${show(change.before)} → ${show(change.after)}`;
+  });
+  const source = entry.snapshot ? ` from snapshot ${entry.snapshot}` : '';
+  return `${entry.timestamp} [${entry.operation}] ${entry.actor}${source} phase ${entry.phase} (${head}): ${changes.join('; ')}`;
+}
+
+/**
+ * CLI entry point
+ * Prints journal entries filtered by --since, --phase and --type (--json for raw entries)
+ *
+ * @param {string[]} argv - Command-line arguments
+ * @returns {Promise<void>}
+ * @throws {Error} If filters are invalid or the journal is malformed
+ */
+async function main(argv) {
+  const { options } = parseArgs(argv);
+  const projectRoot = typeof options.root === 'string' ? options.root : process.cwd();
+
+  if (options.help) {
+    console.log(
+      'Usage: node gsd/scripts/journal.js [--root=DIR] [--since=DATE] [--phase=N] [--type=OPERATION[,OPERATION]] [--json]'
+    );
+    return;
+  }
+
+  const filters = {};
+  if (typeof options.since === 'string') {
+    filters.since = options.since;
+  }
+  if (options.phase !== undefined) {
+    filters.phase = parsePhase(options.phase);
+    if (filters.phase === null) {
+      throw new Error(`Invalid --phase value: ${options.phase}. Expected a phase number (e.g., 2 or 2.1).`);
+    }
+  }
+  if (typeof options.type === 'string') {
+    filters.type = options.type;
+  }
+
+  const entries = await queryJournal(projectRoot, filters);
+
+  if (options.json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+
+  if (entries.length === 0) {
+    console.log('No journal entries match.');
+    return;
+  }
+
+  for (const entry of entries) {
+    console.log(formatJournalEntry(entry));
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,133 @@
+/**
+ * Phase Numbers Module
+ * Parsing, ordering and naming of phase identifiers, including inserted decimal phases
+ *
+ * Critical patterns:
+ * - Planned phases are integers; urgent work inserted between them uses one decimal level (2.1, 2.2, never 2.10)
+ * - PHASE_PATTERN is the single regex source for phase identifiers in markdown and file names
+ * - Ordering is always numeric (2 < 2.1 < 2.2 < 3), never by string
+ * - Directory and file prefixes zero-pad the integer part only: 02-setup, 02.1-hotfix, 02.1-01-PLAN.md
+ * - Pure functions only (no file access)
+ */
+
+/**
+ * Regex source matching a phase identifier (2, 02, 2.1)
+ * A decimal part never ends in 0: as numbers 2.10 and 2.1 are equal, but their prefixes (02.10-, 02.1-) are not,
+ * so 2.10 and 2.0 are rejected rather than read as 2.1 and 2 (nor is a fragment of them, such as the 10 in 2.10)
+ */
+export const PHASE_PATTERN = '(?<![\\d.])\\d+(?:\\.\\d*[1-9])?(?!\\.?\\d)';
+
+const PHASE_REGEX = new RegExp(`^${PHASE_PATTERN}$`);
+
+/**
+ * Plan file name, e.g. 02-03-PLAN.md or 02.1-01-PLAN.md (groups: phase, plan)
+ */
+export const PLAN_FILE_REGEX = new RegExp(`^(${PHASE_PATTERN})-(\\d+)-PLAN\\.md$`);
+
+/**
+ * Check whether a value is a valid phase number (>= 1, at most one decimal level)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+export function isValidPhase(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 1 && PHASE_REGEX.test(String(value));
+}
+
+/**
+ * Parse a phase identifier from text ("2", "02", "2.1")
+ * @param {string|number} value - Raw phase identifier
+ * @returns {number|null} Phase number, or null if not a valid phase
+ */
+export function parsePhase(value) {
+  const text = String(value).trim();
+  if (!PHASE_REGEX.test(text)) {
+    return null;
+  }
+  const phase = Number(text);
+  return phase >= 1 ? phase : null;
+}
+
+/**
+ * Check whether a phase was inserted between planned phases (has a decimal part)
+ * @param {number} phase - Phase number
+ * @returns {boolean} True for decimal phases such as 2.1
+ */
+export function isInsertedPhase(phase) {
+  return !Number.isInteger(phase);
+}
+
+/**
+ * Sort comparator for phase numbers
+ * @param {number} a - First phase
+ * @param {number} b - Second phase
+ * @returns {number} Negative if a comes first
+ */
+export function comparePhases(a, b) {
+  return a - b;
+}
+
+/**
+ * Normalize a roadmap phase argument to a phase list
+ * Callers may pass a phase count (phases 1..N) or the roadmap's phase numbers
+ *
+ * @param {number|number[]|undefined} roadmapPhases - Phase count or phase numbers
+ * @returns {number[]|undefined} Ascending phase numbers, or undefined if unknown
+ */
+export function toPhaseList(roadmapPhases) {
+  if (roadmapPhases === undefined || roadmapPhases === null) {
+    return undefined;
+  }
+  if (typeof roadmapPhases === 'number') {
+    return Array.from({ length: roadmapPhases }, (_, i) => i + 1);
+  }
+  return [...roadmapPhases].sort(comparePhases);
+}
+
+/**
+ * Get the phase that follows the current one
+ * Without a roadmap phase list, the next planned (integer) phase is assumed
+ *
+ * @param {number} currentPhase - Current phase number
+ * @param {number[]} [phases] - Roadmap phase numbers
+ * @returns {number|null} Next phase, or null if the current phase is the last one
+ */
+export function getNextPhase(currentPhase, phases) {
+  if (!phases) {
+    return Math.floor(currentPhase) + 1;
+  }
+  const later = phases.filter(phase => phase > currentPhase).sort(comparePhases);
+  return later.length > 0 ? later[0] : null;
+}
+
+/**
+ * Format a phase as a directory/file prefix (2 → "02", 2.1 → "02.1")
+ * @param {number} phase - Phase number
+ * @returns {string} Zero-padded prefix
+ */
+export function formatPhasePrefix(phase) {
+  const [whole, fraction] = String(phase).split('.');
+  return fraction ? `${whole.padStart(2, '0')}.${fraction}` : whole.padStart(2, '0');
+}
+
+/**
+ * Format a plan identifier (2.1, 3 → "02.1-03")
+ * @param {number} phase - Phase number
+ * @param {number} plan - Plan number within the phase
+ * @returns {string} Plan identifier used in NN-MM-PLAN.md file names
+ */
+export function formatPlanId(phase, plan) {
+  return `${formatPhasePrefix(phase)}-${String(plan).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a plan identifier ("02.1-03" → { phase: 2.1, plan: 3 })
+ * @param {string} id - Plan identifier as used in NN-MM-PLAN.md file names
+ * @returns {{phase: number, plan: number}|null} Phase and plan numbers, or null if not a plan id
+ */
+export function parsePlanId(id) {
+  const match = String(id).trim().match(new RegExp(`^(${PHASE_PATTERN})-(\\d+)$`));
+  if (!match || parsePhase(match[1]) === null || parseInt(match[2], 10) < 1) {
+    return null;
+  }
+  return { phase: parsePhase(match[1]), plan: parseInt(match[2], 10) };
+}
@@ -0,0 +1,467 @@
+/**
+ * Plan Parser Module
+ * Loads NN-MM-PLAN.md files from .planning/phases/* into typed plan objects
+ *
+ * Critical patterns:
+ * - Frontmatter (phase, plan, type, wave, depends_on, files_modified, autonomous) normalized to typed fields
+ * - Body sections (<objective>, <tasks>, <verification>, <success_criteria>) parsed from XML-style tags
+ * - Tags inside fenced code blocks are ignored (plans often quote template examples)
+ * - Malformed plans reported as {file, line, message} errors, accumulated across all plans
+ * - Pure parsing (parsePlan) separated from file access (loadPlans)
+ *
+ * CLI usage:
+ * - node gsd/scripts/plan-parser.js                (list all plans, report malformed ones)
+ * - node gsd/scripts/plan-parser.js --phase=2 --json
+ */
+
+import frontmatter from 'front-matter';
+import { readFile } from './file-ops.js';
+import { parseArgs, isMainModule } from './cli-args.js';
+import { PHASE_PATTERN, PLAN_FILE_REGEX, parsePhase, comparePhases, formatPlanId } from './phase-numbers.js';
+import { readdir } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Frontmatter fields every plan must declare (see templates/PLAN.md)
+ */
+export const REQUIRED_PLAN_FIELDS = ['phase', 'plan', 'type', 'wave', 'depends_on', 'files_modified', 'autonomous'];
+
+/**
+ * Plan id reference, e.g. "03-01" or "02.1-01"
+ */
+const PLAN_ID_REGEX = new RegExp(`^${PHASE_PATTERN}-\\d+$`);
+
+/**
+ * Convert a character offset into a 1-based line number
+ * @param {string} content - Full file content
+ * @param {number} offset - Character offset
+ * @returns {number} Line number
+ */
+function lineAt(content, offset) {
+  return content.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Blank out fenced code blocks while preserving offsets and line breaks
+ * @param {string} content - Markdown content
+ * @returns {string} Content with code block bodies replaced by spaces
+ */
+function maskCodeFences(content) {
+  return content.replace(/^([ \t]*)(```|~~~)[^\n]*\n[\s\S]*?^[ \t]*\2[^\n]*$/gm, block =>
+    block.replace(/[^\n]/g, ' ')
+  );
+}
+
+/**
+ * Find a top-level <tag>...</tag> section
+ * @param {string} content - Original content
+ * @param {string} masked - Content with code fences masked
+ * @param {string} tag - Tag name
+ * @param {number} [from] - Offset to search from
+ * @returns {{text: string, start: number, end: number, line: number}|null} Section, or null if absent
+ */
+function findTag(content, masked, tag, from = 0) {
+  const openRegex = new RegExp(`<${tag}(\\s[^>]*)?>`, 'g');
+  openRegex.lastIndex = from;
+  const open = openRegex.exec(masked);
+  if (!open) {
+    return null;
+  }
+
+  const close = masked.indexOf(`</${tag}>`, open.index + open[0].length);
+  if (close === -1) {
+    return { text: null, start: open.index, end: -1, line: lineAt(content, open.index), attributes: open[1] || '' };
+  }
+
+  return {
+    text: content.slice(open.index + open[0].length, close).trim(),
+    start: open.index,
+    end: close + tag.length + 3,
+    line: lineAt(content, open.index),
+    attributes: open[1] || ''
+  };
+}
+
+/**
+ * Parse tag attributes (type="auto" gate="blocking")
+ * @param {string} source - Attribute source text
+ * @returns {Object} Attribute map
+ */
+function parseAttributes(source) {
+  return Object.fromEntries([...source.matchAll(/([\w-]+)="([^"]*)"/g)].map(match => [match[1], match[2]]));
+}
+
+/**
+ * Split a section into list items ("- item" or "1. item" lines)
+ * Lines that are not list items are appended to the previous item
+ *
+ * @param {string|null} text - Section text
+ * @returns {string[]} Items
+ */
+function parseListItems(text) {
+  if (!text) {
+    return [];
+  }
+  const items = [];
+  for (const line of text.split('\n')) {
+    const match = line.match(/^\s*(?:[-*]|\d+\.)\s+(.*)$/);
+    if (match) {
+      items.push(match[1].trim());
+    } else if (line.trim() && items.length > 0) {
+      items[items.length - 1] += ` ${line.trim()}`;
+    }
+  }
+  return items;
+}
+
+/**
+ * Normalize a YAML list-or-scalar value to an array of strings
+ * @param {*} value - Frontmatter value
+ * @returns {string[]} Values
+ */
+function toStringList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return (Array.isArray(value) ? value : String(value).split(',')).map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Parse the tasks inside a <tasks> section
+ * @param {string} content - Original content
+ * @param {string} masked - Content with code fences masked
+ * @param {Object} section - <tasks> section from findTag
+ * @param {string} file - File path for error reporting
+ * @param {Array<Object>} errors - Error accumulator
+ * @returns {Array<Object>} Tasks: {number, type, attributes, name, files, action, verify, done, fields, line}
+ */
+function parseTasks(content, masked, section, file, errors) {
+  const tasks = [];
+  let cursor = section.start;
+
+  while (true) {
+    const task = findTag(content, masked, 'task', cursor);
+    if (!task || task.start >= section.end) {
+      break;
+    }
+    if (task.text === null || task.end > section.end) {
+      errors.push({ file, line: task.line, message: 'Unclosed <task> tag (expected </task> before </tasks>)' });
+      break;
+    }
+
+    const body = content.slice(task.start, task.end);
+    const maskedBody = masked.slice(task.start, task.end);
+    const fields = {};
+    for (const match of maskedBody.matchAll(/<([a-z][\w-]*)(?:\s[^>]*)?>/g)) {
+      const tag = match[1];
+      if (tag === 'task' || tag in fields) {
+        continue;
+      }
+      const child = findTag(body, maskedBody, tag, match.index);
+      if (child && child.text !== null) {
+        fields[tag] = child.text;
+      }
+    }
+
+    const attributes = parseAttributes(task.attributes);
+    const number = tasks.length + 1;
+
+    if (!attributes.type) {
+      errors.push({ file, line: task.line, message: `Task ${number} has no type attribute (e.g., <task type="auto">)` });
+    }
+    if (!fields.name && !(attributes.type || '').startsWith('checkpoint')) {
+      errors.push({ file, line: task.line, message: `Task ${number} has no <name>` });
+    }
+
+    tasks.push({
+      number,
+      type: attributes.type || null,
+      attributes,
+      name: fields.name || (fields['what-built'] || '').split('\n')[0].trim() || `Task ${number}`,
+      files: toStringList(fields.files),
+      action: fields.action || null,
+      verify: fields.verify || null,
+      done: fields.done || null,
+      fields,
+      line: task.line
+    });
+
+    cursor = task.end;
+  }
+
+  return tasks;
+}
+
+/**
+ * Parse PLAN.md content into a typed plan object
+ *
+ * @param {string} content - PLAN.md content
+ * @param {string} file - File path (used for ids and error locations), e.g. .planning/phases/03-x/03-02-PLAN.md
+ * @returns {{plan: Object|null, errors: Array<{file: string, line: number, message: string}>}}
+ *   plan is null when the file cannot be parsed at all
+ */
+export function parsePlan(content, file) {
+  const errors = [];
+  const fileMatch = path.basename(file).match(PLAN_FILE_REGEX);
+
+  if (!fileMatch) {
+    errors.push({ file, line: 1, message: 'File name must follow NN-MM-PLAN.md (e.g., 03-02-PLAN.md)' });
+    return { plan: null, errors };
+  }
+
+  const phase = parsePhase(fileMatch[1]);
+  const planNumber = parseInt(fileMatch[2], 10);
+
+  if (!content.startsWith('---')) {
+    errors.push({ file, line: 1, message: 'Missing YAML frontmatter (file must start with ---)' });
+    return { plan: null, errors };
+  }
+
+  let parsed;
+  try {
+    parsed = frontmatter(content);
+  } catch (error) {
+    // js-yaml marks are 0-based within the frontmatter block, which starts on line 2
+    const line = error.mark && Number.isInteger(error.mark.line) ? error.mark.line + 2 : 1;
+    errors.push({ file, line, message: `Invalid YAML frontmatter: ${error.reason || error.message}` });
+    return { plan: null, errors };
+  }
+
+  const attributes = parsed.attributes || {};
+  const bodyOffset = content.length - parsed.body.length;
+  const masked = maskCodeFences(content);
+
+  // Frontmatter fields: report each missing one at the closing --- (where it would be added)
+  const frontmatterEnd = (content.split('\n').findIndex((line, i) => i > 0 && /^---\s*$/.test(line)) + 1) || 1;
+  for (const field of REQUIRED_PLAN_FIELDS) {
+    if (!(field in attributes)) {
+      errors.push({ file, line: frontmatterEnd, message: `Missing frontmatter field: ${field}` });
+    }
+  }
+
+  const fieldLine = field => {
+    const match = content.match(new RegExp(`^${field}:`, 'm'));
+    return match ? lineAt(content, match.index) : 1;
+  };
+
+  if ('phase' in attributes) {
+    const declared = String(attributes.phase).match(new RegExp(`^(${PHASE_PATTERN})`));
+    if (!declared || parsePhase(declared[1]) !== phase) {
+      errors.push({
+        file,
+        line: fieldLine('phase'),
+        message: `Frontmatter phase "${attributes.phase}" does not match file name (phase ${phase})`
+      });
+    }
+  }
+
+  if ('plan' in attributes && parseInt(attributes.plan, 10) !== planNumber) {
+    errors.push({
+      file,
+      line: fieldLine('plan'),
+      message: `Frontmatter plan "${attributes.plan}" does not match file name (plan ${planNumber})`
+    });
+  }
+
+  const wave = attributes.wave === undefined ? 1 : Number(attributes.wave);
+  if (!Number.isInteger(wave) || wave < 1) {
+    errors.push({ file, line: fieldLine('wave'), message: `wave must be a positive integer (got "${attributes.wave}")` });
+  }
+
+  const dependsOn = toStringList(attributes.depends_on);
+  for (const dependency of dependsOn) {
+    if (!PLAN_ID_REGEX.test(dependency)) {
+      errors.push({
+        file,
+        line: fieldLine('depends_on'),
+        message: `depends_on entry "${dependency}" is not a plan id (expected NN-MM, e.g., 03-01)`
+      });
+    }
+  }
+
+  if ('autonomous' in attributes && typeof attributes.autonomous !== 'boolean') {
+    errors.push({ file, line: fieldLine('autonomous'), message: 'autonomous must be true or false' });
+  }
+
+  // Body sections
+  const sections = {};
+  for (const tag of ['objective', 'tasks', 'verification', 'success_criteria']) {
+    const section = findTag(content, masked, tag, bodyOffset);
+    if (!section) {
+      errors.push({ file, line: lineAt(content, content.length), message: `Missing <${tag}> section` });
+    } else if (section.text === null) {
+      errors.push({ file, line: section.line, message: `Unclosed <${tag}> tag` });
+    } else {
+      sections[tag] = section;
+    }
+  }
+
+  const tasks = sections.tasks ? parseTasks(content, masked, sections.tasks, file, errors) : [];
+  if (sections.tasks && tasks.length === 0) {
+    errors.push({ file, line: sections.tasks.line, message: '<tasks> section contains no <task> entries' });
+  }
+
+  return {
+    plan: {
+      id: formatPlanId(phase, planNumber),
+      phase,
+      plan: planNumber,
+      file,
+      type: attributes.type || null,
+      wave: Number.isInteger(wave) ? wave : null,
+      dependsOn,
+      filesModified: toStringList(attributes.files_modified),
+      autonomous: attributes.autonomous !== false,
+      frontmatter: attributes,
+      objective: sections.objective ? sections.objective.text : null,
+      tasks,
+      verification: sections.verification ? parseListItems(sections.verification.text) : [],
+      successCriteria: sections.success_criteria ? parseListItems(sections.success_criteria.text) : []
+    },
+    errors
+  };
+}
+
+/**
+ * List phase directories under .planning/phases, ordered by phase number
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<Array<{phase: number, name: string, path: string}>>} Phase directories
+ */
+export async function listPhaseDirs(projectRoot) {
+  const phasesDir = path.join(projectRoot, '.planning', 'phases');
+
+  let entries;
+  try {
+    entries = await readdir(phasesDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw new Error(`Failed to list ${phasesDir}: ${error.message}`);
+  }
+
+  const dirRegex = new RegExp(`^(${PHASE_PATTERN})-`);
+  return entries
+    .filter(entry => entry.isDirectory() && dirRegex.test(entry.name))
+    .map(entry => ({
+      phase: parsePhase(entry.name.match(dirRegex)[1]),
+      name: entry.name,
+      path: path.join(phasesDir, entry.name)
+    }))
+    .sort((a, b) => comparePhases(a.phase, b.phase));
+}
+
+/**
+ * Load every NN-MM-PLAN.md under .planning/phases/*
+ * Malformed plans are reported in errors (with file/line) instead of aborting the load
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {Object} [options] - Load options
+ * @param {number} [options.phase] - Only load plans for this phase
+ * @returns {Promise<{plans: Array<Object>, errors: Array<{file: string, line: number, message: string}>}>}
+ *   Plans ordered by phase then plan number; file paths relative to projectRoot
+ */
+export async function loadPlans(projectRoot, options = {}) {
+  const plans = [];
+  const errors = [];
+
+  for (const dir of await listPhaseDirs(projectRoot)) {
+    if (options.phase !== undefined && dir.phase !== options.phase) {
+      continue;
+    }
+
+    const files = (await readdir(dir.path)).filter(file => file.endsWith('-PLAN.md')).sort();
+    for (const file of files) {
+      const relative = path.relative(projectRoot, path.join(dir.path, file)).split(path.sep).join('/');
+      const result = parsePlan(await readFile(path.join(dir.path, file)), relative);
+      errors.push(...result.errors);
+      if (result.plan) {
+        if (result.plan.phase !== dir.phase) {
+          errors.push({ file: relative, line: 1, message: `Plan file is in the directory for phase ${dir.phase}` });
+        }
+        plans.push(result.plan);
+      }
+    }
+  }
+
+  plans.sort((a, b) => comparePhases(a.phase, b.phase) || a.plan - b.plan);
+  return { plans, errors };
+}
+
+/**
+ * Load a single plan
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {number} phase - Phase number
+ * @param {number} planNumber - Plan number
+ * @returns {Promise<Object>} Plan object
+ * @throws {Error} If the plan does not exist or is malformed
+ */
+export async function loadPlan(projectRoot, phase, planNumber) {
+  const { plans, errors } = await loadPlans(projectRoot, { phase });
+  const plan = plans.find(candidate => candidate.plan === planNumber);
+  const id = formatPlanId(phase, planNumber);
+
+  if (!plan) {
+    throw new Error(`Plan ${id} not found under .planning/phases/. Create ${id}-PLAN.md first.`);
+  }
+
+  const planErrors = errors.filter(error => error.file === plan.file);
+  if (planErrors.length > 0) {
+    throw new Error(`Plan ${id} is malformed:\n${formatPlanErrors(planErrors)}`);
+  }
+
+  return plan;
+}
+
+/**
+ * Format plan errors as "file:line: message" lines
+ * @param {Array<{file: string, line: number, message: string}>} errors - Plan errors
+ * @returns {string} Formatted, numbered error list
+ */
+export function formatPlanErrors(errors) {
+  return errors.map((err, i) => `  ${i + 1}. ${err.file}:${err.line}: ${err.message}`).join('\n');
+}
+
+/**
+ * CLI entry point
+ * Lists plans (or prints them as JSON) and fails if any plan is malformed
+ *
+ * @param {string[]} argv - Command-line arguments
+ * @returns {Promise<void>}
+ * @throws {Error} If any plan is malformed
+ */
+async function main(argv) {
+  const { options } = parseArgs(argv);
+  const projectRoot = typeof options.root === 'string' ? options.root : process.cwd();
+
+  const loadOptions = {};
+  if (options.phase !== undefined) {
+    loadOptions.phase = parsePhase(options.phase);
+    if (loadOptions.phase === null) {
+      throw new Error('--phase must be a phase number (e.g., --phase=2 or --phase=2.1)');
+    }
+  }
+
+  const { plans, errors } = await loadPlans(projectRoot, loadOptions);
+
+  if (options.json) {
+    console.log(JSON.stringify({ plans, errors }, null, 2));
+  } else {
+    for (const plan of plans) {
+      const dependsOn = plan.dependsOn.length > 0 ? ` depends on ${plan.dependsOn.join(', ')}` : '';
+      console.log(`${plan.id}  wave ${plan.wave}  ${plan.tasks.length} task(s)${dependsOn}  ${plan.file}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`${errors.length} plan error(s):\n${formatPlanErrors(errors)}`);
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,278 @@
+/**
+ * Plan Summary Module
+ * Generates NN-MM-SUMMARY.md for an executed plan from the plan, task checkpoints, git history and journal
+ *
+ * Critical patterns:
+ * - Plan start = first executePhase journal entry for the plan, else the start recorded by task-progress.js --start
+ *   (its git HEAD is the diff base)
+ * - Commits and line stats from git (runCommand with argument arrays, no shell)
+ * - Decisions = Key Decisions appended to state while the plan ran (from journal diffs)
+ * - .planning/ bookkeeping (state, journal, snapshots, progress sidecars) is not plan output: left out of the
+ *   file list, key files and deviations
+ * - Existing SUMMARY never overwritten without force (SUMMARY marks the plan complete for wave-scheduler.js)
+ *
+ * CLI usage:
+ * - node gsd/scripts/plan-summary.js --plan=03-02
+ * - node gsd/scripts/plan-summary.js --plan=03-02 --base=abc1234 --force
+ */
+
+import { loadPlan } from './plan-parser.js';
+import { getPlanProgress } from './task-progress.js';
+import { schedulePhase } from './wave-scheduler.js';
+import { readJournal } from './journal.js';
+import { renderTemplate } from './template-renderer.js';
+import { runCommand } from './process-runner.js';
+import { writeFileAtomic, fileExists } from './file-ops.js';
+import { formatPlanId, parsePlanId } from './phase-numbers.js';
+import { parseArgs, isMainModule } from './cli-args.js';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Default templates directory (gsd/templates, relative to this script)
+ */
+const DEFAULT_TEMPLATES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'templates');
+
+/**
+ * Find the journal entry that started a plan
+ *
+ * @param {Array<Object>} entries - Journal entries, oldest first
+ * @param {number} phase - Phase number
+ * @param {number} planNumber - Plan number
+ * @returns {Object|null} First executePhase entry that selected the plan, or null
+ */
+function findPlanStart(entries, phase, planNumber) {
+  const id = formatPlanId(phase, planNumber);
+  return entries.find(entry =>
+    entry.operation === 'executePhase' && entry.phase === phase &&
+    entry.diff.some(change =>
+      (change.field === 'plan' && change.after === planNumber) ||
+      (change.field === 'step' && String(change.after).includes(id))
+    )
+  ) || null;
+}
+
+/**
+ * Run a git command in the project
+ * @param {string} projectRoot - Root directory of the project
+ * @param {string[]} args - git arguments
+ * @returns {Promise<string>} stdout
+ */
+async function git(projectRoot, args) {
+  const { stdout } = await runCommand('git', args, { cwd: projectRoot });
+  return stdout;
+}
+
+/**
+ * Collect the inputs for a plan's SUMMARY
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {number} phase - Phase number
+ * @param {number} planNumber - Plan number
+ * @param {Object} [options] - Options
+ * @param {string} [options.base] - Git revision the plan started from (default: from the journal or the --start record)
+ * @returns {Promise<Object>} Summary data: { plan, progress, started, completed, base, commits, files, decisions, deviations, remainingPlans }
+ * @throws {Error} If the plan is malformed, its start cannot be determined, or git fails
+ */
+export async function collectPlanSummary(projectRoot, phase, planNumber, options = {}) {
+  const plan = await loadPlan(projectRoot, phase, planNumber);
+  const progress = await getPlanProgress(projectRoot, phase, planNumber);
+  const journal = await readJournal(projectRoot);
+  const start = findPlanStart(journal, phase, planNumber);
+
+  const recorded = progress.started && progress.started.gitHead ? progress.started : null;
+  const base = options.base || (start && start.gitHead) || (recorded && recorded.gitHead);
+  if (!base) {
+    throw new Error(
+      `Cannot determine where plan ${plan.id} started (no executePhase journal entry or ` +
+      `task-progress.js --plan=${plan.id} --start record with a git HEAD). ` +
+      'Pass --base=<commit> to summarize from a specific commit.'
+    );
+  }
+
+  // Commits made since the plan started, oldest first
+  const log = await git(projectRoot, ['log', '--reverse', '--format=%H%x09%s', `${base}..HEAD`]);
+  const commits = log
+    ? log.split('\n').map(line => {
+        const [hash, ...subject] = line.split('\t');
+        return { hash, subject: subject.join('\t') };
+      })
+    : [];
+
+  // Files changed with line stats (binary files report '-'); renames count as delete + create so both
+  // calls list the same paths, relative to projectRoot even when it is below the git top level
+  const numstat = await git(projectRoot, ['diff', '--numstat', '--no-renames', '--relative', base, 'HEAD']);
+  const nameStatus = await git(projectRoot, ['diff', '--name-status', '--no-renames', '--relative', base, 'HEAD']);
+  const statusByFile = new Map(
+    (nameStatus ? nameStatus.split('\n') : []).map(line => {
+      const [status, file] = line.split('\t');
+      return [file, status];
+    })
+  );
+  // .planning/ bookkeeping (state, journal, snapshots, progress sidecars) is not plan output
+  const files = (numstat ? numstat.split('\n') : [])
+    .map(line => line.split('\t'))
+    .filter(([, , file]) => !file.startsWith('.planning/'))
+    .map(([added, deleted, file]) => {
+      const status = statusByFile.get(file);
+      return {
+        file,
+        change: status === 'A' ? 'created' : status === 'D' ? 'deleted' : 'modified',
+        added: added === '-' ? null : Number(added),
+        deleted: deleted === '-' ? null : Number(deleted)
+      };
+    });
+
+  // Key Decisions appended to state while the plan ran
+  const startIndex = start ? journal.indexOf(start)
+    : recorded ? journal.findIndex(entry => entry.timestamp >= recorded.at) : -1;
+  const decisions = (startIndex === -1 ? [] : journal.slice(startIndex))
+    .flatMap(entry => entry.diff.filter(change => change.field === 'decisions' && change.added))
+    .flatMap(change => change.added);
+
+  // Deviations from files_modified
+  const changedFiles = files.map(entry => entry.file);
+  const deviations = [
+    ...changedFiles
+      .filter(file => !plan.filesModified.includes(file))
+      .map(file => ({ file, type: 'unplanned', message: `${file} changed but is not listed in files_modified` })),
+    ...plan.filesModified
+      .filter(file => !files.some(entry => entry.file === file))
+      .map(file => ({ file, type: 'untouched', message: `${file} listed in files_modified but not changed` }))
+  ];
+
+  const schedule = await schedulePhase(projectRoot, phase);
+  const remainingPlans = schedule.plans.filter(entry => !entry.complete && entry.id !== plan.id);
+
+  return {
+    plan,
+    progress,
+    started: start ? start.timestamp : recorded ? recorded.at : null,
+    completed: new Date().toISOString(),
+    base,
+    commits,
+    files,
+    decisions,
+    deviations,
+    remainingPlans
+  };
+}
+
+/**
+ * Render SUMMARY markdown from collected summary data
+ *
+ * @param {Object} data - Data from collectPlanSummary()
+ * @param {string} [templatesDir] - Templates directory (default: gsd/templates)
+ * @returns {Promise<string>} Rendered NN-MM-SUMMARY.md content
+ */
+export async function renderPlanSummary(data, templatesDir = DEFAULT_TEMPLATES_DIR) {
+  const { plan, progress } = data;
+  const list = (items, format, empty) => (items.length > 0 ? items.map(format).join('\n') : empty);
+  const minutes = data.started
+    ? Math.max(0, Math.round((Date.parse(data.completed) - Date.parse(data.started)) / 60000))
+    : null;
+  const objective = plan.objective || 'No objective recorded in the plan.';
+
+  const nextSteps = data.remainingPlans.length > 0
+    ? [
+        `Remaining plans in Phase ${plan.phase}: ${data.remainingPlans.map(entry => entry.id).join(', ')}`,
+        '',
+        'Find the next runnable plan: `node gsd/scripts/wave-scheduler.js --next`'
+      ].join('\n')
+    : `All plans in Phase ${plan.phase} complete. Verify the phase (verify-work workflow) before transitioning.`;
+
+  return renderTemplate('PLAN-SUMMARY', {
+    phaseName: plan.frontmatter.phase,
+    phase: plan.phase,
+    planNumber: String(plan.plan).padStart(2, '0'),
+    headline: objective.split('\n')[0].replace(/[.:]$/, ''),
+    started: data.started || 'unknown',
+    completed: data.completed,
+    completedDate: data.completed.slice(0, 10),
+    duration: minutes === null ? 'unknown' : `${minutes}min`,
+    taskCount: `${progress.completedTasks} of ${progress.totalTasks}`,
+    commitCount: data.commits.length,
+    createdFiles: JSON.stringify(data.files.filter(entry => entry.change === 'created').map(entry => entry.file)),
+    modifiedFiles: JSON.stringify(data.files.filter(entry => entry.change !== 'created').map(entry => entry.file)),
+    decisionList: JSON.stringify(data.decisions.map(decision => decision.decision)),
+    deviationCount: data.deviations.length,
+    objective,
+    tasksCompleted: plan.tasks.map(task =>
+      `${task.number}. **${task.name}** - ${progress.completed.includes(task.number) ? 'complete' : 'not checkpointed'}`
+    ).join('\n'),
+    taskCommits: list(data.commits, commit => `- \`${commit.hash.slice(0, 7)}\` ${commit.subject}`, 'No commits since the plan started.'),
+    filesChanged: list(data.files, entry => {
+      const stats = entry.added === null ? 'binary' : `+${entry.added} -${entry.deleted}`;
+      return `- \`${entry.file}\` - ${entry.change} (${stats})`;
+    }, 'No files changed.'),
+    decisionsMade: list(data.decisions, decision => `- **${decision.decision}** (${decision.date}): ${decision.rationale}`,
+      'None - followed plan as specified.'),
+    deviations: list(data.deviations, deviation => `- ${deviation.message}`, 'None - changes matched files_modified.'),
+    nextSteps
+  }, templatesDir);
+}
+
+/**
+ * Generate and write NN-MM-SUMMARY.md for an executed plan
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {number} phase - Phase number
+ * @param {number} planNumber - Plan number
+ * @param {Object} [options] - Options
+ * @param {string} [options.base] - Git revision the plan started from (default: from the journal or the --start record)
+ * @param {boolean} [options.force] - Overwrite an existing SUMMARY
+ * @param {string} [options.templatesDir] - Templates directory (default: gsd/templates)
+ * @returns {Promise<{path: string, content: string, data: Object}>} Written file and the collected data
+ * @throws {Error} If the SUMMARY exists (without force), or collection fails
+ */
+export async function summarizePlan(projectRoot, phase, planNumber, options = {}) {
+  const plan = await loadPlan(projectRoot, phase, planNumber);
+  const summaryPath = path.join(projectRoot, plan.file.replace(/-PLAN\.md$/, '-SUMMARY.md'));
+
+  if (!options.force && await fileExists(summaryPath)) {
+    throw new Error(`${path.relative(projectRoot, summaryPath)} already exists. Use --force to regenerate it.`);
+  }
+
+  const data = await collectPlanSummary(projectRoot, phase, planNumber, options);
+  const content = await renderPlanSummary(data, options.templatesDir);
+  await writeFileAtomic(summaryPath, content);
+
+  return { path: summaryPath, content, data };
+}
+
+/**
+ * CLI entry point
+ * Writes the SUMMARY for --plan=NN-MM
+ *
+ * @param {string[]} argv - Command-line arguments
+ * @returns {Promise<void>}
+ * @throws {Error} If options are invalid or generation fails
+ */
+async function main(argv) {
+  const { options } = parseArgs(argv);
+  const projectRoot = typeof options.root === 'string' ? options.root : process.cwd();
+
+  const planId = typeof options.plan === 'string' ? parsePlanId(options.plan) : null;
+  if (!planId) {
+    throw new Error('Usage: node gsd/scripts/plan-summary.js --plan=NN-MM [--base=COMMIT] [--force]');
+  }
+
+  const result = await summarizePlan(projectRoot, planId.phase, planId.plan, {
+    base: typeof options.base === 'string' ? options.base : undefined,
+    force: Boolean(options.force)
+  });
+
+  console.log(`Wrote ${path.relative(projectRoot, result.path)}`);
+  console.log(`  ${result.data.commits.length} commit(s), ${result.data.files.length} file(s) changed, ` +
+    `${result.data.decisions.length} decision(s), ${result.data.deviations.length} deviation(s)`);
+  for (const deviation of result.data.deviations) {
+    console.log(`  - ${deviation.message}`);
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
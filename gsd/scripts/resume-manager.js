@@ -7,16 +7,53 @@
  * - Auto-continue from checkpoint (no re-explanation)
  * - Recovery options for corrupted STATE.md (no automatic recovery)
  * - Loads correct guideline for workflow stage
+ * - Names the next runnable plan (wave-scheduler.js) and its next unfinished task (task-progress.js)
+ * - Plans that cannot be scheduled (malformed, dependency cycle) become a warning; the summary still loads
+ * - Restores STATE.md only from snapshots the user explicitly confirms (state.json rebuilt from it)
+ * - A restore is journaled like any other state write (operation 'recover', with the snapshot id)
+ * - Refuses to resume while planning files contradict each other (validator.js --check=consistency)
+ *
+ * CLI usage:
+ * - node gsd/scripts/resume-manager.js                              (show resume summary)
+ * - node gsd/scripts/resume-manager.js --recover                    (list snapshots)
+ * - node gsd/scripts/resume-manager.js --recover --snapshot=latest  (preview diff)
+ * - node gsd/scripts/resume-manager.js --recover --snapshot=latest --confirm
  */
 
-import { readState } from './state-manager.js';
+import { readState, parseStateContent } from './state-manager.js';
+import { validateConsistency } from './validator.js';
+import { createDiagnostic } from './diagnostics.js';
 import { loadGuideline } from './guideline-loader.js';
+import { getPhaseNumbers } from './roadmap-parser.js';
+import { nextRunnablePlan } from './wave-scheduler.js';
+import { getPlanProgress } from './task-progress.js';
+import { toPhaseList, getNextPhase } from './phase-numbers.js';
+import { listSnapshots, readSnapshot, restoreSnapshot, diffLines } from './state-history.js';
+import { getStatePaths, importStateFromMarkdown, loadStateDocument } from './state-store.js';
+import { appendJournalEntry } from './journal.js';
+import { readFile, fileExists } from './file-ops.js';
+import { parseArgs, isMainModule } from './cli-args.js';
 import path from 'node:path';
 
+/**
+ * Check whether a completed phase still needs verification
+ * Verdicts live in state.json; states parsed from a legacy STATE.md carry none and are not gated
+ *
+ * @param {Object} state - Current state (readState shape)
+ * @returns {boolean} True if the current phase has no passed verdict or must be re-verified
+ */
+export function needsVerification(state) {
+  if (!Array.isArray(state.verifications)) {
+    return false;
+  }
+  const verdict = state.verifications.find(v => v.phase === state.phase);
+  return !verdict || verdict.status !== 'passed' || (state.needsReverification || []).includes(state.phase);
+}
+
 /**
  * Determine which guideline to load based on workflow state
  * @param {Object} state - Current state from STATE.md
- * @returns {string} Workflow name (e.g., 'newProject', 'planPhase', 'executePhase')
+ * @returns {string} Workflow name (e.g., 'newProject', 'planPhase', 'executePhase', 'verifyWork')
  */
 export function determineWorkflowType(state) {
   // If at phase 0 or plan 0: initialization
@@ -24,6 +61,11 @@ export function determineWorkflowType(state) {
     return 'newProject';
   }
 
+  // If phase completed but not verified: verify before planning the next phase
+  if (state.status === 'completed' && needsVerification(state)) {
+    return 'verifyWork';
+  }
+
   // If phase completed: plan next phase
   if (state.status === 'completed') {
     return 'planPhase';
@@ -41,12 +83,30 @@ export function determineWorkflowType(state) {
 /**
  * Determine next action based on workflow state
  * @param {Object} state - Current state from STATE.md
+ * @param {number|number[]} [roadmapPhases] - Phase count or phase numbers from ROADMAP.md
+ *   (enables final-phase detection and inserted decimal phases)
+ * @param {Object|null} [nextPlan] - Next runnable plan from wave-scheduler.js (in-progress phases),
+ *   optionally with task progress from task-progress.js in nextPlan.progress
  * @returns {string} Next action description
  */
-export function determineNextAction(state) {
+export function determineNextAction(state, roadmapPhases, nextPlan) {
+  const phases = toPhaseList(roadmapPhases);
+  const nextPhase = getNextPhase(state.phase, phases);
+
+  // Phase completed but unverified: verification gates the transition
+  if (state.status === 'completed' && needsVerification(state)) {
+    return `Phase ${state.phase} complete. Verify it before transitioning: ` +
+      `node gsd/scripts/workflow-orchestrator.js --verify=${state.phase}`;
+  }
+
+  // Final phase completed: nothing left to transition to
+  if (state.status === 'completed' && phases !== undefined && nextPhase === null) {
+    return `All ${phases.length} phases complete. Project milestone complete!`;
+  }
+
   // Phase completed: ready for transition
   if (state.status === 'completed') {
-    return `Phase ${state.phase} complete. Ready to transition to Phase ${state.phase + 1}.`;
+    return `Phase ${state.phase} complete. Ready to transition to Phase ${nextPhase}.`;
   }
 
   // Blocked: need to resolve blocker
@@ -54,6 +114,18 @@ export function determineNextAction(state) {
     return `Workflow blocked: ${state.step}. Resolve blocker to continue.`;
   }
 
+  // In progress with a scheduled plan: resume at its next unfinished task
+  if (state.status === 'in_progress' && nextPlan && nextPlan.progress) {
+    const { progress } = nextPlan;
+    return progress.nextTask
+      ? `Continue ${progress.label}: ${progress.nextTask.name}`
+      : `${progress.label}. Create ${nextPlan.id}-SUMMARY.md to finish the plan.`;
+  }
+
+  if (state.status === 'in_progress' && nextPlan) {
+    return `Continue Phase ${state.phase}: execute Plan ${nextPlan.id} (wave ${nextPlan.wave}, ${nextPlan.file})`;
+  }
+
   // In progress: continue current step
   if (state.status === 'in_progress') {
     return `Continue ${state.step}`;
@@ -74,14 +146,23 @@ export function determineNextAction(state) {
  *
  * @param {Object} state - Current state from STATE.md
  * @param {Object} guideline - Loaded guideline object (with metadata.workflow)
- * @returns {string} Formatted status summary
+ * @param {number|number[]} [roadmapPhases] - Phase count or phase numbers from ROADMAP.md
+ * @param {Object|null} [nextPlan] - Next runnable plan from wave-scheduler.js (with optional task progress)
+ * @returns {string} Formatted status summary (includes the next task's action text when known)
  */
-export function generateStatusSummary(state, guideline) {
+export function generateStatusSummary(state, guideline, roadmapPhases, nextPlan) {
   const workflowName = guideline?.metadata?.workflow || 'unknown';
-  const nextAction = determineNextAction(state);
+  const phases = toPhaseList(roadmapPhases);
+  const phaseLabel = phases !== undefined ? `${state.phase} of ${phases.length}` : `${state.phase}`;
+  const nextTask = state.status === 'in_progress' ? nextPlan?.progress?.nextTask : null;
+
+  let nextAction = determineNextAction(state, phases, nextPlan);
+  if (nextTask && nextTask.action) {
+    nextAction += `\n${nextTask.action.split('\n').map(line => `  ${line.trim()}`).join('\n')}`;
+  }
 
   return `📍 Current Position
-Phase: ${state.phase} (${workflowName})
+Phase: ${phaseLabel} (${workflowName})
 Status: ${state.status}
 Last activity: ${state.step}
 
@@ -116,8 +197,10 @@ export function recoverFromCorruption(projectRoot, stateError) {
  * Loads current state, determines workflow type, and generates brief summary
  *
  * @param {string} projectRoot - Root directory of the project
- * @returns {Promise<Object>} Resume result: { state, guideline, summary, nextAction }
- * @throws {Error} If no active workflow or STATE.md corrupted
+ * @returns {Promise<Object>} Resume result: { state, guideline, summary, nextAction, nextPlan, warnings }
+ *   (nextPlan.progress holds task-level progress, including nextTask with its action text;
+ *   warnings are non-blocking consistency and plan scheduling diagnostics)
+ * @throws {Error} If no active workflow, STATE.md corrupted, or planning files contradict each other
  */
 export async function resumeWorkflow(projectRoot) {
   try {
@@ -129,6 +212,9 @@ export async function resumeWorkflow(projectRoot) {
       throw new Error("No active workflow found. Use 'start GSD' to begin a new project.");
     }
 
+    // Refuse to continue from a checkpoint the other planning files contradict
+    const { warnings } = await validateConsistency(projectRoot);
+
     // Determine which workflow guideline to load
     const workflowType = determineWorkflowType(state);
 
@@ -153,17 +239,47 @@ export async function resumeWorkflow(projectRoot) {
       }
     }
 
+    // Phase list from ROADMAP.md (optional - summary omits totals if roadmap unavailable)
+    let phases;
+    try {
+      phases = await getPhaseNumbers(projectRoot);
+    } catch (error) {
+      phases = undefined;
+    }
+
+    // Next plan in wave order and its task checkpoint (only meaningful while the phase is being executed)
+    // A malformed plan or dependency cycle becomes a warning, so the summary and guideline still load
+    let nextPlan = null;
+    if (state.status === 'in_progress') {
+      try {
+        nextPlan = await nextRunnablePlan(projectRoot, state.phase);
+      } catch (error) {
+        warnings.push(createDiagnostic({
+          ruleId: 'plan-schedule',
+          severity: 'warning',
+          file: path.join('.planning', 'phases'),
+          message: error.message,
+          fix: `fix the listed plans, then check with: node gsd/scripts/wave-scheduler.js --phase=${state.phase}`
+        }));
+      }
+    }
+    if (nextPlan) {
+      nextPlan = { ...nextPlan, progress: await getPlanProgress(projectRoot, state.phase, nextPlan.plan) };
+    }
+
     // Generate brief status summary
-    const summary = generateStatusSummary(state, guideline);
+    const summary = generateStatusSummary(state, guideline, phases, nextPlan);
 
     // Determine next action
-    const nextAction = determineNextAction(state);
+    const nextAction = determineNextAction(state, phases, nextPlan);
 
     return {
       state,
       guideline,
       summary,
-      nextAction
+      nextAction,
+      nextPlan,
+      warnings
     };
   } catch (error) {
     // Handle STATE.md not found
@@ -171,8 +287,8 @@ export async function resumeWorkflow(projectRoot) {
       throw new Error("No active workflow found. Use 'start GSD' to begin a new project.");
     }
 
-    // Handle STATE.md corruption
-    if (error.message.includes('Failed to parse STATE.md')) {
+    // Handle STATE.md / state.json corruption
+    if (error.message.includes('Failed to parse STATE.md') || error.message.includes('state.json')) {
       throw new Error(JSON.stringify(recoverFromCorruption(projectRoot, error)));
     }
 
@@ -180,3 +296,172 @@ export async function resumeWorkflow(projectRoot) {
     throw error;
   }
 }
+
+/**
+ * List STATE.md snapshots available for recovery, newest first
+ * Each candidate is checked with the same parser readState() uses
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<Array<Object>>} Candidates: {id, timestamp, valid, phase, plan, status, step, error}
+ */
+export async function listRecoveryCandidates(projectRoot) {
+  const snapshots = await listSnapshots(projectRoot);
+  const candidates = [];
+
+  for (const snapshot of snapshots) {
+    const content = await readFile(snapshot.path);
+    try {
+      const { phase, plan, status, step } = parseStateContent(content);
+      candidates.push({ id: snapshot.id, timestamp: snapshot.timestamp, valid: true, phase, plan, status, step });
+    } catch (error) {
+      candidates.push({ id: snapshot.id, timestamp: snapshot.timestamp, valid: false, error: error.message });
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Preview restoring a snapshot: validation result and diff against current STATE.md
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {string} snapshotId - Snapshot id (or 'latest')
+ * @returns {Promise<Object>} Preview: {id, timestamp, valid, state, error, diff}
+ * @throws {Error} If the snapshot does not exist
+ */
+export async function previewRecovery(projectRoot, snapshotId) {
+  const snapshot = await readSnapshot(projectRoot, snapshotId);
+  const statePath = path.join(projectRoot, '.planning', 'STATE.md');
+
+  let currentContent = '';
+  try {
+    currentContent = await readFile(statePath);
+  } catch (error) {
+    // Missing STATE.md: diff shows the whole snapshot as added
+  }
+
+  const preview = {
+    id: snapshot.id,
+    timestamp: snapshot.timestamp,
+    valid: true,
+    state: null,
+    error: null,
+    diff: diffLines(currentContent, snapshot.content)
+  };
+
+  try {
+    const { rawContent, ...state } = parseStateContent(snapshot.content);
+    preview.state = state;
+  } catch (error) {
+    preview.valid = false;
+    preview.error = error.message;
+  }
+
+  return preview;
+}
+
+/**
+ * Restore STATE.md from a snapshot after validating it
+ * The replaced STATE.md is snapshotted first, so a restore can be undone;
+ * an existing state.json is re-imported from the restored file, and the change is journaled
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {string} snapshotId - Snapshot id (or 'latest')
+ * @returns {Promise<Object>} Result: {restored, backup, state}
+ * @throws {Error} If the snapshot is missing or fails validation
+ */
+export async function restoreFromBackup(projectRoot, snapshotId) {
+  const preview = await previewRecovery(projectRoot, snapshotId);
+
+  if (!preview.valid) {
+    throw new Error(`Snapshot ${preview.id} is not a valid STATE.md: ${preview.error}`);
+  }
+
+  // The state being replaced may be the corrupted one; journal it as absent then
+  const before = await loadStateDocument(projectRoot).catch(() => null);
+  const result = await restoreSnapshot(projectRoot, preview.id);
+
+  // state.json is the source of truth; rebuild it from the restored STATE.md
+  if (await fileExists(getStatePaths(projectRoot).jsonPath)) {
+    await importStateFromMarkdown(projectRoot, { force: true });
+  }
+
+  const after = await loadStateDocument(projectRoot).catch(() => null);
+  if (after) {
+    await appendJournalEntry(projectRoot, {
+      operation: 'recover',
+      actor: 'resume-manager',
+      before,
+      after,
+      snapshot: result.restored
+    });
+  }
+
+  const { rawContent, ...state } = await readState(projectRoot);
+
+  return { ...result, state };
+}
+
+/**
+ * CLI entry point
+ * Without options prints the resume summary; --recover lists, previews and restores snapshots
+ *
+ * @param {string[]} argv - Command-line arguments
+ * @returns {Promise<void>}
+ * @throws {Error} If resume or recovery fails
+ */
+async function main(argv) {
+  const { options } = parseArgs(argv);
+  const projectRoot = typeof options.root === 'string' ? options.root : process.cwd();
+
+  if (!options.recover) {
+    const result = await resumeWorkflow(projectRoot);
+    console.log(result.summary);
+    result.warnings.forEach(warning => console.log(`  ! ${warning.message}`));
+    return;
+  }
+
+  if (typeof options.snapshot !== 'string') {
+    const candidates = await listRecoveryCandidates(projectRoot);
+    if (candidates.length === 0) {
+      console.log('No STATE.md snapshots found in .planning/.state-history/');
+      return;
+    }
+    console.log('STATE.md snapshots (newest first):\n');
+    for (const candidate of candidates) {
+      const detail = candidate.valid
+        ? `Phase ${candidate.phase}, Plan ${candidate.plan}, ${candidate.status} - ${candidate.step}`
+        : `INVALID: ${candidate.error}`;
+      console.log(`  ${candidate.id}  (${candidate.timestamp})  ${detail}`);
+    }
+    console.log('\nPreview: node gsd/scripts/resume-manager.js --recover --snapshot=<id|latest>');
+    return;
+  }
+
+  if (!options.confirm) {
+    const preview = await previewRecovery(projectRoot, options.snapshot);
+    console.log(`Snapshot ${preview.id} (${preview.timestamp})`);
+    console.log(preview.valid
+      ? `Valid: Phase ${preview.state.phase}, Plan ${preview.state.plan}, ${preview.state.status}`
+      : `INVALID: ${preview.error}`);
+    console.log(`\nDiff (current STATE.md → snapshot):\n${preview.diff || '  (identical)'}`);
+    if (preview.valid) {
+      console.log(`\nRestore: node gsd/scripts/resume-manager.js --recover --snapshot=${preview.id} --confirm`);
+    }
+    return;
+  }
+
+  const result = await restoreFromBackup(projectRoot, options.snapshot);
+  console.log(`Restored STATE.md from ${result.restored}`);
+  if (result.backup) {
+    console.log(`Previous STATE.md saved as ${result.backup}`);
+  }
+  console.log(`Phase ${result.state.phase}, Plan ${result.state.plan}, Status: ${result.state.status}`);
+}
+
+if (isMainModule(import.meta.url)) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,194 @@
+/**
+ * Roadmap Parser Module
+ * Parses the phase list from ROADMAP.md so phase counts are never hard-coded
+ *
+ * Critical patterns:
+ * - Phase sections come from "### Phase N: Name" headings under ## Phases
+ * - Inserted decimal phases ("### Phase 2.1: Hotfix") are ordered numerically between 2 and 3
+ * - Progress table rows ("| N - Name | Status | ... |") fill in phases without sections
+ * - Pure parsing (parseRoadmap) separated from file access (loadRoadmap)
+ * - All file operations async via file-ops.js
+ */
+
+import { readFile } from './file-ops.js';
+import { PHASE_PATTERN, parsePhase, comparePhases } from './phase-numbers.js';
+import path from 'node:path';
+
+/**
+ * Roadmap plan checklist line, e.g. "- [x] 02.1-01-PLAN.md — Patch auth"
+ */
+const PLAN_LINE_REGEX = new RegExp(`^- \\[([ x])\\] (${PHASE_PATTERN}-\\d+)-PLAN\\.md`, 'gm');
+
+/**
+ * Extract the body of a ## section (up to the next ## heading)
+ * @param {string} content - Markdown content
+ * @param {string} heading - Section heading text (without ##)
+ * @returns {string} Section body, or empty string if not found
+ */
+function extractH2Section(content, heading) {
+  const lines = content.split('\n');
+  const start = lines.findIndex(line => line.trim() === `## ${heading}`);
+  if (start === -1) {
+    return '';
+  }
+  const end = lines.findIndex((line, i) => i > start && /^## /.test(line));
+  return lines.slice(start + 1, end === -1 ? lines.length : end).join('\n');
+}
+
+/**
+ * Parse a "### Phase N: Name" section body into phase details
+ * @param {string} body - Section body (without the heading line)
+ * @returns {Object} { goal, requirements, successCriteria, plans }
+ */
+function parsePhaseBody(body) {
+  const goalMatch = body.match(/\*\*Goal:\*\*\s*([^\n]+)/);
+  const requirementsMatch = body.match(/\*\*Requirements:\*\*\s*([^\n]+)/);
+  const criteriaMatch = body.match(/\*\*Success Criteria:\*\*\s*\n((?:[ \t]*\d+\.[^\n]*\n?)+)/);
+
+  return {
+    goal: goalMatch ? goalMatch[1].trim() : '',
+    requirements: requirementsMatch
+      ? [...requirementsMatch[1].matchAll(/[A-Z]+-\d+/g)].map(match => match[0])
+      : [],
+    successCriteria: criteriaMatch
+      ? [...criteriaMatch[1].matchAll(/^[ \t]*\d+\.\s*(.+)$/gm)].map(match => match[1].trim())
+      : [],
+    plans: [...body.matchAll(PLAN_LINE_REGEX)].map(match => ({
+      id: match[2],
+      completed: match[1] === 'x'
+    }))
+  };
+}
+
+/**
+ * Parse ROADMAP.md content into an ordered phase list
+ *
+ * @param {string} content - ROADMAP.md content
+ * @returns {{phases: Array<Object>, totalPhases: number}} Phases sorted by number
+ *   Each phase: { number, name, status, goal, requirements, successCriteria, plans, section }
+ */
+export function parseRoadmap(content) {
+  const phases = new Map();
+
+  // Layer 1: ### Phase N: Name sections
+  const headingRegex = new RegExp(`^### Phase (${PHASE_PATTERN})\\s*[:\\-–]\\s*(.*)$`, 'gm');
+  const headings = [...content.matchAll(headingRegex)];
+
+  headings.forEach((match, i) => {
+    const bodyStart = match.index + match[0].length;
+    const rest = content.slice(bodyStart);
+    const nextHeading = rest.search(/^#{2,3} /m);
+    const body = nextHeading === -1 ? rest : rest.slice(0, nextHeading);
+    const number = parsePhase(match[1]);
+
+    phases.set(number, {
+      number,
+      name: match[2].trim(),
+      status: null,
+      ...parsePhaseBody(body),
+      section: body
+    });
+  });
+
+  // Layer 2: ## Progress table rows, e.g. "| 1 - Foundation & Templates | Complete | 19 | 5 |"
+  const progressSection = extractH2Section(content, 'Progress');
+  const rowRegex = new RegExp(
+    `^\\|\\s*(?:Phase\\s+)?(${PHASE_PATTERN})\\s*(?:[-–:.]\\s*([^|]*?))?\\s*\\|\\s*([^|]*?)\\s*\\|`,
+    'gm'
+  );
+
+  for (const row of progressSection.matchAll(rowRegex)) {
+    const number = parsePhase(row[1]);
+    const existing = phases.get(number);
+
+    if (existing) {
+      existing.status = row[3] || null;
+    } else {
+      phases.set(number, {
+        number,
+        name: (row[2] || '').trim(),
+        status: row[3] || null,
+        goal: '',
+        requirements: [],
+        successCriteria: [],
+        plans: [],
+        section: ''
+      });
+    }
+  }
+
+  const sorted = [...phases.values()].sort((a, b) => comparePhases(a.number, b.number));
+
+  return {
+    phases: sorted,
+    totalPhases: sorted.length
+  };
+}
+
+/**
+ * Load and parse .planning/ROADMAP.md
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<{phases: Array<Object>, totalPhases: number}>} Parsed roadmap
+ * @throws {Error} If ROADMAP.md not found
+ */
+export async function loadRoadmap(projectRoot) {
+  const roadmapPath = path.join(projectRoot, '.planning', 'ROADMAP.md');
+
+  try {
+    const content = await readFile(roadmapPath);
+    return parseRoadmap(content);
+  } catch (error) {
+    if (error.message.includes('File not found')) {
+      throw new Error(`ROADMAP.md not found at ${roadmapPath}. Create the roadmap first.`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the total number of phases defined in ROADMAP.md
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<number>} Total phases
+ * @throws {Error} If ROADMAP.md not found or defines no phases
+ */
+export async function getTotalPhases(projectRoot) {
+  const { totalPhases } = await loadRoadmap(projectRoot);
+
+  if (totalPhases === 0) {
+    throw new Error('ROADMAP.md defines no phases. Add "### Phase N: Name" sections under ## Phases.');
+  }
+
+  return totalPhases;
+}
+
+/**
+ * Get the ordered list of phase numbers defined in ROADMAP.md (including decimal phases)
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<number[]>} Phase numbers, ascending
+ * @throws {Error} If ROADMAP.md not found or defines no phases
+ */
+export async function getPhaseNumbers(projectRoot) {
+  const { phases } = await loadRoadmap(projectRoot);
+
+  if (phases.length === 0) {
+    throw new Error('ROADMAP.md defines no phases. Add "### Phase N: Name" sections under ## Phases.');
+  }
+
+  return phases.map(phase => phase.number);
+}
+
+/**
+ * Find a single phase in the roadmap
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {number} phaseNumber - Phase number
+ * @returns {Promise<Object|null>} Phase object, or null if not in the roadmap
+ * @throws {Error} If ROADMAP.md not found
+ */
+export async function getPhase(projectRoot, phaseNumber) {
+  const { phases } = await loadRoadmap(projectRoot);
+  return phases.find(phase => phase.number === phaseNumber) || null;
+}
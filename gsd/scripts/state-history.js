@@ -0,0 +1,215 @@
+/**
+ * State History Module
+ * Keeps a bounded ring of timestamped STATE.md snapshots for recovery
+ *
+ * Critical patterns:
+ * - Snapshot the previous STATE.md before every write (never the new content)
+ * - Bounded ring: oldest snapshots pruned beyond MAX_SNAPSHOTS
+ * - Filenames sortable by time and safe on Windows (no colons)
+ * - Restores are atomic and snapshot the current file first (restore is reversible)
+ */
+
+import { readFile, writeFileAtomic, fileExists, ensureDir } from './file-ops.js';
+import { readdir, unlink } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Maximum number of snapshots retained in .planning/.state-history/
+ */
+export const MAX_SNAPSHOTS = 20;
+
+const SNAPSHOT_PATTERN = /^STATE-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)(?:-(\d+))?\.md$/;
+
+/**
+ * Get the snapshot directory for a project
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {string} Absolute path to .planning/.state-history
+ */
+export function getHistoryDir(projectRoot) {
+  return path.join(projectRoot, '.planning', '.state-history');
+}
+
+/**
+ * List snapshots, newest first
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<Array<{id: string, timestamp: string, path: string}>>} Snapshot descriptors
+ */
+export async function listSnapshots(projectRoot) {
+  const historyDir = getHistoryDir(projectRoot);
+
+  let files;
+  try {
+    files = await readdir(historyDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw new Error(`Failed to list snapshots in ${historyDir}: ${error.message}`);
+  }
+
+  return files
+    .filter(file => SNAPSHOT_PATTERN.test(file))
+    .sort()
+    .reverse()
+    .map(file => {
+      const [, stamp] = file.match(SNAPSHOT_PATTERN);
+      // 2026-01-18T19-21-05-123Z → 2026-01-18T19:21:05.123Z
+      const timestamp = stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/, 'T$1:$2:$3.$4Z');
+      return {
+        id: file.slice(0, -3),
+        timestamp,
+        path: path.join(historyDir, file)
+      };
+    });
+}
+
+/**
+ * Snapshot the current STATE.md into the history ring
+ * No-op if STATE.md does not exist or matches the newest snapshot
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {number} [maxSnapshots] - Ring size (default: MAX_SNAPSHOTS)
+ * @returns {Promise<string|null>} Snapshot id, or null if nothing was saved
+ */
+export async function snapshotState(projectRoot, maxSnapshots = MAX_SNAPSHOTS) {
+  const statePath = path.join(projectRoot, '.planning', 'STATE.md');
+
+  if (!await fileExists(statePath)) {
+    return null;
+  }
+
+  const content = await readFile(statePath);
+  const existing = await listSnapshots(projectRoot);
+
+  // Skip duplicate of newest snapshot (repeated writes of unchanged state)
+  if (existing.length > 0 && await readFile(existing[0].path) === content) {
+    return null;
+  }
+
+  const historyDir = getHistoryDir(projectRoot);
+  await ensureDir(historyDir);
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  let id = `STATE-${stamp}`;
+  for (let counter = 1; existing.some(snapshot => snapshot.id === id); counter++) {
+    id = `STATE-${stamp}-${counter}`;
+  }
+
+  await writeFileAtomic(path.join(historyDir, `${id}.md`), content);
+
+  // Prune oldest beyond ring size (existing is newest first; one new snapshot added)
+  const stale = existing.slice(Math.max(maxSnapshots - 1, 0));
+  for (const snapshot of stale) {
+    await unlink(snapshot.path);
+  }
+
+  return id;
+}
+
+/**
+ * Read a snapshot's content
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {string} snapshotId - Snapshot id (or 'latest')
+ * @returns {Promise<{id: string, timestamp: string, path: string, content: string}>} Snapshot with content
+ * @throws {Error} If the snapshot does not exist
+ */
+export async function readSnapshot(projectRoot, snapshotId) {
+  const snapshots = await listSnapshots(projectRoot);
+  const snapshot = snapshotId === 'latest'
+    ? snapshots[0]
+    : snapshots.find(candidate => candidate.id === snapshotId || candidate.id === `STATE-${snapshotId}`);
+
+  if (!snapshot) {
+    throw new Error(
+      `Snapshot not found: ${snapshotId}. ` +
+      (snapshots.length > 0 ? `Available: ${snapshots.map(s => s.id).join(', ')}` : 'No snapshots exist.')
+    );
+  }
+
+  return { ...snapshot, content: await readFile(snapshot.path) };
+}
+
+/**
+ * Restore a snapshot over STATE.md atomically
+ * The current STATE.md is snapshotted first so the restore can itself be undone
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {string} snapshotId - Snapshot id (or 'latest')
+ * @returns {Promise<{restored: string, backup: string|null}>} Restored id and backup of the replaced file
+ * @throws {Error} If the snapshot does not exist or the write fails
+ */
+export async function restoreSnapshot(projectRoot, snapshotId) {
+  const snapshot = await readSnapshot(projectRoot, snapshotId);
+  const statePath = path.join(projectRoot, '.planning', 'STATE.md');
+
+  const backup = await snapshotState(projectRoot);
+  await writeFileAtomic(statePath, snapshot.content);
+
+  return { restored: snapshot.id, backup };
+}
+
+/**
+ * Produce a line diff between two texts (LCS-based, unified style)
+ * Unchanged runs longer than 2 * context lines are collapsed
+ *
+ * @param {string} oldText - Original text
+ * @param {string} newText - Updated text
+ * @param {number} [context] - Unchanged lines shown around each change (default: 2)
+ * @returns {string} Diff lines prefixed with ' ', '-' or '+' (empty string if identical)
+ */
+export function diffLines(oldText, newText, context = 2) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  // LCS length table (suffix-based)
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      ops.push({ type: '+', line: b[j] });
+      j++;
+    } else {
+      ops.push({ type: '-', line: a[i] });
+      i++;
+    }
+  }
+
+  if (!ops.some(op => op.type !== ' ')) {
+    return '';
+  }
+
+  // Keep changed lines plus surrounding context
+  const keep = ops.map(() => false);
+  ops.forEach((op, index) => {
+    if (op.type !== ' ') {
+      for (let k = Math.max(0, index - context); k <= Math.min(ops.length - 1, index + context); k++) {
+        keep[k] = true;
+      }
+    }
+  });
+
+  const output = [];
+  ops.forEach((op, index) => {
+    if (keep[index]) {
+      output.push(`${op.type} ${op.line}`);
+    } else if (index === 0 || keep[index - 1]) {
+      output.push('  ...');
+    }
+  });
+
+  return output.join('\n');
+}
@@ -1,17 +1,59 @@
 /**
  * State Manager Module
- * Provides atomic STATE.md persistence and progress tracking
+ * Provides workflow state persistence and progress tracking
  *
  * Critical patterns:
- * - Uses writeFileAtomic() for atomic STATE.md updates (prevents corruption)
- * - Parses and updates STATE.md fields with regex
+ * - .planning/state.json is the source of truth; STATE.md is rendered from it (state-store.js)
+ * - readState() keeps its {phase, plan, status, step, progressIndicator, lastUpdated, rawContent} shape
+ * - Projects with only a legacy STATE.md are read directly and imported on first write
+ * - Snapshots the previous STATE.md to .planning/.state-history/ before every write
+ * - Every write is journaled (.planning/journal.jsonl) with the calling operation and actor
  * - Generates visual progress indicators (█░ blocks)
  * - All functions async (no *Sync methods)
+ *
+ * CLI usage:
+ * - node gsd/scripts/state-manager.js --init --projectName="My App"
+ * - node gsd/scripts/state-manager.js --update status="completed" plan=3
+ * - node gsd/scripts/state-manager.js --get phase
+ * - node gsd/scripts/state-manager.js --show
+ * - node gsd/scripts/state-manager.js --import [--force]
  */
 
-import { readFile, writeFileAtomic } from './file-ops.js';
+import { readFile, fileExists } from './file-ops.js';
+import { getTotalPhases, getPhaseNumbers } from './roadmap-parser.js';
+import { isValidPhase } from './phase-numbers.js';
+import {
+  getStatePaths,
+  parseStateContent,
+  createStateDocument,
+  loadStateDocument,
+  saveStateDocument,
+  renderStateMarkdown,
+  importStateFromMarkdown
+} from './state-store.js';
+import { parseArgs, isMainModule } from './cli-args.js';
 import path from 'node:path';
 
+// Re-exported so existing importers keep a single state API
+export { parseStateContent, writeStateFile } from './state-store.js';
+
+/**
+ * Fields that can be updated from the CLI, with accepted aliases
+ * Aliases match the variable names used by templates/STATE.md and the guidelines
+ */
+const FIELD_ALIASES = {
+  phase: 'phase',
+  currentPhase: 'phase',
+  plan: 'plan',
+  currentPlan: 'plan',
+  status: 'status',
+  step: 'step',
+  currentStep: 'step',
+  lastActivity: 'step',
+  progressIndicator: 'progressIndicator',
+  progress: 'progressIndicator'
+};
+
 /**
  * Valid status values for STATE.md
  */
@@ -23,38 +65,48 @@ export const STATUS_VALUES = {
 };
 
 /**
- * Read and parse STATE.md content
+ * Project a state document onto the readState() shape
+ * @param {Object} document - State document from state.json
+ * @param {string} rawContent - STATE.md content
+ * @returns {Object} State object: {phase, plan, status, step, progressIndicator, lastUpdated,
+ *   needsReverification, verifications, rawContent}
+ */
+function toStateView(document, rawContent) {
+  return {
+    phase: document.phase,
+    plan: document.plan,
+    status: document.status,
+    step: document.step,
+    progressIndicator: document.progressIndicator,
+    lastUpdated: document.lastUpdated,
+    needsReverification: document.needsReverification || [],
+    verifications: document.verifications || [],
+    rawContent
+  };
+}
+
+/**
+ * Read current state
+ * Uses .planning/state.json when present; projects that predate it are parsed from STATE.md
+ *
  * @param {string} projectRoot - Root directory of the project
  * @returns {Promise<Object>} Parsed state object
- * @throws {Error} If STATE.md not found or parsing fails
+ * @throws {Error} If no state exists or parsing fails
  */
 export async function readState(projectRoot) {
+  const { jsonPath, markdownPath } = getStatePaths(projectRoot);
+
   try {
-    const statePath = path.join(projectRoot, '.planning', 'STATE.md');
-    const content = await readFile(statePath);
-
-    // Extract fields using regex with optional whitespace
-    const phaseMatch = content.match(/\*\*Phase:\*\*\s*(\d+)/);
-    const planMatch = content.match(/\*\*Plan:\*\*\s*(\d+)/);
-    const statusMatch = content.match(/\*\*Status:\*\*\s*(\w+)/);
-    const stepMatch = content.match(/\*\*Last activity:\*\*\s*([^\n]+)/);
-    const progressMatch = content.match(/\*\*Progress:\*\*\s*`([█░▓]+)/);
-    const lastUpdatedMatch = content.match(/\*\*Last Updated:\*\*\s*([^\n]+)/);
-
-    // Validate all required fields were found
-    if (!phaseMatch || !planMatch || !statusMatch) {
-      throw new Error('Failed to parse STATE.md: Missing required fields (Phase, Plan, or Status)');
+    if (await fileExists(jsonPath)) {
+      const document = await loadStateDocument(projectRoot);
+      const rawContent = await fileExists(markdownPath)
+        ? await readFile(markdownPath)
+        : await renderStateMarkdown(document);
+      return toStateView(document, rawContent);
     }
 
-    return {
-      phase: parseInt(phaseMatch[1], 10),
-      plan: parseInt(planMatch[1], 10),
-      status: statusMatch[1],
-      step: stepMatch ? stepMatch[1].trim() : 'Unknown',
-      progressIndicator: progressMatch ? progressMatch[1] : '',
-      lastUpdated: lastUpdatedMatch ? lastUpdatedMatch[1].trim() : new Date().toISOString().split('T')[0],
-      rawContent: content
-    };
+    const content = await readFile(markdownPath);
+    return parseStateContent(content);
   } catch (error) {
     if (error.message.includes('File not found')) {
       throw new Error(`STATE.md not found at ${projectRoot}/.planning/STATE.md. Initialize project first.`);
@@ -83,9 +135,9 @@ export function validateStateData(stateData) {
     throw new Error(`Invalid status: ${stateData.status}. Must be one of: ${validStatuses.join(', ')}`);
   }
 
-  // Check phase and plan are positive integers
-  if (!Number.isInteger(stateData.phase) || stateData.phase < 1) {
-    throw new Error('Phase must be a positive integer');
+  // Check phase is a positive phase number (decimals such as 2.1 are inserted phases)
+  if (!isValidPhase(stateData.phase)) {
+    throw new Error('Phase must be a positive phase number (e.g., 2 or 2.1)');
   }
 
   if (!Number.isInteger(stateData.plan) || stateData.plan < 0) {
@@ -99,7 +151,9 @@ export function validateStateData(stateData) {
 }
 
 /**
- * Write updated state data to STATE.md atomically
+ * Write updated state data to state.json and regenerate STATE.md
+ * A project without state.json is imported from its STATE.md on first write
+ *
  * @param {string} projectRoot - Root directory of the project
  * @param {Object} stateData - State data to write
  * @param {number} stateData.phase - Current phase number
@@ -107,91 +161,170 @@ export function validateStateData(stateData) {
  * @param {string} stateData.status - Current status
  * @param {string} stateData.step - Current step description
  * @param {string} stateData.progressIndicator - Visual progress bar
+ * @param {Object} [event] - Journal attribution: {operation, actor} (default operation: 'writeState')
  * @returns {Promise<void>}
  * @throws {Error} If write fails
  */
-export async function writeState(projectRoot, stateData) {
+export async function writeState(projectRoot, stateData, event = {}) {
   try {
     // Validate state data before writing
     validateStateData(stateData);
 
-    const statePath = path.join(projectRoot, '.planning', 'STATE.md');
-
-    // Read current content
-    const currentContent = await readFile(statePath);
-
-    // Update specific fields using regex replacement
-    let updatedContent = currentContent;
+    const document = await loadStateDocument(projectRoot);
 
-    if (stateData.phase !== undefined) {
-      updatedContent = updatedContent.replace(
-        /(\*\*Phase:\*\*\s*)\d+/,
-        `$1${stateData.phase}`
-      );
+    for (const field of ['phase', 'plan', 'status', 'step', 'progressIndicator']) {
+      if (stateData[field] !== undefined) {
+        document[field] = stateData[field];
+      }
     }
 
-    if (stateData.plan !== undefined) {
-      updatedContent = updatedContent.replace(
-        /(\*\*Plan:\*\*\s*)\d+/,
-        `$1${stateData.plan}`
-      );
-    }
+    await saveStateDocument(projectRoot, document, { operation: 'writeState', ...event });
+  } catch (error) {
+    throw new Error(`Failed to write STATE.md: ${error.message}`);
+  }
+}
 
-    if (stateData.status !== undefined) {
-      updatedContent = updatedContent.replace(
-        /(\*\*Status:\*\*\s*)\w+/,
-        `$1${stateData.status}`
-      );
+/**
+ * Initialize state.json and render STATE.md from templates/STATE.md
+ * Creates .planning/ if needed; refuses to overwrite existing state unless force is set
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {Object} [options] - Initial values (all optional)
+ * @param {string} [options.projectName] - Project name (default: project directory name)
+ * @param {string} [options.coreValue] - Core value statement
+ * @param {string} [options.currentFocus] - Current focus description
+ * @param {number} [options.totalPhases] - Total number of phases (default: from ROADMAP.md if present)
+ * @param {string} [options.step] - Initial step description (default: 'Initialization')
+ * @param {string} [options.templatesDir] - Templates directory (default: gsd/templates)
+ * @param {boolean} [options.force] - Overwrite existing state
+ * @param {string} [options.operation] - Journal operation name (default: 'initState')
+ * @param {string} [options.actor] - Journal actor
+ * @returns {Promise<Object>} Parsed state object (same shape as readState)
+ * @throws {Error} If state already exists or rendering fails
+ */
+export async function initState(projectRoot, options = {}) {
+  const { jsonPath, markdownPath } = getStatePaths(projectRoot);
+
+  if (!options.force) {
+    for (const existing of [markdownPath, jsonPath]) {
+      if (await fileExists(existing)) {
+        throw new Error(`${path.basename(existing)} already exists at ${existing}. Use --force to overwrite.`);
+      }
     }
+  }
 
-    if (stateData.step !== undefined) {
-      updatedContent = updatedContent.replace(
-        /(\*\*Last activity:\*\*\s*)[^\n]+/,
-        `$1${stateData.step}`
-      );
+  // New projects usually have no roadmap yet; progress shows "not yet planned" until one exists
+  let totalPhases = options.totalPhases || null;
+  if (!totalPhases) {
+    try {
+      totalPhases = await getTotalPhases(projectRoot);
+    } catch (error) {
+      totalPhases = null;
     }
+  }
 
-    if (stateData.progressIndicator !== undefined) {
-      updatedContent = updatedContent.replace(
-        /(\*\*Progress:\*\*\s*)`[^`]+`/,
-        `$1\`${stateData.progressIndicator}\``
-      );
+  const stateData = {
+    phase: 1,
+    plan: 0,
+    status: STATUS_VALUES.PENDING,
+    step: options.step || 'Initialization'
+  };
+  validateStateData(stateData);
+
+  const today = new Date().toISOString().split('T')[0];
+  const document = createStateDocument({
+    ...stateData,
+    projectName: options.projectName || path.basename(path.resolve(projectRoot)),
+    coreValue: options.coreValue || '(To be defined)',
+    currentFocus: options.currentFocus || 'Project initialization',
+    progressIndicator: totalPhases
+      ? generateProgressIndicator(0, totalPhases)
+      : '░ (0% - Phases not yet planned)',
+    metrics: { totalPhases },
+    todos: [{ text: 'Define requirements and create roadmap', done: false }],
+    recentChanges: [{ date: today, notes: '- Project initialized' }],
+    session: {
+      lastAction: 'Project initialized',
+      nextAction: 'Define requirements and create roadmap',
+      contextNeeded: '.planning/PROJECT.md',
+      resumeInstructions: 'Say "continue GSD workflow" to resume from this checkpoint.'
     }
+  });
 
-    // Always update last updated date
-    const today = new Date().toISOString().split('T')[0];
-    updatedContent = updatedContent.replace(
-      /(\*\*Last Updated:\*\*\s*)[^\n]+/,
-      `$1${today}`
-    );
+  await saveStateDocument(projectRoot, document, {
+    templatesDir: options.templatesDir,
+    operation: options.operation || 'initState',
+    actor: options.actor
+  });
 
-    // Write atomically
-    await writeFileAtomic(statePath, updatedContent);
-  } catch (error) {
-    throw new Error(`Failed to write STATE.md: ${error.message}`);
-  }
+  return readState(projectRoot);
 }
 
 /**
  * Generate visual progress indicator
- * @param {number} currentPhase - Current phase number (1-indexed)
+ * With a roadmap phase list, inserted decimal phases occupy their own slot (2 → 2.1 → 3)
+ *
+ * @param {number} currentPhase - Current phase number (1-indexed, may be decimal)
  * @param {number} totalPhases - Total number of phases
+ * @param {number[]} [phases] - Roadmap phase numbers (ascending)
  * @returns {string} Progress bar string (e.g., "██░░" for 2/4)
  */
-export function generateProgressIndicator(currentPhase, totalPhases) {
-  const percentage = Math.round((currentPhase / totalPhases) * 100);
-  const filled = '█'.repeat(currentPhase);
-  const empty = '░'.repeat(totalPhases - currentPhase);
-  return `${filled}${empty} (${percentage}% - Phase ${currentPhase} of ${totalPhases})`;
+export function generateProgressIndicator(currentPhase, totalPhases, phases) {
+  if (!Number.isInteger(totalPhases) || totalPhases < 1) {
+    throw new Error(`Total phases must be a positive integer (got ${totalPhases})`);
+  }
+
+  const position = phases
+    ? phases.filter(phase => phase <= currentPhase).length
+    : Math.floor(currentPhase);
+
+  if (currentPhase < 0 || position > totalPhases || (phases && currentPhase > 0 && !phases.includes(currentPhase))) {
+    throw new Error(`Phase ${currentPhase} is outside the roadmap (${totalPhases} phases)`);
+  }
+
+  const percentage = Math.round((position / totalPhases) * 100);
+  const filled = '█'.repeat(position);
+  const empty = '░'.repeat(totalPhases - position);
+  const label = position === currentPhase
+    ? `Phase ${currentPhase} of ${totalPhases}`
+    : `Phase ${currentPhase}, ${position} of ${totalPhases}`;
+  return `${filled}${empty} (${percentage}% - ${label})`;
+}
+
+/**
+ * Resolve the roadmap phase list from ROADMAP.md
+ * Falls back to an explicit total, then to the "of N" total in the current progress indicator
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {string} progressIndicator - Current progress indicator from STATE.md
+ * @param {number} [totalPhases] - Explicit total used when the roadmap is unavailable
+ * @returns {Promise<{totalPhases: number, phases: number[]|undefined}>} Total and phase list (if known)
+ * @throws {Error} If no source defines a total
+ */
+async function resolveRoadmapPhases(projectRoot, progressIndicator, totalPhases) {
+  try {
+    const phases = await getPhaseNumbers(projectRoot);
+    return { totalPhases: phases.length, phases };
+  } catch (error) {
+    if (totalPhases) {
+      return { totalPhases, phases: undefined };
+    }
+    const match = (progressIndicator || '').match(/ of (\d+)\)/);
+    if (match) {
+      return { totalPhases: parseInt(match[1], 10), phases: undefined };
+    }
+    throw error;
+  }
 }
 
 /**
  * Update progress with convenience merge
  * @param {string} projectRoot - Root directory of the project
  * @param {Object} updates - Partial state updates to merge
+ * @param {Object} [event] - Journal attribution: {operation, actor} (default operation: 'updateProgress')
  * @returns {Promise<Object>} Updated state object
  */
-export async function updateProgress(projectRoot, updates) {
+export async function updateProgress(projectRoot, updates, event = {}) {
   try {
     // Read current state
     const currentState = await readState(projectRoot);
@@ -199,15 +332,18 @@ export async function updateProgress(projectRoot, updates) {
     // Merge updates
     const updatedState = { ...currentState, ...updates };
 
-    // If phase changed and no progress indicator provided, regenerate it
-    if (updates.phase !== undefined && updates.progressIndicator === undefined) {
-      // Extract total phases from current state if available
-      // For now, assume 4 phases (from ROADMAP.md)
-      updatedState.progressIndicator = generateProgressIndicator(updates.phase, 4);
+    // If phase changed and no progress indicator provided, regenerate it;
+    // without a roadmap or a known total, the existing indicator is kept
+    const phaseChanged = updates.phase !== undefined && updates.phase !== currentState.phase;
+    if (phaseChanged && updates.progressIndicator === undefined) {
+      const roadmap = await resolveRoadmapPhases(projectRoot, currentState.progressIndicator).catch(() => null);
+      if (roadmap) {
+        updatedState.progressIndicator = generateProgressIndicator(updates.phase, roadmap.totalPhases, roadmap.phases);
+      }
     }
 
     // Write updated state
-    await writeState(projectRoot, updatedState);
+    await writeState(projectRoot, updatedState, { operation: 'updateProgress', ...event });
 
     return updatedState;
   } catch (error) {
@@ -220,13 +356,15 @@ export async function updateProgress(projectRoot, updates) {
  * Specialized function for phase transitions used by orchestration
  * @param {string} projectRoot - Root directory of the project
  * @param {number} newPhase - New phase number
- * @param {number} totalPhases - Total number of phases
+ * @param {number} [totalPhases] - Total number of phases (used when ROADMAP.md is unavailable)
+ * @param {Object} [event] - Journal attribution: {operation, actor} (default operation: 'transitionPhase')
  * @returns {Promise<Object>} Updated state object
  */
-export async function transitionPhase(projectRoot, newPhase, totalPhases) {
+export async function transitionPhase(projectRoot, newPhase, totalPhases, event = {}) {
   try {
     // Read current state
     const currentState = await readState(projectRoot);
+    const roadmap = await resolveRoadmapPhases(projectRoot, currentState.progressIndicator, totalPhases);
 
     // Create updated state for phase transition
     const updatedState = {
@@ -234,14 +372,153 @@ export async function transitionPhase(projectRoot, newPhase, totalPhases) {
       plan: 0, // Reset plan counter
       status: STATUS_VALUES.IN_PROGRESS,
       step: `Ready for Phase ${newPhase}`,
-      progressIndicator: generateProgressIndicator(newPhase, totalPhases)
+      progressIndicator: generateProgressIndicator(newPhase, roadmap.totalPhases, roadmap.phases)
     };
 
     // Validate and write state
-    await writeState(projectRoot, updatedState);
+    await writeState(projectRoot, updatedState, { operation: 'transitionPhase', ...event });
 
     return { ...currentState, ...updatedState };
   } catch (error) {
     throw new Error(`Failed to transition to phase ${newPhase}: ${error.message}`);
   }
 }
+
+/**
+ * Coerce a CLI value string to its typed equivalent
+ * Integers and decimals (phase=2.1) become numbers, true/false become booleans, everything else stays a string
+ *
+ * @param {string} value - Raw value from the command line
+ * @returns {number|boolean|string} Typed value
+ */
+function coerceValue(value) {
+  if (/^-?\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  if (/^-?\d+\.\d+$/.test(value)) {
+    return Number(value);
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Parse key=value pairs into a state update object
+ *
+ * @param {string[]} pairs - Pairs such as ['status=completed', 'plan=3']
+ * @returns {Object} Updates keyed by canonical state field
+ * @throws {Error} If a pair is malformed or names an unknown field
+ */
+export function parseStateUpdates(pairs) {
+  const updates = {};
+
+  for (const pair of pairs) {
+    const eqIndex = pair.indexOf('=');
+    if (eqIndex <= 0) {
+      throw new Error(`Invalid update "${pair}". Expected key=value`);
+    }
+
+    const key = pair.slice(0, eqIndex);
+    const field = FIELD_ALIASES[key];
+    if (!field) {
+      throw new Error(
+        `Unknown state field: ${key}. Updatable fields: ${[...new Set(Object.values(FIELD_ALIASES))].join(', ')}`
+      );
+    }
+
+    const value = pair.slice(eqIndex + 1);
+    updates[field] = field === 'step' || field === 'progressIndicator' ? value : coerceValue(value);
+  }
+
+  return updates;
+}
+
+/**
+ * CLI entry point
+ * Supports --init, --update key=value..., --get <field>, --show and --import
+ *
+ * @param {string[]} argv - Command-line arguments
+ * @returns {Promise<void>}
+ * @throws {Error} If options are invalid or the state operation fails
+ */
+async function main(argv) {
+  const { options, positionals } = parseArgs(argv);
+  const projectRoot = typeof options.root === 'string' ? options.root : process.cwd();
+
+  if (options.init) {
+    const state = await initState(projectRoot, {
+      projectName: typeof options.projectName === 'string' ? options.projectName : undefined,
+      coreValue: typeof options.coreValue === 'string' ? options.coreValue : undefined,
+      currentFocus: typeof options.currentFocus === 'string' ? options.currentFocus : undefined,
+      totalPhases: options.totalPhases ? parseInt(options.totalPhases, 10) : undefined,
+      force: options.force === true,
+      actor: 'cli'
+    });
+    console.log(`Initialized state.json and STATE.md in ${path.join(projectRoot, '.planning')}`);
+    console.log(`Phase ${state.phase}, Plan ${state.plan}, Status: ${state.status}`);
+    return;
+  }
+
+  if (options.update) {
+    if (positionals.length === 0) {
+      throw new Error('--update requires at least one key=value pair');
+    }
+    const updates = parseStateUpdates(positionals);
+    const current = await readState(projectRoot);
+    validateStateData({ ...current, ...updates });
+    const updated = await updateProgress(projectRoot, updates, { actor: 'cli' });
+    console.log(`Updated STATE.md: ${Object.keys(updates).map(key => `${key}=${updated[key]}`).join(', ')}`);
+    return;
+  }
+
+  if (options.import) {
+    const document = await importStateFromMarkdown(projectRoot, { force: options.force === true });
+    console.log(`Imported STATE.md into ${getStatePaths(projectRoot).jsonPath}`);
+    console.log(`Phase ${document.phase}, Plan ${document.plan}, Status: ${document.status}, ${document.decisions.length} decisions`);
+    return;
+  }
+
+  if (options.get) {
+    const key = typeof options.get === 'string' ? options.get : positionals[0];
+    const field = FIELD_ALIASES[key] || key;
+    const state = await readState(projectRoot);
+    if (key && field !== 'rawContent' && field in state) {
+      console.log(state[field]);
+      return;
+    }
+
+    // Remaining fields (decisions, metrics, session, ...) live only in the state document
+    const document = await loadStateDocument(projectRoot);
+    if (!key || !(field in document)) {
+      throw new Error(`Unknown state field: ${key}`);
+    }
+    const value = document[field];
+    console.log(typeof value === 'object' ? JSON.stringify(value, null, 2) : value);
+    return;
+  }
+
+  if (options.show) {
+    const { rawContent, ...state } = await readState(projectRoot);
+    console.log(JSON.stringify(state, null, 2));
+    return;
+  }
+
+  console.log(
+    'Usage: node gsd/scripts/state-manager.js [--root=DIR] <command>\n\n' +
+    'Commands:\n' +
+    '  --init [--projectName=NAME] [--coreValue=TEXT] [--totalPhases=N] [--force]\n' +
+    '  --update key=value [key=value ...]   Fields: phase, plan, status, step, progressIndicator\n' +
+    '  --get <field>\n' +
+    '  --show\n' +
+    '  --import [--force]                    Create state.json from an existing STATE.md'
+  );
+}
+
+if (isMainModule(import.meta.url)) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,529 @@
+/**
+ * State Store Module
+ * Persists the structured state document (.planning/state.json) and renders STATE.md from it
+ *
+ * Critical patterns:
+ * - state.json is the source of truth, validated against gsd/state-schema.json with ajv
+ * - STATE.md is regenerated from templates/STATE.md on every write (never patched in place)
+ * - Legacy STATE.md files are imported once into state.json (parseStateMarkdown)
+ * - Previous STATE.md snapshotted to .planning/.state-history/ before every write
+ * - Every save appended to .planning/journal.jsonl with a before/after diff (journal.js)
+ * - All functions async (no *Sync methods)
+ */
+
+import Ajv2020 from 'ajv/dist/2020.js';
+import { readFile, writeFileAtomic, fileExists, ensureDir } from './file-ops.js';
+import { renderTemplate } from './template-renderer.js';
+import { snapshotState } from './state-history.js';
+import { appendJournalEntry } from './journal.js';
+import { PHASE_PATTERN, parsePhase } from './phase-numbers.js';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const GSD_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Default templates directory (gsd/templates, relative to this script)
+ */
+const DEFAULT_TEMPLATES_DIR = path.join(GSD_ROOT, 'templates');
+
+/**
+ * State document schema (draft 2020-12)
+ */
+const STATE_SCHEMA_PATH = path.join(GSD_ROOT, 'state-schema.json');
+
+/**
+ * Status aliases accepted when importing hand-written STATE.md files
+ */
+const STATUS_ALIASES = {
+  pending: 'pending',
+  not_started: 'pending',
+  planned: 'pending',
+  in_progress: 'in_progress',
+  active: 'in_progress',
+  executing: 'in_progress',
+  completed: 'completed',
+  complete: 'completed',
+  done: 'completed',
+  blocked: 'blocked'
+};
+
+let compiledValidator = null;
+
+/**
+ * Get paths for the state files of a project
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {{planningDir: string, jsonPath: string, markdownPath: string}} Absolute paths
+ */
+export function getStatePaths(projectRoot) {
+  const planningDir = path.join(projectRoot, '.planning');
+  return {
+    planningDir,
+    jsonPath: path.join(planningDir, 'state.json'),
+    markdownPath: path.join(planningDir, 'STATE.md')
+  };
+}
+
+/**
+ * Today's date in YYYY-MM-DD format
+ * @returns {string} Date string
+ */
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Parse the position fields of STATE.md content
+ * @param {string} content - STATE.md content
+ * @returns {Object} Parsed state object: {phase, plan, status, step, progressIndicator, lastUpdated, rawContent}
+ * @throws {Error} If required fields (Phase, Plan, Status) are missing
+ */
+export function parseStateContent(content) {
+  // Extract fields using regex with optional whitespace
+  const phaseMatch = content.match(new RegExp(`\\*\\*Phase:\\*\\*\\s*(${PHASE_PATTERN})`));
+  const planMatch = content.match(/\*\*Plan:\*\*\s*(\d+)/);
+  const statusMatch = content.match(/\*\*Status:\*\*\s*(\w+)/);
+  const stepMatch = content.match(/\*\*Last activity:\*\*\s*([^\n]+)/);
+  const progressMatch = content.match(/\*\*Progress:\*\*\s*`([█░▓][^`]*)`/);
+  const lastUpdatedMatch = content.match(/\*\*Last Updated:\*\*\s*([^\n]+)/);
+
+  // Validate all required fields were found
+  if (!phaseMatch || !planMatch || !statusMatch) {
+    throw new Error('Failed to parse STATE.md: Missing required fields (Phase, Plan, or Status)');
+  }
+
+  return {
+    phase: parsePhase(phaseMatch[1]),
+    plan: parseInt(planMatch[1], 10),
+    status: statusMatch[1],
+    step: stepMatch ? stepMatch[1].trim() : 'Unknown',
+    progressIndicator: progressMatch ? progressMatch[1] : '',
+    lastUpdated: lastUpdatedMatch ? lastUpdatedMatch[1].trim() : today(),
+    rawContent: content
+  };
+}
+
+/**
+ * Create a new state document with defaults
+ *
+ * @param {Object} [values] - Overrides for top-level fields (metrics/session merged shallowly)
+ * @returns {Object} State document
+ */
+export function createStateDocument(values = {}) {
+  const date = today();
+  const { metrics = {}, session = {}, ...rest } = values;
+
+  return {
+    schema: 'gsd-state-v1',
+    projectName: 'Untitled Project',
+    version: '1.0.0',
+    coreValue: '(To be defined)',
+    currentFocus: '',
+    initializedDate: date,
+    lastUpdated: date,
+    phase: 1,
+    plan: 0,
+    status: 'pending',
+    step: 'Initialization',
+    progressIndicator: '',
+    decisions: [],
+    todos: [],
+    needsReverification: [],
+    verifications: [],
+    blockers: [],
+    recentChanges: [],
+    ...rest,
+    metrics: {
+      totalPhases: null,
+      completedPhases: 0,
+      totalRequirements: 0,
+      validatedRequirements: 0,
+      successRate: 'N/A',
+      ...metrics
+    },
+    session: {
+      lastAction: '',
+      nextAction: '',
+      contextNeeded: '',
+      resumeInstructions: '',
+      ...session
+    }
+  };
+}
+
+/**
+ * Validate a state document against state-schema.json
+ * Accumulates all schema errors before throwing
+ *
+ * @param {Object} document - State document
+ * @returns {Promise<boolean>} True if valid
+ * @throws {Error} If validation fails
+ */
+export async function validateStateDocument(document) {
+  if (!compiledValidator) {
+    const schema = JSON.parse(await readFile(STATE_SCHEMA_PATH));
+    compiledValidator = new Ajv2020({ allErrors: true, allowUnionTypes: true }).compile(schema);
+  }
+
+  if (!compiledValidator(document)) {
+    const errors = compiledValidator.errors.map(err => {
+      const field = err.instancePath.replace(/^\//, '').replace(/\//g, '.') || 'state';
+      return `${field}: ${err.message}`;
+    });
+    throw new Error(
+      'Invalid state.json:\n' + errors.map((err, i) => `  ${i + 1}. ${err}`).join('\n')
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Extract a bold "**Label:** value" field
+ * @param {string} content - Markdown content
+ * @param {string} label - Field label
+ * @returns {string|null} Trimmed value, or null if absent
+ */
+function extractField(content, label) {
+  const match = content.match(new RegExp(`\\*\\*${label}:\\*\\*[ \\t]*([^\\n]*)`));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Extract the body of a ### subsection (up to the next heading or --- rule)
+ * @param {string} content - Markdown content
+ * @param {string} heading - Subsection heading text (without ###)
+ * @returns {string} Trimmed body, or empty string if absent
+ */
+function extractSubsection(content, heading) {
+  const lines = content.split('\n');
+  const start = lines.findIndex(line => line.trim() === `### ${heading}`);
+  if (start === -1) {
+    return '';
+  }
+  const end = lines.findIndex((line, i) => i > start && (/^#{2,3} /.test(line) || line.trim() === '---'));
+  return lines.slice(start + 1, end === -1 ? lines.length : end).join('\n').trim();
+}
+
+/**
+ * Split a markdown table row into cells, honouring escaped pipes
+ * @param {string} row - Table row (| a | b | c |)
+ * @returns {string[]} Cell values
+ */
+function splitTableRow(row) {
+  return row
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Normalize a free-form status ("In progress", "Completed") to a STATUS_VALUES value
+ * @param {string} raw - Status text from STATE.md
+ * @returns {string} Normalized status
+ * @throws {Error} If the status is not recognized
+ */
+function normalizeStatus(raw) {
+  const key = raw.toLowerCase().replace(/\(.*\)/, '').trim().replace(/[\s-]+/g, '_');
+  const status = STATUS_ALIASES[key];
+  if (!status) {
+    throw new Error(`Cannot import STATE.md: unrecognized status "${raw}"`);
+  }
+  return status;
+}
+
+/**
+ * Build a full state document from STATE.md content (legacy importer)
+ * Understands both the current template and hand-maintained STATE.md files
+ *
+ * @param {string} content - STATE.md content
+ * @returns {Object} State document (not yet validated)
+ * @throws {Error} If Phase, Plan or Status cannot be parsed
+ */
+export function parseStateMarkdown(content) {
+  const position = parseStateContent(content);
+  const statusText = extractField(content, 'Status');
+
+  const phaseText = extractField(content, 'Phase') || '';
+  const phaseTotalMatch = phaseText.match(/\bof (\d+)/);
+  const phasesCompleted = (extractField(content, 'Phases Completed') || '').match(/(\d+)\s*\/\s*(\d+|\?)/);
+  const requirements = (extractField(content, 'Requirements Validated') || '').match(/(\d+)\s*\/\s*(\d+)/);
+
+  let totalPhases = null;
+  if (phasesCompleted && phasesCompleted[2] !== '?') {
+    totalPhases = parseInt(phasesCompleted[2], 10);
+  } else if (phaseTotalMatch) {
+    totalPhases = parseInt(phaseTotalMatch[1], 10);
+  }
+
+  const progressLine = extractField(content, 'Progress');
+  const titleMatch = content.match(/^# State:\s*(.+)$/m);
+  const initializedMatch = content.match(/\*State tracking initialized:\s*([^*\n]+)\*/);
+
+  const decisions = extractSubsection(content, 'Key Decisions')
+    .split('\n')
+    .filter(line => line.trim().startsWith('|'))
+    .map(splitTableRow)
+    .filter(cells => cells.length >= 3 && cells[0] !== 'Decision' && !/^-+$/.test(cells[0]))
+    .map(([decision, date, ...rationale]) => ({ decision, date, rationale: rationale.join(' | ') }));
+
+  const todos = [...extractSubsection(content, 'Active TODOs').matchAll(/^\s*- \[([ xX])\] (.+)$/gm)]
+    .map(match => ({ text: match[2].trim(), done: match[1] !== ' ' }));
+
+  // Open "Re-verify Phase N" TODOs (added by reopenPhase) carry the re-verification list
+  const needsReverification = [...new Set(todos
+    .filter(todo => !todo.done)
+    .map(todo => todo.text.match(new RegExp(`^Re-verify Phase (${PHASE_PATTERN})\\b`)))
+    .filter(Boolean)
+    .map(match => parsePhase(match[1])))];
+
+  // Verification verdicts (written by verifyPhase): - Phase 3: passed (timestamp, score) - report path
+  const verifications = [...extractSubsection(content, 'Verification').matchAll(
+    new RegExp(`^\\s*- Phase (${PHASE_PATTERN}): (passed|failed|human_needed) \\(([^,)]+), ([^)]+)\\) - (.+)$`, 'gm')
+  )].map(match => ({
+    phase: parsePhase(match[1]),
+    status: match[2],
+    verifiedAt: match[3].trim(),
+    score: match[4].trim(),
+    report: match[5].trim()
+  }));
+
+  const blockerText = extractSubsection(content, 'Known Blockers');
+  const blockers = /^none\.?$/i.test(blockerText)
+    ? []
+    : [...blockerText.matchAll(/^\s*- (.+)$/gm)].map(match => match[1].trim());
+
+  const changesText = extractSubsection(content, 'Recent Changes');
+  const recentChanges = [];
+  const dateHeaderRegex = /^\*\*(\d{4}-\d{2}-\d{2})[^*\n]*:\*\*\s*$/gm;
+  const dateHeaders = [...changesText.matchAll(dateHeaderRegex)];
+  if (dateHeaders.length > 0) {
+    dateHeaders.forEach((header, i) => {
+      const start = header.index + header[0].length;
+      const end = i + 1 < dateHeaders.length ? dateHeaders[i + 1].index : changesText.length;
+      recentChanges.push({ date: header[1], notes: changesText.slice(start, end).trim() });
+    });
+  } else if (changesText && !/^none\.?$/i.test(changesText)) {
+    recentChanges.push({ date: position.lastUpdated, notes: changesText });
+  }
+
+  const resumeMatch = content.match(/\*\*Resume Instructions:\*\*[ \t]*\n([\s\S]*?)(?=\n---|\n## |$)/);
+
+  return createStateDocument({
+    projectName: titleMatch ? titleMatch[1].trim() : 'Untitled Project',
+    version: extractField(content, 'Version') || '1.0.0',
+    coreValue: extractField(content, 'Core Value') || '(To be defined)',
+    currentFocus: extractField(content, 'Current Focus') || '',
+    initializedDate: initializedMatch ? initializedMatch[1].trim() : position.lastUpdated,
+    lastUpdated: position.lastUpdated,
+    phase: position.phase,
+    plan: position.plan,
+    status: normalizeStatus(statusText || position.status),
+    step: position.step,
+    progressIndicator: progressLine ? progressLine.replace(/`/g, '').trim() : '',
+    metrics: {
+      totalPhases,
+      completedPhases: phasesCompleted ? parseInt(phasesCompleted[1], 10) : 0,
+      totalRequirements: requirements ? parseInt(requirements[2], 10) : 0,
+      validatedRequirements: requirements ? parseInt(requirements[1], 10) : 0,
+      successRate: extractField(content, 'Success Rate') || 'N/A'
+    },
+    decisions,
+    todos,
+    needsReverification,
+    verifications,
+    blockers,
+    recentChanges,
+    session: {
+      lastAction: extractField(content, 'Last Action') || extractField(content, 'Stopped at') || '',
+      nextAction: extractField(content, 'Next Action') || '',
+      contextNeeded: extractField(content, 'Context Needed') || '',
+      resumeInstructions: resumeMatch ? resumeMatch[1].trim() : ''
+    }
+  });
+}
+
+/**
+ * Escape a value for use inside a markdown table cell
+ * @param {string} value - Cell text
+ * @returns {string} Escaped text
+ */
+function escapeCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Render STATE.md from a state document using templates/STATE.md
+ *
+ * @param {Object} document - State document
+ * @param {string} [templatesDir] - Templates directory (default: gsd/templates)
+ * @returns {Promise<string>} Rendered STATE.md content
+ */
+export async function renderStateMarkdown(document, templatesDir = DEFAULT_TEMPLATES_DIR) {
+  const decisionRows = document.decisions.map(d =>
+    `| ${escapeCell(d.decision)} | ${escapeCell(d.date)} | ${escapeCell(d.rationale)} |`
+  );
+
+  return renderTemplate('STATE', {
+    projectName: document.projectName,
+    lastUpdated: document.lastUpdated,
+    initializedDate: document.initializedDate || document.lastUpdated,
+    version: document.version,
+    coreValue: document.coreValue,
+    currentFocus: document.currentFocus,
+    currentPhase: document.phase,
+    currentPlan: document.plan,
+    status: document.status,
+    currentStep: document.step,
+    progressIndicator: document.progressIndicator,
+    totalPhases: document.metrics.totalPhases ?? '?',
+    completedPhases: document.metrics.completedPhases,
+    totalRequirements: document.metrics.totalRequirements,
+    validatedRequirements: document.metrics.validatedRequirements,
+    successRate: document.metrics.successRate,
+    keyDecisions: ['| Decision | Date | Rationale |', '|----------|------|-----------|', ...decisionRows].join('\n'),
+    activeTodos: document.todos.length > 0
+      ? document.todos.map(todo => `- [${todo.done ? 'x' : ' '}] ${todo.text}`).join('\n')
+      : 'None',
+    verificationResults: (document.verifications || []).length > 0
+      ? document.verifications
+        .map(v => `- Phase ${v.phase}: ${v.status} (${v.verifiedAt}, ${v.score}) - ${v.report}`)
+        .join('\n')
+      : 'None',
+    knownBlockers: document.blockers.length > 0
+      ? document.blockers.map(blocker => `- ${blocker}`).join('\n')
+      : 'None',
+    recentChanges: document.recentChanges.length > 0
+      ? document.recentChanges.map(change => `**${change.date}:**\n${change.notes}`).join('\n\n')
+      : 'None',
+    lastAction: document.session.lastAction,
+    nextAction: document.session.nextAction,
+    contextNeeded: document.session.contextNeeded,
+    resumeInstructions: document.session.resumeInstructions
+  }, templatesDir);
+}
+
+/**
+ * Write STATE.md content atomically, snapshotting the previous version first
+ * Every STATE.md writer goes through this function so recovery always has a backup
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {string} content - Full STATE.md content
+ * @returns {Promise<void>}
+ * @throws {Error} If snapshot or write fails
+ */
+export async function writeStateFile(projectRoot, content) {
+  const { markdownPath } = getStatePaths(projectRoot);
+  await snapshotState(projectRoot);
+  await writeFileAtomic(markdownPath, content);
+}
+
+/**
+ * Load the state document
+ * Reads state.json when present; otherwise imports (in memory) from a legacy STATE.md
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<Object>} Validated state document
+ * @throws {Error} If neither file exists, state.json is unparseable, or validation fails
+ */
+export async function loadStateDocument(projectRoot) {
+  const { jsonPath, markdownPath } = getStatePaths(projectRoot);
+
+  let document;
+  if (await fileExists(jsonPath)) {
+    try {
+      document = JSON.parse(await readFile(jsonPath));
+    } catch (error) {
+      throw new Error(`Failed to parse state.json: ${error.message}`);
+    }
+  } else if (await fileExists(markdownPath)) {
+    document = parseStateMarkdown(await readFile(markdownPath));
+  } else {
+    throw new Error(`STATE.md not found at ${projectRoot}/.planning/STATE.md. Initialize project first.`);
+  }
+
+  await validateStateDocument(document);
+  return document;
+}
+
+/**
+ * Read the currently persisted document for journaling (null if none or unreadable)
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<Object|null>} Previous state document
+ */
+async function readPreviousDocument(projectRoot) {
+  try {
+    return await loadStateDocument(projectRoot);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Save the state document: validate, write state.json, regenerate STATE.md, journal the change
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {Object} document - State document
+ * @param {Object} [options] - Save options
+ * @param {string} [options.templatesDir] - Templates directory (default: gsd/templates)
+ * @param {string} [options.operation] - Operation recorded in the journal (default: 'saveState')
+ * @param {string} [options.actor] - Actor recorded in the journal (default: 'state-manager')
+ * @returns {Promise<Object>} Saved document (lastUpdated set to today)
+ * @throws {Error} If validation or writing fails
+ */
+export async function saveStateDocument(projectRoot, document, options = {}) {
+  const { planningDir, jsonPath } = getStatePaths(projectRoot);
+  const saved = { ...document, lastUpdated: today() };
+
+  await validateStateDocument(saved);
+  const markdown = await renderStateMarkdown(saved, options.templatesDir);
+  const previous = await readPreviousDocument(projectRoot);
+
+  await ensureDir(planningDir);
+  await writeFileAtomic(jsonPath, JSON.stringify(saved, null, 2) + '\n');
+  await writeStateFile(projectRoot, markdown);
+
+  await appendJournalEntry(projectRoot, {
+    operation: options.operation || 'saveState',
+    actor: options.actor,
+    before: previous,
+    after: saved
+  });
+
+  return saved;
+}
+
+/**
+ * Import an existing STATE.md into state.json (one-time migration)
+ * STATE.md itself is left untouched until the next state write regenerates it
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.force] - Overwrite an existing state.json
+ * @returns {Promise<Object>} Imported state document
+ * @throws {Error} If STATE.md is missing/unparseable or state.json exists without force
+ */
+export async function importStateFromMarkdown(projectRoot, options = {}) {
+  const { planningDir, jsonPath, markdownPath } = getStatePaths(projectRoot);
+
+  if (!options.force && await fileExists(jsonPath)) {
+    throw new Error(`state.json already exists at ${jsonPath}. Use --force to re-import from STATE.md.`);
+  }
+
+  let content;
+  try {
+    content = await readFile(markdownPath);
+  } catch (error) {
+    throw new Error(`STATE.md not found at ${projectRoot}/.planning/STATE.md. Initialize project first.`);
+  }
+
+  const document = parseStateMarkdown(content);
+  await validateStateDocument(document);
+
+  await ensureDir(planningDir);
+  await writeFileAtomic(jsonPath, JSON.stringify(document, null, 2) + '\n');
+
+  return document;
+}
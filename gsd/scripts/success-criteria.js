@@ -0,0 +1,293 @@
+/**
+ * Success Criteria Module
+ * Evaluates success criteria from ROADMAP.md phases and PLAN.md <success_criteria> sections
+ *
+ * Critical patterns:
+ * - Machine-checkable criteria carry one or more inline checks: `verify: <type> <args>`
+ * - A criterion without checks needs human verification (reported separately, never auto-passed)
+ * - A criterion passes only if every one of its checks passes
+ * - Paths are relative to the project root and may not escape it
+ * - Commands run via runCommand (argument arrays, no shell) with a timeout
+ * - All checks evaluated before reporting (accumulated results, not fail-fast)
+ *
+ * Check types:
+ * - `verify: file gsd/README.md`                              (file exists)
+ * - `verify: section .planning/PROJECT.md Core Value`         (## section exists)
+ * - `verify: artifact .planning/PROJECT.md PROJECT`           (validateArtifact passes)
+ * - `verify: command npm run build`                           (command exits 0)
+ * - `verify: grep gsd/scripts/validator.js "export function"` (regex matches file content)
+ * - `verify: test gsd/tests/state.test.js`                    (node --test passes)
+ *
+ * CLI usage:
+ * - node gsd/scripts/success-criteria.js --phase=2
+ * - node gsd/scripts/success-criteria.js --phase=2 --json
+ */
+
+import { fileExists, readFile } from './file-ops.js';
+import { runCommand } from './process-runner.js';
+import { validateArtifact, validateSections } from './validator.js';
+import { getPhase } from './roadmap-parser.js';
+import { loadPlans, formatPlanErrors } from './plan-parser.js';
+import { isValidPhase, parsePhase } from './phase-numbers.js';
+import { parseArgs, isMainModule } from './cli-args.js';
+import path from 'node:path';
+
+/**
+ * Inline check syntax: a code span starting with "verify:"
+ */
+const CHECK_REGEX = /`verify:\s*([^`]+)`/g;
+
+/**
+ * Timeout for command and test checks (milliseconds)
+ */
+const COMMAND_TIMEOUT_MS = 120000;
+
+/**
+ * Supported check types with their argument signature (used in error messages)
+ */
+export const CHECK_TYPES = {
+  file: 'file PATH',
+  section: 'section PATH HEADING',
+  artifact: 'artifact PATH TYPE',
+  command: 'command CMD [ARGS...]',
+  grep: 'grep PATH PATTERN',
+  test: 'test PATH'
+};
+
+/**
+ * Split check arguments on whitespace, honoring single and double quotes
+ * @param {string} text - Argument text
+ * @returns {string[]} Arguments
+ */
+function tokenize(text) {
+  return [...text.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(match => match[1] ?? match[2] ?? match[3]);
+}
+
+/**
+ * Parse a success criterion into its description and inline checks
+ *
+ * @param {string} text - Criterion text (one list item)
+ * @returns {Object} { text, description, checks: [{ type, args, raw }], errors: string[] }
+ */
+export function parseCriterion(text) {
+  const checks = [];
+  const errors = [];
+
+  for (const match of text.matchAll(CHECK_REGEX)) {
+    const raw = match[1].trim();
+    const [type, ...args] = tokenize(raw);
+
+    if (!CHECK_TYPES[type]) {
+      errors.push(`Unknown check type "${type}" in \`verify: ${raw}\`. Valid types: ${Object.keys(CHECK_TYPES).join(', ')}`);
+      continue;
+    }
+    const minimum = type === 'file' || type === 'test' || type === 'command' ? 1 : 2;
+    if (args.length < minimum) {
+      errors.push(`Check \`verify: ${raw}\` is missing arguments. Fix: use \`verify: ${CHECK_TYPES[type]}\``);
+      continue;
+    }
+    if (type !== 'command' && (path.isAbsolute(args[0]) || args[0].split(/[\\/]/).includes('..'))) {
+      errors.push(`Check \`verify: ${raw}\` must use a path inside the project (got ${args[0]})`);
+      continue;
+    }
+    checks.push({ type, args, raw });
+  }
+
+  return {
+    text,
+    description: text.replace(CHECK_REGEX, '').replace(/\s+/g, ' ').trim(),
+    checks,
+    errors
+  };
+}
+
+/**
+ * Run one check
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {Object} check - Check from parseCriterion
+ * @returns {Promise<{check: string, passed: boolean, detail: string}>} Check result
+ */
+async function runCheck(projectRoot, check) {
+  const [target, ...rest] = check.args;
+  const absolutePath = path.join(projectRoot, target);
+  const result = (passed, detail) => ({ check: check.raw, passed, detail });
+
+  try {
+    switch (check.type) {
+      case 'file':
+        return await fileExists(absolutePath)
+          ? result(true, `${target} exists`)
+          : result(false, `${target} missing`);
+
+      case 'section': {
+        const heading = rest.join(' ');
+        const errors = validateSections(await readFile(absolutePath), [heading], target);
+        return errors.length === 0
+          ? result(true, `${target} has ## ${heading}`)
+          : result(false, errors[0]);
+      }
+
+      case 'artifact':
+        await validateArtifact(projectRoot, target, rest[0]);
+        return result(true, `${target} is a valid ${rest[0]}`);
+
+      case 'grep': {
+        const pattern = rest.join(' ');
+        return new RegExp(pattern, 'm').test(await readFile(absolutePath))
+          ? result(true, `${target} matches /${pattern}/`)
+          : result(false, `${target} does not match /${pattern}/`);
+      }
+
+      case 'command':
+        await runCommand(target, rest, { cwd: projectRoot, timeout: COMMAND_TIMEOUT_MS });
+        return result(true, `${check.args.join(' ')} exited 0`);
+
+      case 'test':
+        await runCommand(process.execPath, ['--test', target], { cwd: projectRoot, timeout: COMMAND_TIMEOUT_MS });
+        return result(true, `${target} passed`);
+    }
+  } catch (error) {
+    return result(false, error.message.trim());
+  }
+}
+
+/**
+ * Evaluate a success criterion
+ * Status is 'manual' when the criterion has no checks, 'failed' if any check fails or is malformed
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {string} text - Criterion text
+ * @param {string} [source] - Where the criterion was declared (e.g. 'ROADMAP.md')
+ * @returns {Promise<Object>} { text, description, source, status: 'passed'|'failed'|'manual', results, errors }
+ */
+export async function evaluateCriterion(projectRoot, text, source = '') {
+  const criterion = parseCriterion(text);
+  const results = [];
+  for (const check of criterion.checks) {
+    results.push(await runCheck(projectRoot, check));
+  }
+
+  const status = criterion.errors.length > 0 || results.some(entry => !entry.passed)
+    ? 'failed'
+    : criterion.checks.length > 0 ? 'passed' : 'manual';
+
+  return { text, description: criterion.description, source, status, results, errors: criterion.errors };
+}
+
+/**
+ * Evaluate a list of success criteria
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {Array<string|{text: string, source: string}>} criteria - Criteria (strings or { text, source })
+ * @returns {Promise<Object>} Report: { items, automated: { passed, failed }, manual, status }
+ *   status is 'failed' if any automated check failed, 'human_needed' if only manual items remain, else 'passed'
+ */
+export async function evaluateCriteria(projectRoot, criteria) {
+  const items = [];
+  for (const entry of criteria) {
+    const { text, source } = typeof entry === 'string' ? { text: entry, source: '' } : entry;
+    items.push(await evaluateCriterion(projectRoot, text, source));
+  }
+
+  const count = status => items.filter(item => item.status === status).length;
+  const automated = { passed: count('passed'), failed: count('failed') };
+  const manual = count('manual');
+
+  return {
+    items,
+    automated,
+    manual,
+    status: automated.failed > 0 ? 'failed' : manual > 0 ? 'human_needed' : 'passed'
+  };
+}
+
+/**
+ * Collect and evaluate a phase's success criteria (ROADMAP.md phase plus each plan's <success_criteria>)
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {number} phase - Phase number
+ * @returns {Promise<Object>} Report from evaluateCriteria, plus { phase, errors } (plan parse errors)
+ * @throws {Error} If the phase is not in ROADMAP.md
+ */
+export async function evaluatePhaseCriteria(projectRoot, phase) {
+  const roadmapPhase = isValidPhase(phase) ? await getPhase(projectRoot, phase) : null;
+  if (!roadmapPhase) {
+    throw new Error(`Phase ${phase} not found in ROADMAP.md`);
+  }
+
+  const { plans, errors } = await loadPlans(projectRoot, { phase });
+  const criteria = [
+    ...roadmapPhase.successCriteria.map(text => ({ text, source: 'ROADMAP.md' })),
+    ...plans.flatMap(plan => plan.successCriteria.map(text => ({ text, source: plan.file })))
+  ];
+
+  return { phase, ...await evaluateCriteria(projectRoot, criteria), errors };
+}
+
+/**
+ * Format a criteria report as text (automated results first, then human verification items)
+ * @param {Object} report - Report from evaluateCriteria or evaluatePhaseCriteria
+ * @returns {string} Human-readable report
+ */
+export function formatCriteriaReport(report) {
+  const automated = report.items.filter(item => item.status !== 'manual');
+  const manual = report.items.filter(item => item.status === 'manual');
+  const lines = [`Automated checks: ${report.automated.passed} passed, ${report.automated.failed} failed`];
+
+  for (const item of automated) {
+    lines.push(`  [${item.status === 'passed' ? 'pass' : 'FAIL'}] ${item.description}${item.source ? ` (${item.source})` : ''}`);
+    for (const entry of item.results.filter(result => !result.passed)) {
+      lines.push(`      ${entry.check}: ${entry.detail.split('\n')[0]}`);
+    }
+    for (const error of item.errors) {
+      lines.push(`      ${error}`);
+    }
+  }
+
+  lines.push(`Human verification required: ${manual.length}`);
+  for (const item of manual) {
+    lines.push(`  [manual] ${item.description}${item.source ? ` (${item.source})` : ''}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * CLI entry point
+ * Evaluates --phase criteria; exits non-zero if any automated check fails
+ *
+ * @param {string[]} argv - Command-line arguments
+ * @returns {Promise<void>}
+ * @throws {Error} If options are invalid or the phase is not in ROADMAP.md
+ */
+async function main(argv) {
+  const { options } = parseArgs(argv);
+  const projectRoot = typeof options.root === 'string' ? options.root : process.cwd();
+
+  const phase = typeof options.phase === 'string' ? parsePhase(options.phase) : null;
+  if (phase === null) {
+    throw new Error('Usage: node gsd/scripts/success-criteria.js --phase=N [--json]');
+  }
+
+  const report = await evaluatePhaseCriteria(projectRoot, phase);
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(formatCriteriaReport(report));
+    if (report.errors.length > 0) {
+      console.log(`Malformed plans (criteria not evaluated):\n${formatPlanErrors(report.errors)}`);
+    }
+  }
+
+  if (report.status === 'failed') {
+    process.exitCode = 1;
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,217 @@
+/**
+ * Task Progress Module
+ * Task-level checkpoints within a plan, so an interrupted session resumes at the right task
+ *
+ * Critical patterns:
+ * - Approved PLAN.md files are never rewritten; progress lives in a sidecar (NN-MM-PROGRESS.json next to the plan)
+ * - Each checkpoint records the task number and name; entries whose name no longer matches the plan are stale and ignored
+ * - Sidecar written atomically after every task (a crash loses at most the task in flight)
+ * - Task numbers validated against the parsed plan (accumulated errors)
+ * - --start records when the plan began and the git HEAD it began from (plan-summary.js diffs from it)
+ *
+ * CLI usage:
+ * - node gsd/scripts/task-progress.js --plan=03-02 --start       (before the first task)
+ * - node gsd/scripts/task-progress.js --plan=03-02               (show progress)
+ * - node gsd/scripts/task-progress.js --plan=03-02 --complete=4  (mark task 4 complete)
+ */
+
+import { loadPlan } from './plan-parser.js';
+import { readFile, writeFileAtomic, fileExists } from './file-ops.js';
+import { getGitHead } from './journal.js';
+import { formatPlanId, parsePlanId } from './phase-numbers.js';
+import { parseArgs, isMainModule } from './cli-args.js';
+import path from 'node:path';
+
+/**
+ * Get the progress sidecar path for a plan
+ * @param {string} projectRoot - Root directory of the project
+ * @param {Object} plan - Plan from plan-parser
+ * @returns {string} Absolute path to NN-MM-PROGRESS.json
+ */
+export function getProgressPath(projectRoot, plan) {
+  return path.join(projectRoot, plan.file.replace(/-PLAN\.md$/, '-PROGRESS.json'));
+}
+
+/**
+ * Read a plan's progress sidecar
+ * @param {string} projectRoot - Root directory of the project
+ * @param {Object} plan - Plan from plan-parser
+ * @returns {Promise<{started: Object|null, completed: Array<{task: number, name: string, completedAt: string}>}>}
+ *   Plan start ({ at, gitHead }) and checkpoints (empty if none)
+ * @throws {Error} If the sidecar exists but is not valid JSON
+ */
+async function readSidecar(projectRoot, plan) {
+  const progressPath = getProgressPath(projectRoot, plan);
+  if (!await fileExists(progressPath)) {
+    return { started: null, completed: [] };
+  }
+
+  try {
+    const sidecar = JSON.parse(await readFile(progressPath));
+    return { started: sidecar.started || null, completed: sidecar.completed || [] };
+  } catch (error) {
+    throw new Error(`Failed to parse ${progressPath}: ${error.message}. Fix or delete the file to reset task progress.`);
+  }
+}
+
+/**
+ * Write a plan's progress sidecar atomically
+ * @param {string} projectRoot - Root directory of the project
+ * @param {Object} plan - Plan from plan-parser
+ * @param {Object} sidecar - { started, completed }
+ * @returns {Promise<void>}
+ */
+async function writeSidecar(projectRoot, plan, sidecar) {
+  await writeFileAtomic(
+    getProgressPath(projectRoot, plan),
+    JSON.stringify({ plan: plan.id, started: sidecar.started, completed: sidecar.completed }, null, 2) + '\n'
+  );
+}
+
+/**
+ * Summarize progress from a plan and its sidecar
+ * @param {Object} plan - Plan from plan-parser
+ * @param {Object} sidecar - { started, completed } from readSidecar()
+ * @returns {Object} Progress (see getPlanProgress)
+ */
+function summarizeProgress(plan, { started, completed: checkpoints }) {
+  const isCurrent = checkpoint => {
+    const task = plan.tasks[checkpoint.task - 1];
+    return task !== undefined && task.name === checkpoint.name;
+  };
+
+  const completed = [...new Set(checkpoints.filter(isCurrent).map(checkpoint => checkpoint.task))].sort((a, b) => a - b);
+  const nextTask = plan.tasks.find(task => !completed.includes(task.number)) || null;
+  const totalTasks = plan.tasks.length;
+
+  return {
+    id: plan.id,
+    started,
+    totalTasks,
+    completedTasks: completed.length,
+    completed,
+    stale: checkpoints.filter(checkpoint => !isCurrent(checkpoint)),
+    nextTask,
+    complete: nextTask === null,
+    label: nextTask
+      ? `Plan ${plan.id}, task ${nextTask.number} of ${totalTasks}`
+      : `Plan ${plan.id}, all ${totalTasks} tasks complete`
+  };
+}
+
+/**
+ * Get task-level progress for a plan
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {number} phase - Phase number
+ * @param {number} planNumber - Plan number
+ * @returns {Promise<Object>} Progress: { id, started, totalTasks, completedTasks, completed: number[], stale, nextTask, complete, label }
+ *   started is { at, gitHead } once --start was recorded (else null);
+ *   nextTask is the first task not yet checkpointed (null when all are done);
+ *   label reads "Plan 03-02, task 4 of 7"
+ * @throws {Error} If the plan is missing or malformed, or the sidecar is corrupted
+ */
+export async function getPlanProgress(projectRoot, phase, planNumber) {
+  const plan = await loadPlan(projectRoot, phase, planNumber);
+  return summarizeProgress(plan, await readSidecar(projectRoot, plan));
+}
+
+/**
+ * Record that a plan has started: the time and the git HEAD its work builds on
+ * An existing start is kept (restarting after an interruption must not move the diff base)
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {number} phase - Phase number
+ * @param {number} planNumber - Plan number
+ * @returns {Promise<Object>} Progress (see getPlanProgress)
+ * @throws {Error} If the plan is missing or malformed, or the sidecar is corrupted
+ */
+export async function startPlan(projectRoot, phase, planNumber) {
+  const plan = await loadPlan(projectRoot, phase, planNumber);
+  const sidecar = await readSidecar(projectRoot, plan);
+
+  if (!sidecar.started) {
+    sidecar.started = { at: new Date().toISOString(), gitHead: await getGitHead(projectRoot) };
+    await writeSidecar(projectRoot, plan, sidecar);
+  }
+
+  return summarizeProgress(plan, sidecar);
+}
+
+/**
+ * Mark a task in a plan complete
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {number} phase - Phase number
+ * @param {number} planNumber - Plan number
+ * @param {number} taskNumber - Task number (1-based, in plan order)
+ * @returns {Promise<Object>} Updated progress (see getPlanProgress)
+ * @throws {Error} If the plan or task does not exist
+ */
+export async function markTaskComplete(projectRoot, phase, planNumber, taskNumber) {
+  const plan = await loadPlan(projectRoot, phase, planNumber);
+
+  const errors = [];
+  if (!Number.isInteger(taskNumber) || taskNumber < 1) {
+    errors.push(`Task number must be a positive integer (got ${taskNumber})`);
+  } else if (taskNumber > plan.tasks.length) {
+    errors.push(`Plan ${plan.id} has ${plan.tasks.length} tasks; task ${taskNumber} does not exist`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Cannot mark task complete:\n${errors.map((err, i) => `  ${i + 1}. ${err}`).join('\n')}`);
+  }
+
+  const task = plan.tasks[taskNumber - 1];
+  const sidecar = await readSidecar(projectRoot, plan);
+  const checkpoints = sidecar.completed.filter(checkpoint => checkpoint.task !== taskNumber);
+  checkpoints.push({ task: taskNumber, name: task.name, completedAt: new Date().toISOString() });
+  checkpoints.sort((a, b) => a.task - b.task);
+
+  await writeSidecar(projectRoot, plan, { started: sidecar.started, completed: checkpoints });
+
+  return summarizeProgress(plan, { started: sidecar.started, completed: checkpoints });
+}
+
+/**
+ * CLI entry point
+ * Shows task progress for --plan, after recording --start or marking --complete=N done
+ *
+ * @param {string[]} argv - Command-line arguments
+ * @returns {Promise<void>}
+ * @throws {Error} If options are invalid or the plan cannot be loaded
+ */
+async function main(argv) {
+  const { options } = parseArgs(argv);
+  const projectRoot = typeof options.root === 'string' ? options.root : process.cwd();
+
+  const planId = typeof options.plan === 'string' ? parsePlanId(options.plan) : null;
+  if (!planId) {
+    throw new Error('Usage: node gsd/scripts/task-progress.js --plan=NN-MM [--start | --complete=TASK]');
+  }
+
+  let progress;
+  if (options.start) {
+    progress = await startPlan(projectRoot, planId.phase, planId.plan);
+    console.log(`Plan ${progress.id} started ${progress.started.at} from ${progress.started.gitHead || 'no git HEAD'}`);
+  } else if (options.complete !== undefined) {
+    progress = await markTaskComplete(projectRoot, planId.phase, planId.plan, Number(options.complete));
+    console.log(`Marked task ${options.complete} of ${formatPlanId(planId.phase, planId.plan)} complete`);
+  } else {
+    progress = await getPlanProgress(projectRoot, planId.phase, planId.plan);
+  }
+
+  console.log(`${progress.label} (${progress.completedTasks}/${progress.totalTasks} done)`);
+  if (progress.nextTask) {
+    console.log(`Next: ${progress.nextTask.name}`);
+  }
+  if (progress.stale.length > 0) {
+    console.log(`Ignored ${progress.stale.length} checkpoint(s) for tasks renamed or removed since they were recorded`);
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
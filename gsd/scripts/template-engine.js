@@ -0,0 +1,1002 @@
+/**
+ * Template Engine Module
+ * Renders gsd/templates without evaluating JavaScript (no Function constructor, no eval)
+ *
+ * Critical patterns:
+ * - Templates compile to a node tree; rendering walks it with the variables
+ * - Variable values are data: a backtick, "${" or "{{" inside a value is output as-is
+ * - Only own properties are readable (no __proto__, constructor or prototype chain access)
+ * - Block tags alone on their line take the whole line (no stray blank lines in rendered markdown)
+ * - Compatibility mode ("legacy") interprets the original ${...} template-literal syntax in the same sandbox:
+ *   paths, literals, ||, &&, ===, !==, +, ?:, arrow functions and .map/.filter/.join/.trim/.toUpperCase/.toLowerCase
+ * - Every error names the template file and line ("PROJECT.md:12: unknown variable 'projectNme'")
+ * - Partials and layouts are supplied by the caller (template-renderer.js loads them); include and extends cycles are errors
+ *
+ * Syntax:
+ * - {{ name }}, {{ finding.title }}, {{ items.0 }}            interpolation (null/undefined render empty)
+ * - {{ value | default: "n/a" }}, {{ list | join: ", " }}   filters, chainable (see TEMPLATE_FILTERS); default also covers unknown variables
+ * - {{#each findings as f}} ... {{else}} ... {{/each}}      loops (@index, @number, @first, @last); else when empty
+ * - {{#if value}} ... {{else}} ... {{/if}}, {{#unless value}} ... {{/unless}}   (empty lists are false)
+ * - {{> name}}                                                include partials/name.md (same variables)
+ * - extends: layout (frontmatter) + {{#block name}} ... {{/block}}   fill a layout's blocks (default: the layout's own)
+ * - {{! comment }}; \{{ renders a literal {{
+ *
+ * Usage examples:
+ * - renderString('# {{ projectName }}', { projectName: 'App' }, { name: 'PROJECT.md' })
+ * - compileTemplate(body, { name: 'ROADMAP.md', line: bodyBegin }).render(variables)
+ */
+
+/**
+ * Template engines: 'gsd' ({{ }} syntax) and 'legacy' (${...} compatibility mode)
+ */
+export const TEMPLATE_ENGINES = ['gsd', 'legacy'];
+
+/**
+ * Pick the engine for a template: the declared one (frontmatter `engine:`), otherwise
+ * 'legacy' for bodies that use ${...} and no {{ }} tags
+ *
+ * @param {string} source - Template body
+ * @param {string} [declared] - Engine declared by the template
+ * @returns {string} 'gsd' or 'legacy'
+ * @throws {Error} If the declared engine is unknown
+ */
+export function detectEngine(source, declared) {
+  if (declared !== undefined && declared !== null) {
+    if (!TEMPLATE_ENGINES.includes(declared)) {
+      throw new Error(`Unknown template engine: ${declared}. Valid engines: ${TEMPLATE_ENGINES.join(', ')}`);
+    }
+    return declared;
+  }
+  return source.includes('${') && !source.includes('{{') ? 'legacy' : 'gsd';
+}
+
+/**
+ * 1-based line of an offset
+ * @param {string} source - Template source
+ * @param {number} offset - Character offset
+ * @param {number} firstLine - Line number of the source's first line
+ * @returns {number} Line number
+ */
+function lineAt(source, offset, firstLine) {
+  let line = firstLine;
+  for (let i = source.indexOf('\n'); i !== -1 && i < offset; i = source.indexOf('\n', i + 1)) {
+    line++;
+  }
+  return line;
+}
+
+/**
+ * Build an error located at a template line (error.line set, so outer handlers keep the innermost location)
+ * @param {Object} options - Compile options ({ name })
+ * @param {number} line - Template line
+ * @param {string} message - What is wrong
+ * @returns {Error} Located error
+ */
+function templateError(options, line, message) {
+  const error = new Error(`${options.name}:${line}: ${message}`);
+  error.line = line;
+  return error;
+}
+
+/**
+ * Run fn, locating any error it throws at line (errors already located pass through)
+ * @param {Object} options - Compile options
+ * @param {number} line - Template line
+ * @param {Function} fn - Work to run
+ * @returns {*} fn's result
+ */
+function atLine(options, line, fn) {
+  try {
+    return fn();
+  } catch (error) {
+    throw error.line !== undefined ? error : templateError(options, line, error.message);
+  }
+}
+
+/**
+ * Describe a value's type for error messages
+ * @param {*} value - Any value
+ * @returns {string} 'list', 'null', 'object', ...
+ */
+function describe(value) {
+  return Array.isArray(value) ? 'list' : value === null ? 'null' : typeof value;
+}
+
+/**
+ * Read an own property (plus length of lists and strings); anything inherited reads as undefined
+ * @param {*} value - Object, list or string
+ * @param {string} key - Property name
+ * @returns {*} Property value
+ */
+function readProperty(value, key) {
+  if (key === 'length' && (Array.isArray(value) || typeof value === 'string')) {
+    return value.length;
+  }
+  const target = Object(value);
+  return Object.hasOwn(target, key) ? target[key] : undefined;
+}
+
+/**
+ * Find a name in the scope chain (innermost scope last)
+ * @param {Array<Object>} scopes - Scope chain
+ * @param {string} name - Variable name
+ * @returns {{found: boolean, value: *}} Lookup result
+ */
+function lookup(scopes, name) {
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    if (Object.hasOwn(scopes[i], name)) {
+      return { found: true, value: scopes[i][name] };
+    }
+  }
+  return { found: false, value: undefined };
+}
+
+/**
+ * Convert a value to output text: null/undefined empty, lists comma-separated, objects as JSON
+ * @param {*} value - Any value
+ * @returns {string} Text
+ */
+function toText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(toText).join(', ');
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Require a list (null/undefined count as empty)
+ * @param {*} value - Filter input
+ * @param {string} filter - Filter name for the error
+ * @returns {Array} List
+ */
+function toList(value, filter) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    throw new Error(`${filter} expects a list, got ${describe(value)}`);
+  }
+  return value;
+}
+
+/**
+ * Render rows as a markdown table
+ * Object rows are read by header name, ignoring case, spaces, dashes and underscores ("Success Criteria" → successCriteria)
+ *
+ * @param {Array<Object|Array>} rows - Rows (objects or lists of cells)
+ * @param {string} [columns] - Comma-separated headers (default: the first object's keys)
+ * @returns {string} Markdown table (header and separator only when there are no rows)
+ */
+function renderTable(rows, columns) {
+  const list = toList(rows, 'table');
+  let headers;
+  if (columns !== undefined) {
+    headers = String(columns).split(',').map(header => header.trim()).filter(Boolean);
+  } else if (list.length > 0 && !Array.isArray(list[0]) && typeof list[0] === 'object' && list[0] !== null) {
+    headers = Object.keys(list[0]);
+  } else {
+    throw new Error('table needs column headers for these rows (e.g. table: "Decision, Rationale")');
+  }
+
+  const normalize = name => name.toLowerCase().replace(/[\s_-]/g, '');
+  const cell = value => toText(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const cells = row => {
+    if (Array.isArray(row)) {
+      return headers.map((header, i) => cell(row[i]));
+    }
+    if (row === null || typeof row !== 'object') {
+      throw new Error(`table rows must be objects or lists, got ${describe(row)}`);
+    }
+    return headers.map(header => {
+      const key = Object.keys(row).find(candidate => normalize(candidate) === normalize(header));
+      return cell(key === undefined ? '' : row[key]);
+    });
+  };
+
+  return [
+    `| ${headers.join(' | ')} |`,
+    `|${headers.map(header => '-'.repeat(header.length + 2)).join('|')}|`,
+    ...list.map(row => `| ${cells(row).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Filters available as {{ value | name: arg, arg }}
+ */
+export const TEMPLATE_FILTERS = {
+  default: (value, fallback = '') => (value === null || value === undefined || value === '' ? fallback : value),
+  join: (value, separator = ', ') => toList(value, 'join').map(toText).join(separator),
+  list: value => toList(value, 'list').map(item => `- ${toText(item)}`).join('\n'),
+  numbered: value => toList(value, 'numbered').map((item, i) => `${i + 1}. ${toText(item)}`).join('\n'),
+  table: renderTable,
+  upper: value => toText(value).toUpperCase(),
+  lower: value => toText(value).toLowerCase(),
+  trim: value => toText(value).trim(),
+  length: value => (value === null || value === undefined ? 0 : readProperty(value, 'length') ?? Object.keys(value).length),
+  json: value => JSON.stringify(value, null, 2)
+};
+
+/**
+ * Unescape a quoted string literal body (\n, \t, \\, \", \')
+ * @param {string} text - Literal without quotes
+ * @returns {string} Value
+ */
+function unescapeString(text) {
+  return text.replace(/\\(.)/gs, (match, char) => ({ n: '\n', t: '\t', r: '\r' })[char] ?? char);
+}
+
+/**
+ * Tokens of a {{ }} expression: strings, numbers, paths and the | : , punctuation
+ */
+const EXPRESSION_TOKEN = /\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(-?\d+(?:\.\d+)?)(?![\w.])|(@?[A-Za-z_$][\w$-]*(?:\.[\w$-]+)*)|([|:,]))/y;
+
+/**
+ * Parse a {{ }} expression: operand followed by filters
+ *
+ * @param {string} text - Expression text
+ * @param {Function} fail - Error factory (message → Error)
+ * @returns {{operand: Object, filters: Array<{name: string, args: Array<Object>}>}} Expression
+ */
+function parseExpression(text, fail) {
+  const tokens = [];
+  EXPRESSION_TOKEN.lastIndex = 0;
+  while (EXPRESSION_TOKEN.lastIndex < text.length && text.slice(EXPRESSION_TOKEN.lastIndex).trim() !== '') {
+    const start = EXPRESSION_TOKEN.lastIndex;
+    const match = EXPRESSION_TOKEN.exec(text);
+    if (!match) {
+      throw fail(`cannot parse "${text.slice(start).trim()}" in {{ ${text.trim()} }}`);
+    }
+    if (match[1] !== undefined || match[2] !== undefined) {
+      tokens.push({ type: 'literal', value: unescapeString(match[1] ?? match[2]) });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: 'literal', value: Number(match[3]) });
+    } else if (match[4] !== undefined) {
+      tokens.push(['true', 'false', 'null'].includes(match[4])
+        ? { type: 'literal', value: JSON.parse(match[4]) }
+        : { type: 'path', text: match[4], segments: match[4].split('.') });
+    } else {
+      tokens.push({ type: 'punct', value: match[5] });
+    }
+  }
+
+  let index = 0;
+  const operand = () => {
+    const token = tokens[index++];
+    if (!token || token.type === 'punct') {
+      throw fail(`expected a variable or literal in {{ ${text.trim()} }}`);
+    }
+    return token;
+  };
+
+  const expression = { operand: operand(), filters: [] };
+  while (index < tokens.length) {
+    if (tokens[index].value !== '|') {
+      throw fail(`expected | before "${tokens[index].text ?? tokens[index].value}" in {{ ${text.trim()} }}`);
+    }
+    index++;
+    const name = tokens[index++];
+    if (!name || name.type !== 'path' || !Object.hasOwn(TEMPLATE_FILTERS, name.text)) {
+      throw fail(`unknown filter "${name ? name.text ?? name.value : ''}". Valid filters: ${Object.keys(TEMPLATE_FILTERS).join(', ')}`);
+    }
+    const filter = { name: name.text, args: [] };
+    if (tokens[index] && tokens[index].value === ':') {
+      index++;
+      filter.args.push(operand());
+      while (tokens[index] && tokens[index].value === ',') {
+        index++;
+        filter.args.push(operand());
+      }
+    }
+    expression.filters.push(filter);
+  }
+  return expression;
+}
+
+/**
+ * Evaluate an operand
+ * @param {Object} operand - Literal or path token
+ * @param {Array<Object>} scopes - Scope chain
+ * @param {boolean} strict - Unknown variables are errors (false: they read as undefined)
+ * @returns {*} Value
+ */
+function evaluateOperand(operand, scopes, strict) {
+  if (operand.type === 'literal') {
+    return operand.value;
+  }
+  const [name, ...rest] = operand.segments;
+  const { found, value } = lookup(scopes, name);
+  if (!found && strict) {
+    throw new Error(`unknown variable '${name}'`);
+  }
+  return rest.reduce((current, key) => (current === null || current === undefined ? undefined : readProperty(current, key)), value);
+}
+
+/**
+ * Evaluate an expression with its filters
+ * @param {Object} expression - Parsed expression
+ * @param {Array<Object>} scopes - Scope chain
+ * @param {boolean} strict - Unknown variables are errors
+ * @returns {*} Value
+ */
+function evaluateExpression(expression, scopes, strict) {
+  // A leading default filter is the fallback for a missing variable, so the operand may be unknown
+  const lenient = expression.filters.length > 0 && expression.filters[0].name === 'default';
+  return expression.filters.reduce(
+    (value, filter) => TEMPLATE_FILTERS[filter.name](value, ...filter.args.map(arg => evaluateOperand(arg, scopes, strict))),
+    evaluateOperand(expression.operand, scopes, strict && !lenient)
+  );
+}
+
+/**
+ * Truthiness for {{#if}}: empty lists are false
+ * @param {*} value - Any value
+ * @returns {boolean} Truthiness
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * {{ }} tags, and \{{ for a literal {{
+ */
+const TAG_REGEX = /\\\{\{|\{\{([\s\S]*?)\}\}/g;
+
+/**
+ * Partial and layout names: letters, digits, - and _, optionally in subdirectories (no .. or absolute paths)
+ */
+export const PARTIAL_NAME = /^[\w-]+(?:\/[\w-]+)*$/;
+
+/**
+ * Compile a {{ }} template to a node tree (every node remembers its file, so partial errors point at the partial)
+ *
+ * @param {string} source - Template body
+ * @param {Object} options - { name, line }
+ * @returns {Array<Object>} Nodes
+ * @throws {Error} If a tag is malformed or blocks are not balanced
+ */
+function compileGsd(source, options) {
+  const root = { children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const emit = node => (current().inElse ? current().alternate : current().children).push({ file: options.name, ...node });
+  const text = (value, offset) => value && emit({ type: 'text', value, line: lineAt(source, offset, options.line) });
+  const open = node => {
+    emit(node);
+    stack.push(current().inElse ? current().alternate.at(-1) : current().children.at(-1));
+  };
+  let cursor = 0;
+
+  for (const match of source.matchAll(TAG_REGEX)) {
+    const line = lineAt(source, match.index, options.line);
+    const fail = message => templateError(options, line, message);
+    if (match[1] === undefined) {
+      text(source.slice(cursor, match.index) + '{{', cursor);
+      cursor = match.index + match[0].length;
+      continue;
+    }
+
+    const tag = match[1].trim();
+    let start = match.index;
+    let end = start + match[0].length;
+    if (/^[#/!>]/.test(tag) || tag === 'else') {
+      // Standalone block tag: drop its whole line
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const newline = source.indexOf('\n', end);
+      const lineEnd = newline === -1 ? source.length : newline;
+      if (lineStart >= cursor && /^[ \t]*$/.test(source.slice(lineStart, start)) && /^[ \t\r]*$/.test(source.slice(end, lineEnd))) {
+        start = lineStart;
+        end = newline === -1 ? source.length : newline + 1;
+      }
+    }
+    text(source.slice(cursor, start), cursor);
+    cursor = end;
+
+    if (tag.startsWith('!')) {
+      continue;
+    }
+
+    const each = tag.match(/^#each\s+([\s\S]+?)\s+as\s+([A-Za-z_$][\w$]*)$/);
+    const condition = tag.match(/^#(if|unless)\s+([\s\S]+)$/);
+    const block = tag.match(/^#block\s+([\w-]+)$/);
+    const close = tag.match(/^\/(each|if|unless|block)$/);
+
+    if (each) {
+      open({ type: 'each', block: 'each', expression: parseExpression(each[1], fail), name: each[2], line, children: [], alternate: [] });
+    } else if (condition) {
+      open({ type: 'if', block: condition[1], negate: condition[1] === 'unless', expression: parseExpression(condition[2], fail), line, children: [], alternate: [] });
+    } else if (block) {
+      open({ type: 'block', block: 'block', name: block[1], line, children: [], alternate: [] });
+    } else if (tag.startsWith('>')) {
+      const name = tag.slice(1).trim();
+      if (!PARTIAL_NAME.test(name)) {
+        throw fail(`invalid partial name in {{${tag}}} (letters, digits, -, _ and / only)`);
+      }
+      emit({ type: 'partial', name, line });
+    } else if (tag === 'else') {
+      if (stack.length === 1 || current().inElse || current().type === 'block') {
+        throw fail('{{else}} outside an {{#if}}, {{#unless}} or {{#each}} block');
+      }
+      current().inElse = true;
+    } else if (close) {
+      if (stack.length === 1) {
+        throw fail(`{{/${close[1]}}} has no matching {{#${close[1]}}}`);
+      }
+      if (current().block !== close[1]) {
+        throw fail(`{{/${close[1]}}} closes {{#${current().block}}} opened on line ${current().line}`);
+      }
+      delete stack.pop().inElse;
+    } else if (/^[#/]/.test(tag)) {
+      throw fail(`unknown block tag {{${tag}}}. Blocks: #each, #if, #unless, #block`);
+    } else {
+      emit({ type: 'output', expression: parseExpression(tag, fail), raw: match[0], line });
+    }
+  }
+  text(source.slice(cursor), cursor);
+
+  if (stack.length > 1) {
+    throw templateError(options, current().line, `{{#${current().block}}} is never closed (add {{/${current().block}}})`);
+  }
+  return root.children;
+}
+
+/**
+ * Resolve a partial for inclusion, refusing unknown names and include cycles
+ * @param {Object} context - Render context ({ library, includes })
+ * @param {string} name - Partial name
+ * @returns {Object} Compiled partial
+ */
+function includePartial(context, name) {
+  const partial = context.library(name);
+  if (!partial) {
+    throw new Error(`unknown partial '${name}' (expected partials/${name}.md)`);
+  }
+  if (context.includes.includes(partial.file)) {
+    throw new Error(`include cycle: ${[...context.includes, partial.file].join(' → ')}`);
+  }
+  return partial;
+}
+
+/**
+ * Follow a template's extends chain to its outermost layout, collecting block overrides (the most derived wins)
+ *
+ * @param {Object} compiled - Compiled template
+ * @param {Object} context - Render context ({ library, includes })
+ * @returns {{nodes: Array<Object>, blocks: Object, includes: string[]}} Layout nodes, overrides, files in the chain
+ * @throws {Error} If a layout is unknown, uses legacy syntax, the chain cycles, or an extending template has content outside blocks
+ */
+function resolveLayout(compiled, context) {
+  const blocks = {};
+  const includes = [...context.includes];
+  const register = nodes => nodes.filter(node => node.type === 'block').forEach(node => {
+    blocks[node.name] ??= node;
+    register(node.children);
+  });
+
+  let current = compiled;
+  while (current.extends) {
+    const fail = message => templateError({ name: current.file }, current.extendsLine, message);
+    const stray = current.nodes.find(node => node.type !== 'block' && !(node.type === 'text' && node.value.trim() === ''));
+    if (stray) {
+      throw templateError({ name: stray.file }, stray.line, `content outside {{#block}} in a template that extends ${current.extends}`);
+    }
+    register(current.nodes);
+
+    const layout = context.library(current.extends);
+    if (!layout) {
+      throw fail(`unknown layout '${current.extends}' (expected partials/${current.extends}.md)`);
+    }
+    if (layout.engine === 'legacy') {
+      throw fail(`layout '${current.extends}' must use {{ }} syntax`);
+    }
+    if (includes.includes(layout.file)) {
+      throw fail(`extends cycle: ${[...includes, layout.file].join(' → ')}`);
+    }
+    includes.push(layout.file);
+    current = layout;
+  }
+  return { nodes: current.nodes, blocks, includes };
+}
+
+/**
+ * Render a compiled template (legacy parts, or nodes through its layout chain)
+ * @param {Object} compiled - Compiled template
+ * @param {Array<Object>} scopes - Scope chain
+ * @param {Object} context - Render context ({ library, includes })
+ * @returns {string} Output
+ */
+function renderCompiled(compiled, scopes, context) {
+  if (compiled.engine === 'legacy') {
+    return renderLegacy(compiled.parts, scopes, { name: compiled.file });
+  }
+  const { nodes, blocks, includes } = resolveLayout(compiled, context);
+  return renderNodes(nodes, scopes, { ...context, blocks, includes });
+}
+
+/**
+ * Render compiled {{ }} nodes
+ * @param {Array<Object>} nodes - Nodes
+ * @param {Array<Object>} scopes - Scope chain
+ * @param {Object} context - Render context ({ library, blocks, includes })
+ * @returns {string} Output
+ */
+function renderNodes(nodes, scopes, context) {
+  let output = '';
+  for (const node of nodes) {
+    const located = fn => atLine({ name: node.file }, node.line, fn);
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'output') {
+      output += located(() => toText(evaluateExpression(node.expression, scopes, true)));
+    } else if (node.type === 'if') {
+      const value = located(() => evaluateExpression(node.expression, scopes, false));
+      output += renderNodes(isTruthy(value) !== node.negate ? node.children : node.alternate, scopes, context);
+    } else if (node.type === 'block') {
+      output += renderNodes((context.blocks[node.name] || node).children, scopes, context);
+    } else if (node.type === 'partial') {
+      output += located(() => {
+        const partial = includePartial(context, node.name);
+        return renderCompiled(partial, scopes, { ...context, includes: [...context.includes, partial.file] });
+      });
+    } else if (node.type === 'each') {
+      const items = located(() => {
+        const value = evaluateExpression(node.expression, scopes, true);
+        if (value !== null && value !== undefined && !Array.isArray(value)) {
+          throw new Error(`{{#each}} expects a list, got ${describe(value)}`);
+        }
+        return value || [];
+      });
+      output += items.length === 0
+        ? renderNodes(node.alternate, scopes, context)
+        : items.map((item, index) => renderNodes(node.children, [...scopes, {
+          [node.name]: item,
+          '@index': index,
+          '@number': index + 1,
+          '@first': index === 0,
+          '@last': index === items.length - 1
+        }], context)).join('');
+    }
+  }
+  return output;
+}
+
+/**
+ * Expand compiled nodes to a static outline: text and output tags, partials and blocks resolved,
+ * loop and condition tags dropped (both branches kept)
+ * @param {Array<Object>} nodes - Nodes
+ * @param {Object} context - Render context
+ * @returns {string} Outline
+ */
+function expandNodes(nodes, context) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'output':
+        return node.raw;
+      case 'block':
+        return expandNodes((context.blocks[node.name] || node).children, context);
+      case 'partial':
+        return atLine({ name: node.file }, node.line, () => {
+          const partial = includePartial(context, node.name);
+          return expandCompiled(partial, { ...context, includes: [...context.includes, partial.file] });
+        });
+      default:
+        return expandNodes(node.children, context) + expandNodes(node.alternate, context);
+    }
+  }).join('');
+}
+
+/**
+ * Expand a compiled template (legacy templates are returned as written)
+ * @param {Object} compiled - Compiled template
+ * @param {Object} context - Render context ({ library, includes })
+ * @returns {string} Outline
+ */
+function expandCompiled(compiled, context) {
+  if (compiled.engine === 'legacy') {
+    return compiled.source;
+  }
+  const { nodes, blocks, includes } = resolveLayout(compiled, context);
+  return expandNodes(nodes, { ...context, blocks, includes });
+}
+
+/**
+ * Escapes inside legacy template literals
+ */
+const LEGACY_ESCAPES = { n: '\n', t: '\t', r: '\r' };
+
+/**
+ * Methods legacy templates may call (implemented here; methods on variable values are never invoked)
+ * Checked with Object.hasOwn: inherited names (toString, valueOf, constructor, __proto__) are not methods
+ */
+const LEGACY_METHODS = {
+  map: (target, [fn]) => toList(target, '.map()').map((item, index) => fn(item, index)),
+  filter: (target, [fn]) => toList(target, '.filter()').filter((item, index) => fn(item, index)),
+  join: (target, [separator]) => Array.prototype.join.call(toList(target, '.join()'), separator),
+  trim: target => String(target).trim(),
+  toUpperCase: target => String(target).toUpperCase(),
+  toLowerCase: target => String(target).toLowerCase()
+};
+
+/**
+ * Compile a legacy ${...} template (the body of a JavaScript template literal) to parts
+ * Expressions are parsed into a small tree and interpreted, never evaluated as JavaScript
+ *
+ * @param {string} source - Template body
+ * @param {Object} options - { name, line }
+ * @returns {Array<string|Object>} Text parts and { expr, line } parts
+ * @throws {Error} If an expression uses syntax outside the supported subset
+ */
+function compileLegacy(source, options) {
+  let pos = 0;
+  const fail = (message, at = pos) => templateError(options, lineAt(source, at, options.line), message);
+  const skip = () => {
+    while (pos < source.length && /\s/.test(source[pos])) {
+      pos++;
+    }
+  };
+  const peek = token => {
+    skip();
+    return source.startsWith(token, pos);
+  };
+  const eat = token => {
+    if (peek(token)) {
+      pos += token.length;
+      return true;
+    }
+    return false;
+  };
+  const expect = token => {
+    if (!eat(token)) {
+      throw fail(`expected "${token}" but found "${source.slice(pos, pos + 12).split('\n')[0]}"`);
+    }
+  };
+  const sticky = regex => {
+    skip();
+    regex.lastIndex = pos;
+    const match = regex.exec(source);
+    if (match) {
+      pos = regex.lastIndex;
+    }
+    return match;
+  };
+
+  function templateParts(nested) {
+    const parts = [];
+    let text = '';
+    while (pos < source.length) {
+      const char = source[pos];
+      if (nested && char === '`') {
+        pos++;
+        return text ? [...parts, text] : parts;
+      }
+      if (char === '\\') {
+        const next = source[pos + 1] ?? '';
+        text += LEGACY_ESCAPES[next] ?? next;
+        pos += 2;
+      } else if (char === '$' && source[pos + 1] === '{') {
+        const start = pos;
+        if (text) {
+          parts.push(text);
+          text = '';
+        }
+        pos += 2;
+        const expr = expression();
+        if (!eat('}')) {
+          throw fail(`\${ opened here is not closed with }`, start);
+        }
+        parts.push({ expr, line: lineAt(source, start, options.line) });
+      } else {
+        text += char;
+        pos++;
+      }
+    }
+    if (nested) {
+      throw fail('unterminated ` template literal');
+    }
+    return text ? [...parts, text] : parts;
+  }
+
+  function expression() {
+    const test = binary(0);
+    if (peek('?') && !peek('?.')) {
+      pos++;
+      const consequent = expression();
+      expect(':');
+      return { type: 'conditional', test, consequent, alternate: expression() };
+    }
+    return test;
+  }
+
+  const PRECEDENCE = [['||'], ['&&'], ['===', '!=='], ['+', '-']];
+  function binary(level) {
+    if (level === PRECEDENCE.length) {
+      return unary();
+    }
+    let left = binary(level + 1);
+    for (;;) {
+      const operator = PRECEDENCE[level].find(op => peek(op) && !(op === '+' && peek('++')));
+      if (!operator) {
+        return left;
+      }
+      pos += operator.length;
+      left = { type: 'binary', operator, left, right: binary(level + 1) };
+    }
+  }
+
+  function unary() {
+    if (peek('!') && !peek('!==')) {
+      pos++;
+      return { type: 'not', argument: unary() };
+    }
+    return postfix(primary());
+  }
+
+  function postfix(node) {
+    for (;;) {
+      if (eat('.')) {
+        const name = sticky(/[A-Za-z_$][\w$]*/y);
+        if (!name) {
+          throw fail('expected a property name after "."');
+        }
+        if (eat('(')) {
+          if (!Object.hasOwn(LEGACY_METHODS, name[0])) {
+            throw fail(`.${name[0]}() is not supported in compatibility mode (supported: ${Object.keys(LEGACY_METHODS).join(', ')})`);
+          }
+          const args = [];
+          while (!eat(')')) {
+            args.push(argument());
+            if (!peek(')')) {
+              expect(',');
+            }
+          }
+          node = { type: 'call', object: node, method: name[0], args };
+        } else {
+          node = { type: 'member', object: node, property: { type: 'literal', value: name[0] } };
+        }
+      } else if (eat('[')) {
+        const property = expression();
+        expect(']');
+        node = { type: 'member', object: node, property };
+      } else if (peek('(')) {
+        throw fail('only .map, .filter, .join, .trim, .toUpperCase and .toLowerCase can be called in compatibility mode');
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function argument() {
+    const params = sticky(/\(\s*([A-Za-z_$][\w$]*(?:\s*,\s*[A-Za-z_$][\w$]*)*)?\s*\)\s*=>/y) ||
+      sticky(/([A-Za-z_$][\w$]*)\s*=>/y);
+    if (!params) {
+      return expression();
+    }
+    if (peek('{')) {
+      throw fail('arrow functions with { } bodies are not supported in compatibility mode');
+    }
+    return { type: 'arrow', params: (params[1] || '').split(',').map(param => param.trim()).filter(Boolean), body: expression() };
+  }
+
+  function primary() {
+    skip();
+    const start = pos;
+    const char = source[pos];
+    if (char === '`') {
+      pos++;
+      return { type: 'template', parts: templateParts(true) };
+    }
+    if (char === '"' || char === "'") {
+      const match = sticky(char === '"' ? /"((?:[^"\\\n]|\\.)*)"/y : /'((?:[^'\\\n]|\\.)*)'/y);
+      if (!match) {
+        throw fail('unterminated string', start);
+      }
+      return { type: 'literal', value: unescapeString(match[1]) };
+    }
+    if (eat('(')) {
+      const inner = expression();
+      expect(')');
+      return inner;
+    }
+    const number = sticky(/\d+(?:\.\d+)?/y);
+    if (number) {
+      return { type: 'literal', value: Number(number[0]) };
+    }
+    const name = sticky(/[A-Za-z_$][\w$]*/y);
+    if (!name) {
+      throw fail(`unexpected "${source.slice(start, start + 12).split('\n')[0]}" in \${...}`, start);
+    }
+    const literals = { true: true, false: false, null: null, undefined };
+    return Object.hasOwn(literals, name[0])
+      ? { type: 'literal', value: literals[name[0]] }
+      : { type: 'identifier', name: name[0] };
+  }
+
+  return templateParts(false);
+}
+
+/**
+ * Interpret a legacy expression node with JavaScript semantics (String conversion, ||, +)
+ * @param {Object} node - Expression node
+ * @param {Array<Object>} scopes - Scope chain
+ * @returns {*} Value
+ */
+function evaluateLegacy(node, scopes) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'identifier': {
+      const { found, value } = lookup(scopes, node.name);
+      if (!found) {
+        throw new Error(`${node.name} is not defined`);
+      }
+      return value;
+    }
+    case 'template':
+      return renderLegacy(node.parts, scopes);
+    case 'member': {
+      const object = evaluateLegacy(node.object, scopes);
+      const property = String(evaluateLegacy(node.property, scopes));
+      if (object === null || object === undefined) {
+        throw new Error(`Cannot read properties of ${object} (reading '${property}')`);
+      }
+      return readProperty(object, property);
+    }
+    case 'call': {
+      const target = evaluateLegacy(node.object, scopes);
+      const args = node.args.map(arg => (arg.type === 'arrow'
+        ? (...values) => evaluateLegacy(arg.body, [...scopes, Object.fromEntries(arg.params.map((param, i) => [param, values[i]]))])
+        : evaluateLegacy(arg, scopes)));
+      if (target === null || target === undefined) {
+        throw new Error(`Cannot read properties of ${target} (reading '${node.method}')`);
+      }
+      if (!Object.hasOwn(LEGACY_METHODS, node.method)) {
+        throw new Error(`.${node.method}() is not supported in compatibility mode`);
+      }
+      return LEGACY_METHODS[node.method](target, args);
+    }
+    case 'arrow':
+      throw new Error('arrow functions are only allowed as .map() and .filter() arguments');
+    case 'not':
+      return !evaluateLegacy(node.argument, scopes);
+    case 'conditional':
+      return evaluateLegacy(node.test, scopes) ? evaluateLegacy(node.consequent, scopes) : evaluateLegacy(node.alternate, scopes);
+    case 'binary': {
+      const left = evaluateLegacy(node.left, scopes);
+      if (node.operator === '||') {
+        return left || evaluateLegacy(node.right, scopes);
+      }
+      if (node.operator === '&&') {
+        return left && evaluateLegacy(node.right, scopes);
+      }
+      const right = evaluateLegacy(node.right, scopes);
+      return { '===': left === right, '!==': left !== right, '+': left + right, '-': left - right }[node.operator];
+    }
+    default:
+      throw new Error(`unsupported expression ${node.type}`);
+  }
+}
+
+/**
+ * Render legacy template parts (values converted with String(), as template literals do)
+ * @param {Array<string|Object>} parts - Compiled parts
+ * @param {Array<Object>} scopes - Scope chain
+ * @param {Object} [options] - Compile options (set for the top-level template, to locate errors)
+ * @returns {string} Output
+ */
+function renderLegacy(parts, scopes, options) {
+  return parts.map(part => {
+    if (typeof part === 'string') {
+      return part;
+    }
+    const evaluate = () => String(evaluateLegacy(part.expr, scopes));
+    if (!options) {
+      try {
+        return evaluate();
+      } catch (error) {
+        // Nested template literal: remember the innermost line for the top-level handler
+        error.innerLine ??= part.line;
+        throw error;
+      }
+    }
+    try {
+      return evaluate();
+    } catch (error) {
+      throw error.line !== undefined ? error : templateError(options, error.innerLine ?? part.line, error.message);
+    }
+  }).join('');
+}
+
+/**
+ * Compile one template source
+ * @param {string} source - Template body
+ * @param {Object} options - { name, line, engine, extends, extendsLine }
+ * @returns {Object} { engine, file, source, extends, extendsLine, nodes | parts }
+ */
+function compileSource(source, options) {
+  const settings = { name: options.name || 'template', line: options.line || 1 };
+  const engine = detectEngine(source, options.engine);
+  const compiled = { engine, file: settings.name, source, extends: options.extends || null, extendsLine: options.extendsLine || 1 };
+
+  if (engine === 'legacy') {
+    if (compiled.extends) {
+      throw templateError(settings, compiled.extendsLine, 'extends requires {{ }} syntax (engine: gsd)');
+    }
+    return { ...compiled, parts: compileLegacy(source, settings) };
+  }
+  return { ...compiled, nodes: compileGsd(source, settings) };
+}
+
+/**
+ * Lazily compiled partials and layouts
+ * @param {Object<string, Object>} partials - Name → { source, line, name, engine, extends, extendsLine }
+ * @returns {Function} name → compiled partial, or null if unknown
+ */
+function createLibrary(partials) {
+  const compiled = new Map();
+  return name => {
+    if (!Object.hasOwn(partials, name)) {
+      return null;
+    }
+    if (!compiled.has(name)) {
+      const partial = partials[name];
+      compiled.set(name, compileSource(partial.source, { ...partial, name: partial.name || `partials/${name}.md` }));
+    }
+    return compiled.get(name);
+  };
+}
+
+/**
+ * Find the partials a template body includes ({{> name}} tags)
+ * @param {string} source - Template body
+ * @returns {string[]} Partial names, without duplicates
+ */
+export function findPartials(source) {
+  const names = [...source.matchAll(TAG_REGEX)]
+    .map(match => (match[1] !== undefined && match[1].trim().startsWith('>') ? match[1].trim().slice(1).trim() : null))
+    .filter(name => name && PARTIAL_NAME.test(name));
+  return [...new Set(names)];
+}
+
+/**
+ * Compile a template body
+ *
+ * @param {string} source - Template body
+ * @param {Object} [options] - Options
+ * @param {string} [options.name] - File name used in error messages (default: 'template')
+ * @param {number} [options.line] - Line number of the body's first line in that file (default: 1)
+ * @param {string} [options.engine] - 'gsd' or 'legacy' (default: detectEngine)
+ * @param {string} [options.extends] - Layout this template fills ({{#block}} overrides)
+ * @param {number} [options.extendsLine] - Line of the extends declaration (for errors)
+ * @param {Object<string, Object>} [options.partials] - Partials and layouts by name:
+ *   { source, line, name, engine, extends, extendsLine } (compiled on first use)
+ * @returns {{engine: string, render: Function, expand: Function}} Compiled template; render(variables) returns the
+ *   output, expand() the static outline with partials and layout resolved
+ * @throws {Error} If the template has a syntax error (message: "<name>:<line>: <problem>")
+ */
+export function compileTemplate(source, options = {}) {
+  const compiled = compileSource(source, options);
+  const context = () => ({ library: createLibrary(options.partials || {}), includes: [compiled.file] });
+
+  return {
+    engine: compiled.engine,
+    render: variables => renderCompiled(compiled, [variables], context()),
+    expand: () => expandCompiled(compiled, context())
+  };
+}
+
+/**
+ * Compile and render a template body in one step
+ *
+ * @param {string} source - Template body
+ * @param {Object} variables - Template variables
+ * @param {Object} [options] - compileTemplate options
+ * @returns {string} Rendered output
+ * @throws {Error} If the template is invalid or references unknown variables
+ */
+export function renderString(source, variables, options = {}) {
+  return compileTemplate(source, options).render(variables);
+}
@@ -1,33 +1,56 @@
 /**
  * Template rendering module
- * Provides template loading, variable validation, and rendering with template literals
+ * Provides template loading, variable validation, and rendering with template-engine.js
  *
  * Critical patterns:
  * - Parses YAML frontmatter with front-matter library
  * - Validates all required variables before rendering
- * - Uses Function constructor for safe template literal evaluation
- * - Supports ${variable} syntax and expressions
+ * - Never evaluates JavaScript: {{ }} templates and legacy ${...} templates are both interpreted (template-engine.js)
+ * - Frontmatter `engine: legacy` (or a body using only ${...}) selects the compatibility mode
+ * - Rendering errors name the template file and line
+ * - {{> name}} includes and `extends: name` layouts load from templates/partials/name.md; cycles are reported with the chain
+ * - Required variables are the union over the template, its partials and its layouts
+ * - CLI entry point writes rendered output with writeFileAtomic()
+ *
+ * CLI usage:
+ * - node gsd/scripts/template-renderer.js --template=PROJECT --output=.planning/PROJECT.md --projectName="My App"
+ * - node gsd/scripts/template-renderer.js --template=SUMMARY --vars-file=summary-vars.json --output=.planning/research/SUMMARY.md
  */
 
 import fm from 'front-matter';
-import { readFile } from './file-ops.js';
+import { readFile, writeFileAtomic, ensureDir } from './file-ops.js';
+import { compileTemplate, findPartials, PARTIAL_NAME } from './template-engine.js';
+import { parseArgs, isMainModule } from './cli-args.js';
 import { readdir } from 'node:fs/promises';
 import path from 'node:path';
+import { fileURLToPath } from 'node:url';
 
 /**
- * Render a template with variable substitution
+ * Default templates directory (gsd/templates, relative to this script)
+ */
+const DEFAULT_TEMPLATES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'templates');
+
+/**
+ * CLI options consumed by the renderer itself (never passed as template variables)
+ */
+const CLI_OPTIONS = ['template', 'output', 'vars-file', 'templates-dir', 'help'];
+
+/**
+ * Partials and layouts directory (inside the templates directory)
+ */
+const PARTIALS_DIR = 'partials';
+
+/**
+ * Load and parse a template file
  *
  * @param {string} templateName - Template name (without .md extension)
- * @param {Object} variables - Key-value pairs for template variables
  * @param {string} templatesDir - Path to templates directory
- * @returns {Promise<string>} Rendered template content
- * @throws {Error} If template not found or required variables missing
+ * @returns {Promise<{attributes: Object, body: string, bodyBegin: number}>} Parsed frontmatter, body and its first line
+ * @throws {Error} If template not found
  */
-export async function renderTemplate(templateName, variables, templatesDir) {
-  // Construct template path
+async function loadTemplate(templateName, templatesDir) {
   const templatePath = path.join(templatesDir, `${templateName}.md`);
 
-  // Load template file
   let templateContent;
   try {
     templateContent = await readFile(templatePath);
@@ -35,31 +58,156 @@ export async function renderTemplate(templateName, variables, templatesDir) {
     throw new Error(`Template not found: ${templateName} (path: ${templatePath})`);
   }
 
-  // Parse YAML frontmatter
-  const { attributes, body } = fm(templateContent);
+  return fm(templateContent);
+}
 
-  // Extract required variables from frontmatter
-  const requiredVars = attributes.variables || [];
+/**
+ * Load and parse a partial or layout from templates/partials
+ *
+ * @param {string} name - Partial name (e.g. research-footer)
+ * @param {string} templatesDir - Path to templates directory
+ * @returns {Promise<{attributes: Object, body: string, bodyBegin: number, frontmatter: string}>} Parsed partial
+ * @throws {Error} If the name is invalid or the partial is not found
+ */
+async function loadPartial(name, templatesDir) {
+  if (typeof name !== 'string' || !PARTIAL_NAME.test(name)) {
+    throw new Error(`Invalid partial name: ${name} (letters, digits, -, _ and / only)`);
+  }
+  const partialPath = path.join(templatesDir, PARTIALS_DIR, `${name}.md`);
 
-  // Validate all required variables are provided
-  const missing = requiredVars.filter(v => !(v in variables));
+  let partialContent;
+  try {
+    partialContent = await readFile(partialPath);
+  } catch (error) {
+    throw new Error(`Partial not found: ${name} (path: ${partialPath})`);
+  }
+
+  return fm(partialContent);
+}
+
+/**
+ * Engine options for a parsed template (line of the extends declaration, for errors)
+ * @param {Object} template - Parsed template
+ * @param {string} name - File name used in error messages
+ * @returns {Object} { source, line, name, engine, extends, extendsLine }
+ */
+function toEngineSource(template, name) {
+  const extendsIndex = (template.frontmatter || '').split('\n').findIndex(line => /^extends\s*:/.test(line));
+  return {
+    source: template.body,
+    line: template.bodyBegin,
+    name,
+    engine: template.attributes.engine,
+    extends: template.attributes.extends,
+    extendsLine: extendsIndex === -1 ? 1 : extendsIndex + 2
+  };
+}
+
+/**
+ * Load a template with every partial and layout it reaches
+ *
+ * @param {string} templateName - Template name (without .md extension)
+ * @param {string} templatesDir - Path to templates directory
+ * @returns {Promise<{template: Object, partials: Object<string, Object>, variables: string[]}>}
+ *   Root template, engine sources of its partials/layouts by name, and the combined required variables
+ * @throws {Error} If a template or partial is not found, or includes/extends form a cycle
+ */
+async function loadTemplateTree(templateName, templatesDir) {
+  const template = await loadTemplate(templateName, templatesDir);
+  const partials = {};
+  const variables = [...(template.attributes.variables || [])];
+
+  // Depth-first: a partial that is still being visited and reached again closes a cycle
+  const visit = async (parsed, chain) => {
+    const layout = parsed.attributes.extends;
+    const names = [...(layout === undefined ? [] : [layout]), ...findPartials(parsed.body)];
+    for (const name of names) {
+      const label = `${PARTIALS_DIR}/${name}`;
+      if (chain.includes(label)) {
+        throw new Error(`Template include cycle: ${[...chain, label].join(' → ')}`);
+      }
+      if (!Object.hasOwn(partials, name)) {
+        const partial = await loadPartial(name, templatesDir);
+        partials[name] = toEngineSource(partial, `${label}.md`);
+        variables.push(...(partial.attributes.variables || []));
+        await visit(partial, [...chain, label]);
+      }
+    }
+  };
+  await visit(template, [templateName]);
+
+  return { template, partials, variables: [...new Set(variables)] };
+}
+
+/**
+ * Compile a loaded template tree
+ * @param {string} templateName - Template name (without .md extension)
+ * @param {Object} tree - Result of loadTemplateTree()
+ * @returns {{engine: string, render: Function, expand: Function}} Compiled template
+ */
+function compileTree(templateName, tree) {
+  return compileTemplate(tree.template.body, {
+    ...toEngineSource(tree.template, `${templateName}.md`),
+    partials: tree.partials
+  });
+}
+
+/**
+ * Get the required variables of a template, including those of its partials and layouts
+ *
+ * @param {string} templateName - Template name (without .md extension)
+ * @param {string} templatesDir - Path to templates directory
+ * @returns {Promise<string[]>} Required variable names
+ * @throws {Error} If template or a partial is not found, or includes form a cycle
+ */
+export async function getTemplateVariables(templateName, templatesDir) {
+  const { variables } = await loadTemplateTree(templateName, templatesDir);
+  return variables;
+}
+
+/**
+ * Expand a template's partials and layout into one body (loop and condition tags dropped, {{ }} output tags kept)
+ * Used to read section and tag order from templates that are split across partials
+ *
+ * @param {string} templateName - Template name (without .md extension)
+ * @param {string} templatesDir - Path to templates directory
+ * @returns {Promise<string>} Expanded template body
+ * @throws {Error} If template or a partial is not found, or the template is invalid
+ */
+export async function expandTemplate(templateName, templatesDir) {
+  const tree = await loadTemplateTree(templateName, templatesDir);
+  try {
+    return compileTree(templateName, tree).expand();
+  } catch (error) {
+    throw new Error(`Template expansion failed for ${templateName}: ${error.message}`);
+  }
+}
+
+/**
+ * Render a template with variable substitution
+ *
+ * @param {string} templateName - Template name (without .md extension)
+ * @param {Object} variables - Key-value pairs for template variables
+ * @param {string} templatesDir - Path to templates directory
+ * @returns {Promise<string>} Rendered template content
+ * @throws {Error} If template or a partial is not found, required variables missing, or the template is invalid
+ *   (e.g. "Template rendering failed for ROADMAP: ROADMAP.md:41: unknown variable 'phaseCount'")
+ */
+export async function renderTemplate(templateName, variables, templatesDir) {
+  // Load template, partials and layouts (YAML frontmatter parsed, include cycles rejected)
+  const tree = await loadTemplateTree(templateName, templatesDir);
+
+  // Validate all required variables are provided (template, partials and layouts combined)
+  const missing = tree.variables.filter(v => !(v in variables));
   if (missing.length > 0) {
     throw new Error(
       `Template ${templateName} requires missing variables: ${missing.join(', ')}`
     );
   }
 
-  // Render using template literals via Function constructor
-  // This evaluates ${varName} placeholders in template body
-  // Safe because templates are controlled (from gsd/templates/), not user-provided
-  const varNames = Object.keys(variables);
-  const varValues = Object.values(variables);
-
+  // Interpret the body (errors point at the template or partial file's own line numbers)
   try {
-    // Create function that returns evaluated template literal
-    const renderFn = new Function(...varNames, `return \`${body}\`;`);
-    const rendered = renderFn(...varValues);
-    return rendered;
+    return compileTree(templateName, tree).render(variables);
   } catch (error) {
     throw new Error(`Template rendering failed for ${templateName}: ${error.message}`);
   }
@@ -84,3 +232,94 @@ export async function listTemplates(templatesDir) {
     throw new Error(`Failed to list templates in ${templatesDir}: ${error.message}`);
   }
 }
+
+/**
+ * Load template variables from a JSON file (for arrays/objects like keyFindings)
+ *
+ * @param {string} varsFile - Path to JSON file containing a variables object
+ * @returns {Promise<Object>} Variables object
+ * @throws {Error} If file is missing, not JSON, or not an object
+ */
+async function loadVarsFile(varsFile) {
+  const content = await readFile(varsFile);
+
+  let vars;
+  try {
+    vars = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid vars file (JSON parse error): ${error.message}`);
+  }
+
+  if (!vars || typeof vars !== 'object' || Array.isArray(vars)) {
+    throw new Error(`Invalid vars file: ${varsFile} must contain a JSON object`);
+  }
+
+  return vars;
+}
+
+/**
+ * CLI entry point
+ * Renders --template with --vars-file and --<variable>=<value> pairs (CLI pairs take precedence)
+ *
+ * @param {string[]} argv - Command-line arguments
+ * @returns {Promise<void>}
+ * @throws {Error} If options are invalid, variables are missing, or rendering fails
+ */
+async function main(argv) {
+  const { options } = parseArgs(argv);
+
+  if (options.help) {
+    console.log(
+      'Usage: node gsd/scripts/template-renderer.js --template=NAME [--output=PATH]\n' +
+      '         [--vars-file=FILE.json] [--templates-dir=DIR] [--<variable>=<value> ...]\n\n' +
+      'Writes to --output atomically, or to stdout when --output is omitted.'
+    );
+    return;
+  }
+
+  if (typeof options.template !== 'string' || options.template === '') {
+    throw new Error('Missing required option: --template=NAME');
+  }
+
+  const templatesDir = typeof options['templates-dir'] === 'string'
+    ? path.resolve(options['templates-dir'])
+    : DEFAULT_TEMPLATES_DIR;
+
+  // Merge variables: vars file first, then CLI pairs override
+  const variables = typeof options['vars-file'] === 'string'
+    ? await loadVarsFile(options['vars-file'])
+    : {};
+
+  for (const [key, value] of Object.entries(options)) {
+    if (!CLI_OPTIONS.includes(key)) {
+      variables[key] = value;
+    }
+  }
+
+  // Report every missing variable at once with how to supply it
+  const requiredVars = await getTemplateVariables(options.template, templatesDir);
+  const missing = requiredVars.filter(v => !(v in variables));
+  if (missing.length > 0) {
+    throw new Error(
+      `Template ${options.template} requires missing variables:\n` +
+      missing.map(v => `  - ${v} (pass --${v}=<value> or add to --vars-file)`).join('\n')
+    );
+  }
+
+  const rendered = await renderTemplate(options.template, variables, templatesDir);
+
+  if (typeof options.output === 'string' && options.output !== '') {
+    await ensureDir(path.dirname(path.resolve(options.output)));
+    await writeFileAtomic(options.output, rendered);
+    console.log(`Rendered ${options.template} to ${options.output}`);
+  } else {
+    process.stdout.write(rendered);
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,437 @@
+/**
+ * Traceability Module
+ * Builds the requirement → phase → plan → summary matrix and checks it in both directions
+ *
+ * Critical patterns:
+ * - Requirements: "- [ ] **ID**: text" items under "## vN Requirements" (only v1 must be mapped; v2+ are deferred)
+ * - Phase mapping: each ROADMAP.md phase's **Requirements:** line plus the "## Traceability" table
+ *   (REQUIREMENTS.md, where the template puts it; a legacy table in ROADMAP.md is read too)
+ * - Plans cover a requirement of their phase by listing it in `requirements:` frontmatter or mentioning its ID
+ *   (in the plan or in its SUMMARY, which records the requirements delivered)
+ * - The REQUIREMENTS.md checkbox is the source of truth for completion; the table's Status must agree
+ * - Issues are diagnostics (see diagnostics.js): unmapped, undefined, mapped twice, status drift
+ * - writeTraceability rewrites the Traceability table and Coverage block from the matrix (atomic write)
+ *
+ * CLI usage:
+ * - node gsd/scripts/traceability.js                      (matrix and issues; exits non-zero on issues)
+ * - node gsd/scripts/traceability.js --json
+ * - node gsd/scripts/traceability.js --format=sarif
+ * - node gsd/scripts/traceability.js --write [--dry-run]  (rewrite ## Traceability in REQUIREMENTS.md)
+ */
+
+import frontmatter from 'front-matter';
+import { readFile, writeFileAtomic, fileExists } from './file-ops.js';
+import { parseRoadmap } from './roadmap-parser.js';
+import { listPhaseDirs } from './plan-parser.js';
+import { PHASE_PATTERN, PLAN_FILE_REGEX, parsePhase, comparePhases, formatPlanId } from './phase-numbers.js';
+import { createDiagnostic, createDiagnosticsError, diagnosticsFromError, positionAt, DIAGNOSTIC_FORMATS } from './diagnostics.js';
+import { parseArgs, isMainModule } from './cli-args.js';
+import { readdir } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Planning files, relative to the project root
+ */
+export const REQUIREMENTS_FILE = '.planning/REQUIREMENTS.md';
+export const ROADMAP_FILE = '.planning/ROADMAP.md';
+
+/**
+ * Requirement ID pattern (same as roadmap-parser's **Requirements:** line)
+ */
+const REQUIREMENT_ID = '[A-Z]+-\\d+';
+
+/**
+ * Requirement definition, e.g. "- [x] **CORE-01**: System provides ..." (checkbox optional for v2 items)
+ */
+const DEFINITION_REGEX = new RegExp(`^\\s*[-*]\\s+(?:\\[([ xX])\\]\\s+)?\\*\\*(${REQUIREMENT_ID})\\*\\*:?\\s*(.*)$`);
+
+/**
+ * Traceability table row, e.g. "| CORE-01 | Phase 2 | Complete |" (Status cell optional)
+ */
+const ROW_REGEX = new RegExp(`^\\|\\s*(${REQUIREMENT_ID})\\s*\\|\\s*([^|]*?)\\s*\\|(?:\\s*([^|]*?)\\s*\\|)?`);
+
+/**
+ * Status written for a checked requirement
+ */
+const COMPLETE = 'Complete';
+
+/**
+ * Parse REQUIREMENTS.md (or any file with a ## Traceability table)
+ *
+ * @param {string} content - File content
+ * @returns {{requirements: Array<Object>, rows: Array<Object>}}
+ *   requirements: { id, description, version ('v1', 'v2', ...), checked, line }
+ *   rows: Traceability table rows { id, phases: number[], status, line }
+ */
+export function parseRequirements(content) {
+  const requirements = [];
+  const rows = [];
+  let section = '';
+
+  content.split('\n').forEach((raw, index) => {
+    const line = raw.replace(/\r$/, '');
+    const heading = line.match(/^## (.+?)\s*$/);
+    if (heading) {
+      section = heading[1];
+      return;
+    }
+
+    const version = section.match(/^(v\d+)\b/i);
+    const definition = version && line.match(DEFINITION_REGEX);
+    if (definition) {
+      requirements.push({
+        id: definition[2],
+        description: definition[3].trim(),
+        version: version[1].toLowerCase(),
+        checked: /x/i.test(definition[1] || ''),
+        line: index + 1
+      });
+      return;
+    }
+
+    const row = section === 'Traceability' && line.match(ROW_REGEX);
+    if (row) {
+      rows.push({
+        id: row[1],
+        phases: [...row[2].matchAll(new RegExp(PHASE_PATTERN, 'g'))].map(match => parsePhase(match[0])),
+        status: (row[3] || '').trim(),
+        line: index + 1
+      });
+    }
+  });
+
+  return { requirements, rows };
+}
+
+/**
+ * Load every plan with the requirement IDs it references and its SUMMARY (if written)
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<Array<{id: string, phase: number, file: string, requirements: Set<string>, summary: string|null}>>}
+ */
+async function loadPlanReferences(projectRoot) {
+  const plans = [];
+
+  for (const dir of await listPhaseDirs(projectRoot)) {
+    const files = (await readdir(dir.path)).filter(file => PLAN_FILE_REGEX.test(file)).sort();
+    for (const file of files) {
+      const content = await readFile(path.join(dir.path, file));
+      let declared = [];
+      try {
+        const listed = frontmatter(content).attributes.requirements;
+        declared = Array.isArray(listed) ? listed.map(String) : listed ? [String(listed)] : [];
+      } catch (error) {
+        // Malformed frontmatter is plan-parser's to report; fall back to ID mentions
+      }
+      const summary = file.replace(/-PLAN\.md$/, '-SUMMARY.md');
+      const hasSummary = await fileExists(path.join(dir.path, summary));
+      const text = hasSummary ? content + await readFile(path.join(dir.path, summary)) : content;
+      const mentioned = [...text.matchAll(new RegExp(`\\b${REQUIREMENT_ID}\\b`, 'g'))].map(match => match[0]);
+
+      const [, , planNumber] = file.match(PLAN_FILE_REGEX);
+      const relativeDir = path.relative(projectRoot, dir.path).split(path.sep).join('/');
+      plans.push({
+        id: formatPlanId(dir.phase, parseInt(planNumber, 10)),
+        phase: dir.phase,
+        file: `${relativeDir}/${file}`,
+        requirements: new Set([...declared, ...mentioned]),
+        summary: hasSummary ? `${relativeDir}/${summary}` : null
+      });
+    }
+  }
+
+  return plans;
+}
+
+/**
+ * Format a phase list for messages and the Traceability table ("Phase 2", "Phase 2, Phase 3")
+ * @param {number[]} phases - Phase numbers
+ * @returns {string} Phase list
+ */
+function formatPhases(phases) {
+  return phases.map(phase => `Phase ${phase}`).join(', ');
+}
+
+/**
+ * Build the traceability matrix and its issues
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<Object>} { entries, issues, coverage }
+ *   entries: one per defined requirement { id, description, version, checked, status, phases, roadmapPhases,
+ *     tablePhases, plans, summaries }
+ *   issues: diagnostics (empty when requirements, roadmap and table agree)
+ *   coverage: { total, traced, orphaned, complete, percentage } over v1 requirements
+ * @throws {Error} If REQUIREMENTS.md or ROADMAP.md is missing
+ */
+export async function buildTraceabilityMatrix(projectRoot) {
+  const requirementsContent = await readFile(path.join(projectRoot, REQUIREMENTS_FILE));
+  const roadmapContent = await readFile(path.join(projectRoot, ROADMAP_FILE));
+  const { requirements, rows } = parseRequirements(requirementsContent);
+  const legacyRows = parseRequirements(roadmapContent).rows.map(row => ({ ...row, file: ROADMAP_FILE }));
+  const tableRows = [...rows.map(row => ({ ...row, file: REQUIREMENTS_FILE })), ...legacyRows];
+  const roadmap = parseRoadmap(roadmapContent);
+  const plans = await loadPlanReferences(projectRoot);
+
+  const defined = new Map(requirements.map(requirement => [requirement.id, requirement]));
+  const issues = [];
+  const issue = (ruleId, file, position, message, fix) =>
+    issues.push(createDiagnostic({ ruleId, file, ...position, message, fix }));
+  const rewriteFix = 'node gsd/scripts/traceability.js --write';
+
+  // ROADMAP.md positions of each phase's requirement IDs
+  const roadmapMappings = roadmap.phases.flatMap(phase => {
+    const heading = roadmapContent.search(new RegExp(`^### Phase ${String(phase.number).replace('.', '\\.')}\\s*[:\\-–]`, 'm'));
+    return phase.requirements.map(id => {
+      const offset = heading === -1 ? -1 : roadmapContent.indexOf(id, heading);
+      return { id, phase: phase.number, position: positionAt(roadmapContent, Math.max(0, offset)) };
+    });
+  });
+
+  // Reverse direction: IDs in the roadmap or table that REQUIREMENTS.md does not define
+  for (const mapping of roadmapMappings.filter(entry => !defined.has(entry.id))) {
+    issue('requirement-undefined', ROADMAP_FILE, mapping.position,
+      `Phase ${mapping.phase} maps requirement ${mapping.id}, which is not defined in REQUIREMENTS.md`,
+      `define **${mapping.id}** in ${REQUIREMENTS_FILE} or remove it from Phase ${mapping.phase}`);
+  }
+  for (const row of tableRows.filter(entry => !defined.has(entry.id))) {
+    issue('requirement-undefined', row.file, { line: row.line },
+      `Traceability row ${row.id} is not defined in REQUIREMENTS.md`, rewriteFix);
+  }
+
+  const entries = requirements.map(requirement => {
+    const roadmapPhases = roadmapMappings.filter(entry => entry.id === requirement.id).map(entry => entry.phase);
+    const idRows = tableRows.filter(row => row.id === requirement.id);
+    const tablePhases = idRows.flatMap(row => row.phases);
+    const phases = [...new Set([...roadmapPhases, ...tablePhases])].sort(comparePhases);
+    const covering = plans.filter(plan => phases.includes(plan.phase) && plan.requirements.has(requirement.id));
+    const status = idRows.length > 0 ? idRows[0].status : '';
+    const position = { line: requirement.line, column: 1 };
+
+    if (requirement.version === 'v1' && phases.length === 0) {
+      issue('requirement-unmapped', REQUIREMENTS_FILE, position,
+        `Requirement ${requirement.id} is not mapped to any phase`,
+        `add ${requirement.id} to a phase's **Requirements:** line in ${ROADMAP_FILE}, then run ${rewriteFix}`);
+    }
+    if (phases.length > 1) {
+      issue('requirement-duplicate', REQUIREMENTS_FILE, position,
+        `Requirement ${requirement.id} is mapped to ${formatPhases(phases)}` +
+        ` (ROADMAP.md: ${formatPhases(roadmapPhases) || 'none'}; Traceability: ${formatPhases(tablePhases) || 'none'})`,
+        `keep ${requirement.id} in one phase's **Requirements:** line, then run ${rewriteFix}`);
+    }
+    idRows.filter(row => row.file === REQUIREMENTS_FILE).slice(1).forEach(row => {
+      issue('requirement-duplicate', REQUIREMENTS_FILE, { line: row.line },
+        `Requirement ${requirement.id} has more than one Traceability row`, rewriteFix);
+    });
+
+    if (requirement.version === 'v1' && phases.length > 0 && idRows.length === 0) {
+      issue('requirement-drift', REQUIREMENTS_FILE, position,
+        `Requirement ${requirement.id} is mapped to ${formatPhases(phases)} but has no Traceability row`, rewriteFix);
+    } else if (idRows.length > 0 && requirement.checked !== (status === COMPLETE)) {
+      issue('requirement-drift', idRows[0].file, { line: idRows[0].line },
+        `Requirement ${requirement.id} is ${requirement.checked ? '[x]' : '[ ]'} in REQUIREMENTS.md ` +
+        `but ${status || 'has no status'} in the Traceability table`,
+        requirement.checked
+          ? rewriteFix
+          : `check the box for ${requirement.id} in ${REQUIREMENTS_FILE} if it is complete, otherwise run ${rewriteFix}`);
+    }
+
+    return {
+      id: requirement.id,
+      description: requirement.description,
+      version: requirement.version,
+      checked: requirement.checked,
+      status,
+      phases,
+      roadmapPhases,
+      tablePhases,
+      plans: covering.map(plan => plan.id),
+      summaries: covering.map(plan => plan.summary).filter(Boolean)
+    };
+  });
+
+  const v1 = entries.filter(entry => entry.version === 'v1');
+  const traced = v1.filter(entry => entry.phases.length > 0).length;
+  return {
+    entries,
+    issues,
+    coverage: {
+      total: v1.length,
+      traced,
+      orphaned: v1.length - traced,
+      complete: v1.filter(entry => entry.checked).length,
+      percentage: v1.length > 0 ? Math.round((traced / v1.length) * 100) : 100
+    }
+  };
+}
+
+/**
+ * Status a requirement's Traceability row should have: Complete when checked, else its current
+ * non-complete status (e.g. In Progress), else Pending
+ * @param {Object} entry - Matrix entry
+ * @returns {string} Status
+ */
+function expectedStatus(entry) {
+  if (entry.checked) {
+    return COMPLETE;
+  }
+  return entry.status && entry.status !== COMPLETE ? entry.status : 'Pending';
+}
+
+/**
+ * Render the Traceability table (v1 requirements; ROADMAP.md phases win over the old table)
+ * @param {Object} matrix - Matrix from buildTraceabilityMatrix
+ * @returns {string[]} Table lines (header, delimiter, rows)
+ */
+function renderTraceabilityTable(matrix) {
+  return [
+    '| Requirement | Phase | Status |',
+    '|-------------|-------|--------|',
+    ...matrix.entries.filter(entry => entry.version === 'v1').map(entry => {
+      const phases = entry.roadmapPhases.length > 0 ? entry.roadmapPhases : entry.tablePhases;
+      return `| ${entry.id} | ${formatPhases(phases) || 'Unmapped'} | ${expectedStatus(entry)} |`;
+    })
+  ];
+}
+
+/**
+ * Rewrite the ## Traceability section of REQUIREMENTS.md from the computed matrix
+ * Replaces the table and the Coverage counts; prose and other sections are left as they are
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.dryRun] - Compute the new content without writing it
+ * @returns {Promise<{content: string, changed: boolean, matrix: Object}>} New REQUIREMENTS.md content
+ * @throws {Error} If REQUIREMENTS.md or ROADMAP.md is missing
+ */
+export async function writeTraceability(projectRoot, options = {}) {
+  const absolutePath = path.join(projectRoot, REQUIREMENTS_FILE);
+  const original = await readFile(absolutePath);
+  const matrix = await buildTraceabilityMatrix(projectRoot);
+  const table = renderTraceabilityTable(matrix);
+  const lines = original.split('\n');
+
+  const start = lines.findIndex(line => line.trimEnd() === '## Traceability');
+  if (start === -1) {
+    // No section yet: add it before the footer rule (or at the end)
+    const footer = lines.findLastIndex(line => /^---\s*$/.test(line));
+    const at = footer > 0 ? footer : lines.length;
+    lines.splice(at, 0, '## Traceability', '', 'Which phases cover which requirements. Updated during roadmap creation.',
+      '', ...table, '');
+  } else {
+    const endOffset = lines.slice(start + 1).findIndex(line => /^## /.test(line) || /^---\s*$/.test(line));
+    const end = endOffset === -1 ? lines.length : start + 1 + endOffset;
+    const tableStart = lines.findIndex((line, i) => i > start && i < end && /^\|/.test(line));
+    if (tableStart === -1) {
+      lines.splice(end, 0, ...table, '');
+    } else {
+      let tableEnd = tableStart;
+      while (tableEnd < end && /^\|/.test(lines[tableEnd])) {
+        tableEnd++;
+      }
+      lines.splice(tableStart, tableEnd - tableStart, ...table);
+    }
+  }
+
+  const { total, traced, orphaned } = matrix.coverage;
+  const mark = orphaned === 0 ? ' ✓' : '';
+  const content = lines.join('\n')
+    .replace(/^- v1 requirements: .*$/m, `- v1 requirements: ${total} total`)
+    .replace(/^- Mapped to phases: .*$/m, `- Mapped to phases: ${traced}${mark}`)
+    .replace(/^- Unmapped: .*$/m, `- Unmapped: ${orphaned}${mark}`);
+
+  const changed = content !== original;
+  if (changed && !options.dryRun) {
+    await writeFileAtomic(absolutePath, content);
+  }
+  return { content, changed, matrix };
+}
+
+/**
+ * Format the matrix as text: one line per requirement, then the issues
+ * @param {Object} matrix - Matrix from buildTraceabilityMatrix
+ * @returns {string} Human-readable report
+ */
+export function formatTraceabilityMatrix(matrix) {
+  const { total, traced, complete, percentage } = matrix.coverage;
+  const lines = [`Traceability: ${traced}/${total} v1 requirements mapped (${percentage}%), ${complete} complete`];
+
+  for (const entry of matrix.entries.filter(item => item.version === 'v1')) {
+    lines.push(
+      `  [${entry.checked ? 'x' : ' '}] ${entry.id.padEnd(10)} ${(formatPhases(entry.phases) || 'unmapped').padEnd(10)} ` +
+      `plans: ${entry.plans.join(', ') || '-'}  summaries: ${entry.summaries.length}/${entry.plans.length}`
+    );
+  }
+
+  if (matrix.issues.length > 0) {
+    lines.push(`Issues: ${matrix.issues.length}`);
+    matrix.issues.forEach((issue, i) => lines.push(`  ${i + 1}. ${issue.file}:${issue.line}: ${issue.message}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Check traceability, throwing the issues as one summary (error.diagnostics holds them structured)
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<Object>} Coverage: { total, traced, orphaned, complete, percentage }
+ * @throws {Error} If any traceability issue is found
+ */
+export async function checkTraceability(projectRoot) {
+  const matrix = await buildTraceabilityMatrix(projectRoot);
+  if (matrix.issues.length > 0) {
+    throw createDiagnosticsError('Requirement coverage validation failed', matrix.issues);
+  }
+  return matrix.coverage;
+}
+
+/**
+ * CLI entry point
+ * Prints the matrix (text, --json, or --format=json|sarif for the issues); --write rewrites the Traceability section
+ *
+ * @param {string[]} argv - Command-line arguments
+ * @returns {Promise<void>}
+ * @throws {Error} If the planning files are missing
+ */
+async function main(argv) {
+  const { options } = parseArgs(argv);
+  const projectRoot = typeof options.root === 'string' ? options.root : process.cwd();
+  const serialize = DIAGNOSTIC_FORMATS[options.format];
+
+  if (options.write) {
+    const { changed, matrix } = await writeTraceability(projectRoot, { dryRun: Boolean(options['dry-run']) });
+    console.log(changed
+      ? `${options['dry-run'] ? 'Would rewrite' : 'Rewrote'} ## Traceability in ${REQUIREMENTS_FILE} (${matrix.coverage.total} v1 requirements)`
+      : `## Traceability in ${REQUIREMENTS_FILE} is up to date`);
+    return;
+  }
+
+  let matrix;
+  try {
+    matrix = await buildTraceabilityMatrix(projectRoot);
+  } catch (error) {
+    if (!serialize) {
+      throw error;
+    }
+    console.log(serialize(diagnosticsFromError(error, REQUIREMENTS_FILE)));
+    process.exitCode = 1;
+    return;
+  }
+
+  if (serialize) {
+    console.log(serialize(matrix.issues));
+  } else if (options.json) {
+    console.log(JSON.stringify(matrix, null, 2));
+  } else {
+    console.log(formatTraceabilityMatrix(matrix));
+  }
+  if (matrix.issues.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
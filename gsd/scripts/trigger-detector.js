@@ -9,7 +9,7 @@
  * - Conflict detection (prevent dual workflows)
  */
 
-import { readFile } from './file-ops.js';
+import { loadConfig } from './config-loader.js';
 import { readState } from './state-manager.js';
 import path from 'node:path';
 
@@ -64,22 +64,14 @@ export function detectTrigger(userInput, config) {
  * Load trigger configuration from .gsd-config.json
  *
  * @param {string} projectRoot - Root directory of the project
- * @returns {Promise<Object>} Configuration object with triggerPhrases
- * @throws {Error} If config file not found or parsing fails
+ * @returns {Promise<Object>} Validated configuration (triggerPhrases guaranteed by the schema)
+ * @throws {Error} If config file not found, not valid JSON, or fails schema validation
  */
 export async function loadTriggerConfig(projectRoot) {
   try {
-    const configPath = path.join(projectRoot, 'gsd', '.gsd-config.json');
-    const configContent = await readFile(configPath);
-    const config = JSON.parse(configContent);
-
-    if (!config.triggerPhrases) {
-      throw new Error('Configuration missing triggerPhrases section');
-    }
-
-    return config;
+    return await loadConfig(path.join(projectRoot, 'gsd', '.gsd-config.json'));
   } catch (error) {
-    if (error.message.includes('File not found')) {
+    if (error.message.startsWith('Config file not found')) {
       throw new Error('Configuration file not found at gsd/.gsd-config.json');
     }
     throw new Error(`Failed to load trigger config: ${error.message}`);
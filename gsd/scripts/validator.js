@@ -5,61 +5,316 @@
  * Critical patterns:
  * - Layer 1: Validate YAML frontmatter against JSON Schema
  * - Layer 2: Check required markdown sections exist
+ * - Layer 3: markdownlint with GSD rules (custom: key-decisions-table, phase-heading-format), optional auto-fix
+ * - Schemas keyed by each template's frontmatter `schema:` id, so every generated artifact can be validated
  * - Accumulate all errors before throwing (don't fail on first error)
  * - Provide specific remediation for each error type
+ * - Every problem is also a diagnostic (rule id, severity, file, line, column, message, fix): diagnose* functions
+ *   return them, thrown errors carry them as error.diagnostics
+ * - Project rules from the `validation` block of gsd/.gsd-config.json extend ARTIFACT_SCHEMAS at runtime
+ *   (extra sections, tags, frontmatter schema, must-match/must-not-match regexes, severity per rule id)
+ *
+ * CLI usage:
+ * - node gsd/scripts/validator.js --check=artifacts --phase=2
+ * - node gsd/scripts/validator.js --check=requirements --phase=2
+ * - node gsd/scripts/validator.js --check=success-criteria --phase=2
+ * - node gsd/scripts/validator.js --check=sections --file=.planning/PROJECT.md --required="What This Is,Core Value"
+ * - node gsd/scripts/validator.js --check=traceability
+ * - node gsd/scripts/validator.js --check=consistency   (STATE vs ROADMAP vs REQUIREMENTS vs phase dirs; also runs before resume/transition)
+ * - node gsd/scripts/validator.js --schema=config --file=gsd/.gsd-config.json
+ * - node gsd/scripts/validator.js --artifact=.planning/PROJECT.md --type=PROJECT
+ * - node gsd/scripts/validator.js --lint=.planning/ROADMAP.md [--fix]
+ * - node gsd/scripts/validator.js --artifact=.planning/PROJECT.md --type=PROJECT --fix [--dry-run]  (artifact-fixer.js)
+ * - node gsd/scripts/validator.js --artifact=.planning/phases/02-api/02-01-PLAN.md --type=gsd-plan-v1
+ * - node gsd/scripts/validator.js --check=artifacts --format=sarif   (also --format=json; see diagnostics.js)
  */
 
 import Ajv from 'ajv';
 import frontmatter from 'front-matter';
-import { readFile } from './file-ops.js';
+import markdownlint from 'markdownlint';
+import { readFile, writeFileAtomic, fileExists } from './file-ops.js';
+import { createDiagnostic, createDiagnosticsError, diagnosticsFromError, formatDiagnostic, positionAt, DIAGNOSTIC_FORMATS } from './diagnostics.js';
+import { loadConfig, DEFAULT_CONFIG_PATH } from './config-loader.js';
+import { parseArgs, isMainModule } from './cli-args.js';
+import { getPhase, loadRoadmap } from './roadmap-parser.js';
+import { evaluatePhaseCriteria, formatCriteriaReport } from './success-criteria.js';
+import { isValidPhase, parsePhase, comparePhases, formatPhasePrefix, PLAN_FILE_REGEX, PHASE_PATTERN } from './phase-numbers.js';
+import { REQUIRED_PLAN_FIELDS, listPhaseDirs } from './plan-parser.js';
+import { checkTraceability, parseRequirements } from './traceability.js';
+import { readState } from './state-manager.js';
+import { readdir } from 'node:fs/promises';
 import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ajv = new Ajv({ allowUnionTypes: true });
 
-const ajv = new Ajv();
+/**
+ * Config schema (draft 2020-12) lives at gsd/config-schema.json, relative to this script
+ */
+const DEFAULT_CONFIG_SCHEMA = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'config-schema.json');
 
 /**
- * Artifact schemas define validation rules
- * Each artifact has:
+ * Core planning artifacts checked by --check=artifacts
+ */
+export const CORE_ARTIFACTS = [
+  { filePath: '.planning/PROJECT.md', type: 'PROJECT.md' },
+  { filePath: '.planning/ROADMAP.md', type: 'ROADMAP.md' },
+  { filePath: '.planning/REQUIREMENTS.md', type: 'REQUIREMENTS.md' }
+];
+
+/**
+ * Templates directory; each template's frontmatter maps its artifact name to a schema id
+ */
+const DEFAULT_TEMPLATES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'templates');
+
+/**
+ * Document-level metadata shared by artifacts without required frontmatter
+ */
+const DOCUMENT_METADATA = {
+  type: 'object',
+  properties: {
+    version: { type: 'string' },
+    created: { type: 'string' }
+  },
+  additionalProperties: true
+};
+
+/**
+ * A YAML list, or a single scalar value (normalized to a list by plan-parser)
+ */
+const LIST_OR_SCALAR = { anyOf: [{ type: 'array', items: { type: ['string', 'number'] } }, { type: 'string' }] };
+
+/**
+ * Artifact schemas, keyed by the `schema:` id declared in each template's frontmatter
+ * Each schema has:
  * - requiredSections: Array of markdown section headers that must exist
- * - metadataSchema: JSON Schema for YAML frontmatter
+ * - requiredTags: Array of XML-style body sections that must exist (<objective>...</objective>)
+ * - metadataSchema: JSON Schema for YAML frontmatter (always checked when it lists required fields;
+ *   `default` values are what fixArtifact fills in for missing fields)
+ * - keyDecisionsHeader: Expected Key Decisions table columns (repaired by fixArtifact)
  */
-const ARTIFACT_SCHEMAS = {
-  'PROJECT.md': {
+export const ARTIFACT_SCHEMAS = {
+  'gsd-project-v1': {
     requiredSections: ['What This Is', 'Core Value', 'Requirements', 'Context', 'Constraints'],
+    keyDecisionsHeader: ['Decision', 'Rationale', 'Outcome'],
+    metadataSchema: {
+      ...DOCUMENT_METADATA,
+      properties: { ...DOCUMENT_METADATA.properties, core_value: { type: 'string', minLength: 10 } }
+    }
+  },
+  'gsd-roadmap-v1': {
+    requiredSections: ['Overview', 'Phases', 'Progress', 'Dependencies'],
+    metadataSchema: {
+      ...DOCUMENT_METADATA,
+      properties: { ...DOCUMENT_METADATA.properties, depth: { type: 'string' } }
+    }
+  },
+  'gsd-requirements-v1': {
+    requiredSections: ['v1 Requirements', 'Traceability'],
+    metadataSchema: DOCUMENT_METADATA
+  },
+  'gsd-state-v1': {
+    requiredSections: ['Project Reference', 'Current Position', 'Performance Metrics', 'Accumulated Context', 'Session Continuity'],
+    keyDecisionsHeader: ['Decision', 'Date', 'Rationale'],
+    metadataSchema: DOCUMENT_METADATA
+  },
+  'gsd-plan-v1': {
+    requiredSections: [],
+    requiredTags: ['objective', 'tasks', 'verification', 'success_criteria'],
     metadataSchema: {
       type: 'object',
+      required: REQUIRED_PLAN_FIELDS,
       properties: {
-        version: { type: 'string' },
-        created: { type: 'string' },
-        core_value: { type: 'string', minLength: 10 }
+        phase: { type: 'string' },
+        plan: { type: ['integer', 'string'] },
+        type: { type: 'string', default: 'execute' },
+        wave: { type: 'integer', minimum: 1, default: 1 },
+        depends_on: { ...LIST_OR_SCALAR, default: [] },
+        files_modified: { ...LIST_OR_SCALAR, default: [] },
+        autonomous: { type: 'boolean', default: true }
       },
       additionalProperties: true
     }
   },
-  'ROADMAP.md': {
-    requiredSections: ['Overview', 'Phases', 'Progress', 'Dependencies'],
+  'gsd-plan-summary-v1': {
+    requiredSections: ['Performance', 'Task Commits', 'Files Created/Modified', 'Decisions Made', 'Deviations from Plan'],
     metadataSchema: {
       type: 'object',
+      required: ['phase', 'plan', 'completed'],
       properties: {
-        version: { type: 'string' },
-        created: { type: 'string' },
-        depth: { type: 'string' }
+        phase: { type: 'string' },
+        plan: { type: ['integer', 'string'] },
+        commits: { type: 'integer', minimum: 0 },
+        'key-files': { type: 'object' },
+        'key-decisions': { type: 'array' },
+        deviations: { type: 'integer', minimum: 0 }
       },
       additionalProperties: true
     }
   },
-  'REQUIREMENTS.md': {
-    requiredSections: ['v1 Requirements', 'Traceability'],
+  'gsd-research-v1': {
+    requiredSections: ['Summary', 'High Confidence Findings', 'Medium Confidence Findings', 'Low Confidence Findings', 'Sources'],
+    metadataSchema: DOCUMENT_METADATA
+  },
+  'gsd-research-summary-v1': {
+    requiredSections: ['Executive Summary', 'Key Findings', 'Roadmap Implications', 'Sources'],
+    metadataSchema: DOCUMENT_METADATA
+  },
+  'gsd-verification-v1': {
+    requiredSections: ['Checks', 'Failed Items', 'Human Verification Required', 'Next Steps'],
     metadataSchema: {
       type: 'object',
+      required: ['phase', 'verified', 'status', 'score'],
       properties: {
-        version: { type: 'string' },
-        created: { type: 'string' }
+        phase: { type: 'string' },
+        status: { enum: ['passed', 'failed', 'human_needed'] },
+        score: { type: 'string' },
+        re_verification: { type: 'boolean' }
       },
       additionalProperties: true
     }
   }
 };
 
+/**
+ * Artifact name → schema id, read from template frontmatter (cached per templates directory)
+ */
+const templateSchemaIds = new Map();
+
+/**
+ * Map artifact names (e.g. 'PLAN.md') to schema ids from the templates' frontmatter
+ *
+ * @param {string} [templatesDir] - Templates directory (default: gsd/templates)
+ * @returns {Promise<Object<string, string>>} Artifact file name → schema id
+ */
+export async function loadArtifactSchemaIds(templatesDir = DEFAULT_TEMPLATES_DIR) {
+  if (!templateSchemaIds.has(templatesDir)) {
+    const ids = {};
+    for (const file of (await readdir(templatesDir)).filter(name => name.endsWith('.md')).sort()) {
+      const { attributes } = frontmatter(await readFile(path.join(templatesDir, file)));
+      if (attributes.schema) {
+        ids[`${attributes.artifact || file.slice(0, -3)}.md`] = attributes.schema;
+      }
+    }
+    templateSchemaIds.set(templatesDir, ids);
+  }
+  return templateSchemaIds.get(templatesDir);
+}
+
+/**
+ * Resolve an artifact type to its schema
+ * Accepts a schema id ('gsd-plan-v1') or an artifact name with or without .md ('PLAN', 'PLAN.md')
+ *
+ * @param {string} artifactType - Artifact type or schema id
+ * @returns {Promise<{id: string, schema: Object, template: string|null}>} Schema id, definition and
+ *   template name (first template declaring the id when given a shared id such as gsd-research-v1)
+ * @throws {Error} If the type is unknown or its template declares an undefined schema id
+ */
+export async function resolveArtifactSchema(artifactType) {
+  const ids = await loadArtifactSchemaIds();
+
+  if (ARTIFACT_SCHEMAS[artifactType]) {
+    const name = Object.keys(ids).find(key => ids[key] === artifactType);
+    return { id: artifactType, schema: ARTIFACT_SCHEMAS[artifactType], template: name ? name.slice(0, -3) : null };
+  }
+
+  const name = artifactType.endsWith('.md') ? artifactType : `${artifactType}.md`;
+  const id = ids[name];
+
+  if (!id) {
+    throw new Error(`Unknown artifact type: ${artifactType}. Valid types: ${Object.keys(ids).join(', ')}`);
+  }
+  if (!ARTIFACT_SCHEMAS[id]) {
+    throw new Error(
+      `Template ${name} declares schema "${id}", which validator.js does not define. ` +
+      `Fix: add "${id}" to ARTIFACT_SCHEMAS or correct the template's schema: field`
+    );
+  }
+  return { id, schema: ARTIFACT_SCHEMAS[id], template: name.slice(0, -3) };
+}
+
+/**
+ * Load a project's validation rules: the `validation` block of its gsd/.gsd-config.json
+ * Projects without a config file have no extra rules
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<Object<string, Object>>} Artifact type or schema id → rules
+ * @throws {Error} If the config exists but is invalid (see config-loader.js)
+ */
+export async function loadValidationRules(projectRoot) {
+  const configPath = path.join(projectRoot, DEFAULT_CONFIG_PATH);
+  if (!(await fileExists(configPath))) {
+    return {};
+  }
+  return (await loadConfig(configPath)).validation || {};
+}
+
+/**
+ * Combine two lists without duplicates, keeping the first list's order
+ * @param {string[]} base - Built-in entries
+ * @param {string[]} [extra] - Entries to add
+ * @returns {string[]} Combined list
+ */
+function union(base, extra = []) {
+  return [...new Set([...base, ...extra])];
+}
+
+/**
+ * Resolve an artifact type to its schema with the project's validation rules merged in
+ * Rules keyed by the schema id apply first, then rules keyed by the artifact name ('PLAN' or 'PLAN.md')
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {string} artifactType - Artifact type or schema id
+ * @returns {Promise<Object>} resolveArtifactSchema's result plus:
+ *   - schema: requiredSections, requiredTags and metadataSchema extended by the project
+ *   - rules: [{ id, regex, mustMatch, severity, message, fix }] (regex compiled with the g flag)
+ *   - severity: rule id → 'error' | 'warning' | 'note' | 'off'
+ * @throws {Error} If the type is unknown, the config is invalid, or a rule's regex or frontmatter schema does not compile
+ */
+export async function resolveArtifactRules(projectRoot, artifactType) {
+  const resolved = await resolveArtifactSchema(artifactType);
+  const validation = await loadValidationRules(projectRoot);
+  const keys = [resolved.id, ...(resolved.template ? [resolved.template, `${resolved.template}.md`] : [])];
+
+  let schema = resolved.schema;
+  const rules = [];
+  const severity = {};
+  for (const key of keys.filter(candidate => validation[candidate])) {
+    const extra = validation[key];
+    const where = `validation.${key} in ${DEFAULT_CONFIG_PATH}`;
+
+    if (extra.frontmatter && !ajv.validateSchema(extra.frontmatter)) {
+      throw new Error(`Invalid frontmatter schema in ${where}: ${ajv.errorsText(ajv.errors)}. Fix: correct the JSON Schema`);
+    }
+    const metadata = extra.frontmatter || {};
+    schema = {
+      ...schema,
+      requiredSections: union(schema.requiredSections, extra.requiredSections),
+      requiredTags: union(schema.requiredTags || [], extra.requiredTags),
+      metadataSchema: {
+        ...schema.metadataSchema,
+        ...metadata,
+        properties: { ...schema.metadataSchema.properties, ...metadata.properties },
+        required: union(schema.metadataSchema.required || [], metadata.required)
+      }
+    };
+
+    for (const rule of extra.rules || []) {
+      const mustMatch = rule.mustMatch !== undefined;
+      let regex;
+      try {
+        regex = new RegExp(mustMatch ? rule.mustMatch : rule.mustNotMatch, `${rule.flags ?? 'm'}g`);
+      } catch (error) {
+        throw new Error(`Invalid regex for rule "${rule.id}" in ${where}: ${error.message}. Fix: correct the pattern`);
+      }
+      rules.push({ id: rule.id, regex, mustMatch, severity: rule.severity || 'error', message: rule.message, fix: rule.fix || '' });
+    }
+    Object.assign(severity, extra.severity);
+  }
+
+  return { ...resolved, schema, rules, severity };
+}
+
 /**
  * Escape regex special characters
  * @param {string} str - String to escape
@@ -70,145 +325,397 @@ function escapeRegex(str) {
 }
 
 /**
- * Estimate line number for missing section
+ * Find the line where a missing section belongs: before the next required section that is present,
+ * else after the previous one (the same position --fix inserts it at)
+ *
  * @param {string} content - File content
  * @param {string} sectionName - Section name that's missing
- * @returns {number} Estimated line number
+ * @param {string[]} requiredSections - Required sections in template order
+ * @returns {number} 1-based line number
  */
-function estimateLineNumber(content, sectionName) {
-  const lines = content.split('\n');
+function estimateLineNumber(content, sectionName, requiredSections) {
+  const lines = content.split('\n').map(line => line.replace(/\r$/, ''));
+  const headingIndex = section => lines.indexOf(`## ${section}`);
+  const position = requiredSections.indexOf(sectionName);
 
-  // Find first ## heading
-  const h2Index = lines.findIndex(line => line.startsWith('## '));
+  const next = requiredSections.slice(position + 1).map(headingIndex).find(index => index !== -1);
+  if (next !== undefined) {
+    return next + 1;
+  }
 
-  if (h2Index !== -1) {
-    // Missing section likely near other ## headings
-    return h2Index + 1;
+  const previous = requiredSections.slice(0, position).reverse().map(headingIndex).find(index => index !== -1);
+  if (previous !== undefined) {
+    // Section ends at the next ## heading or the footer rule
+    const end = lines.findIndex((line, i) => i > previous && (/^## /.test(line) || /^---\s*$/.test(line)));
+    return end === -1 ? lines.length : end + 1;
   }
 
-  // Default estimate: after frontmatter (around line 5)
-  return 5;
+  // No required section present: end of the document
+  let last = lines.length;
+  while (last > 1 && lines[last - 1].trim() === '') {
+    last--;
+  }
+  return last + 1;
 }
 
 /**
- * Validate artifact structure and metadata
- * Two-layer validation:
- * 1. JSON Schema validation of YAML frontmatter
- * 2. Structural validation of required markdown sections
+ * Diagnose missing required ## sections in markdown content
+ *
+ * @param {string} content - Markdown content
+ * @param {string[]} requiredSections - Section headers (without ##), in template order
+ * @param {string} filePath - File path reported in diagnostics
+ * @param {string} [artifactType] - Artifact type; the fix points at --fix (inserts in template order)
+ * @returns {Array<Object>} Diagnostics (empty if all sections present)
+ */
+export function diagnoseSections(content, requiredSections, filePath, artifactType) {
+  return requiredSections
+    .filter(section => !new RegExp(`^## ${escapeRegex(section)}\r?$`, 'm').test(content))
+    .map(section => {
+      const line = estimateLineNumber(content, section, requiredSections);
+      return createDiagnostic({
+        ruleId: 'missing-section',
+        file: filePath,
+        line,
+        message: `Missing section: ${section} (expected around line ${line})`,
+        fix: artifactType
+          ? `node gsd/scripts/validator.js --artifact=${filePath} --type=${artifactType} --fix`
+          : `add a '## ${section}' heading to ${filePath}`
+      });
+    });
+}
+
+/**
+ * Check required ## sections exist in markdown content
+ *
+ * @param {string} content - Markdown content
+ * @param {string[]} requiredSections - Section headers (without ##), in template order
+ * @param {string} filePath - File path used in remediation messages
+ * @param {string} [artifactType] - Artifact type; remediation points at --fix (inserts in template order)
+ * @returns {string[]} Error messages (empty if all sections present)
+ */
+export function validateSections(content, requiredSections, filePath, artifactType) {
+  return diagnoseSections(content, requiredSections, filePath, artifactType).map(formatDiagnostic);
+}
+
+/**
+ * markdownlint rules for GSD artifacts
+ * Only rules that catch structure agents misparse (headings, tables, links); cosmetic rules stay off
+ */
+const LINT_CONFIG = {
+  default: false,
+  MD011: true, // reversed link syntax
+  MD018: true, // no space after # in heading
+  MD019: true, // multiple spaces after # in heading
+  MD023: true, // indented heading
+  MD024: { siblings_only: true }, // duplicate sibling headings
+  MD025: true, // multiple top-level headings
+  MD042: true, // empty link
+  MD047: true, // missing final newline
+  MD055: true, // inconsistent table pipes
+  MD056: true, // table row cell count differs from header
+  MD058: true, // table not surrounded by blank lines
+  'key-decisions-table': true,
+  'phase-heading-format': true
+};
+
+/**
+ * Count the cells in a markdown table row (escaped pipes are content)
+ * @param {string} line - Table row
+ * @returns {number} Cell count
+ */
+function countTableCells(line) {
+  const cells = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/);
+  return cells.length;
+}
+
+/**
+ * Call fn for every line outside fenced code blocks
+ * @param {string[]} lines - Markdown lines (front matter already removed by markdownlint)
+ * @param {Function} fn - Called with (line, lineNumber)
+ * @returns {void}
+ */
+function forEachProseLine(lines, fn) {
+  let fence = null;
+  lines.forEach((line, i) => {
+    const marker = line.match(/^\s*(`{3,}|~{3,})/);
+    if (marker) {
+      fence = fence === null ? marker[1][0] : (marker[1][0] === fence ? null : fence);
+      return;
+    }
+    if (fence === null) {
+      fn(line, i + 1);
+    }
+  });
+}
+
+/**
+ * GSD-specific markdownlint rules
+ */
+const GSD_LINT_RULES = [
+  {
+    names: ['GSD001', 'key-decisions-table'],
+    description: 'Key Decisions table rows must have 3 cells',
+    tags: ['gsd', 'table'],
+    parser: 'none',
+    function: (params, onError) => {
+      let inDecisions = false;
+      forEachProseLine(params.lines, (line, lineNumber) => {
+        if (/^#{2,3}\s/.test(line)) {
+          inDecisions = /^#{2,3}\s+Key Decisions\s*$/.test(line);
+        } else if (inDecisions && line.trim().startsWith('|')) {
+          const cells = countTableCells(line);
+          if (cells !== 3) {
+            onError({ lineNumber, detail: `Expected: 3; Actual: ${cells}`, context: line.trim().slice(0, 60) });
+          }
+        }
+      });
+    }
+  },
+  {
+    names: ['GSD002', 'phase-heading-format'],
+    description: 'Phase headings must read "### Phase N: Name" (roadmap-parser.js relies on it)',
+    tags: ['gsd', 'headings'],
+    parser: 'none',
+    function: (params, onError) => {
+      const valid = new RegExp(`^### Phase ${PHASE_PATTERN}\\s*[:\\-–]\\s*\\S`);
+      forEachProseLine(params.lines, (line, lineNumber) => {
+        if (/^###\s+Phase\b/.test(line) && !valid.test(line)) {
+          onError({ lineNumber, context: line.trim() });
+        }
+      });
+    }
+  }
+];
+
+/**
+ * Lint markdown with the GSD rule set
+ *
+ * @param {string} content - Markdown content
+ * @param {string} [name] - Name used in results (e.g. the file path)
+ * @returns {Promise<{errors: Array<Object>, results: Array<Object>}>} errors: { line, column, rule, alias, description, detail, fixable };
+ *   results: raw markdownlint results (input to applyFixes)
+ */
+export async function lintMarkdown(content, name = 'content') {
+  const output = await markdownlint.promises.markdownlint({
+    strings: { [name]: content },
+    config: LINT_CONFIG,
+    customRules: GSD_LINT_RULES
+  });
+  const results = output[name];
+
+  return {
+    results,
+    errors: results.map(result => ({
+      line: result.lineNumber,
+      column: result.errorRange ? result.errorRange[0] : 1,
+      rule: result.ruleNames[0],
+      alias: result.ruleNames[1],
+      description: result.ruleDescription,
+      detail: result.errorDetail || result.errorContext || '',
+      fixable: Boolean(result.fixInfo)
+    }))
+  };
+}
+
+/**
+ * Convert lint errors to diagnostics (rule id is the markdownlint rule, e.g. MD056 or GSD001)
+ * @param {Array<Object>} errors - Errors from lintMarkdown
+ * @param {string} filePath - File path reported in diagnostics
+ * @returns {Array<Object>} Diagnostics
+ */
+function lintDiagnostics(errors, filePath) {
+  return errors.map(err => createDiagnostic({
+    ruleId: err.rule,
+    file: filePath,
+    line: err.line,
+    column: err.column,
+    message: `Lint ${err.rule}/${err.alias} (line ${err.line}): ${err.description}${err.detail ? ` [${err.detail}]` : ''}`,
+    fix: err.fixable ? `node gsd/scripts/validator.js --lint=${filePath} --fix` : ''
+  }));
+}
+
+/**
+ * Lint an artifact file, optionally applying markdownlint's automatic fixes first
  *
  * @param {string} projectRoot - Root directory of the project
- * @param {string} filePath - Path to artifact file (relative to project root)
- * @param {string} artifactType - Type of artifact (e.g., 'PROJECT.md', 'ROADMAP.md')
- * @returns {Promise<boolean>} True if validation passes
- * @throws {Error} If validation fails with detailed error message
+ * @param {string} filePath - Path to the file (relative to project root)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fix] - Apply automatic fixes and write the file atomically
+ * @returns {Promise<{errors: Array<Object>, fixed: number}>} Remaining errors and number of fixes applied
  */
-export async function validateArtifact(projectRoot, filePath, artifactType) {
-  const schema = ARTIFACT_SCHEMAS[artifactType];
+export async function lintArtifact(projectRoot, filePath, options = {}) {
+  const absolutePath = path.isAbsolute(filePath) ? filePath : path.join(projectRoot, filePath);
+  const content = await readFile(absolutePath);
+  const lint = await lintMarkdown(content, filePath);
 
-  if (!schema) {
-    throw new Error(`Unknown artifact type: ${artifactType}. Valid types: ${Object.keys(ARTIFACT_SCHEMAS).join(', ')}`);
+  const fixable = lint.errors.filter(err => err.fixable).length;
+  if (!options.fix || fixable === 0) {
+    return { errors: lint.errors, fixed: 0 };
   }
 
+  const fixedContent = markdownlint.applyFixes(content, lint.results);
+  await writeFileAtomic(absolutePath, fixedContent);
+  const remaining = await lintMarkdown(fixedContent, filePath);
+  return { errors: remaining.errors, fixed: lint.errors.length - remaining.errors.length };
+}
+
+/**
+ * Find the frontmatter line of a top-level field (or the closing --- where a missing field would go)
+ * @param {string[]} lines - File lines
+ * @param {string} field - Top-level field name
+ * @returns {number} 1-based line number
+ */
+function frontmatterLine(lines, field) {
+  if (!/^---\s*$/.test(lines[0])) {
+    return 1;
+  }
+  const close = lines.findIndex((line, i) => i > 0 && /^---\s*$/.test(line));
+  const end = close === -1 ? lines.length : close;
+  const index = lines.slice(0, end).findIndex(line => new RegExp(`^${escapeRegex(field)}\\s*:`).test(line));
+  return index !== -1 ? index + 1 : end + 1;
+}
+
+/**
+ * Diagnose an artifact's structure and metadata
+ * Four layers (the first two extended by the project's validation rules, see resolveArtifactRules):
+ * 1. JSON Schema validation of YAML frontmatter
+ * 2. Structural validation of required markdown sections and <tag> blocks
+ * 3. markdownlint with the GSD rule set (broken tables, duplicate headings, ...)
+ * 4. Project regex rules (mustMatch: reported once at line 1; mustNotMatch: reported at every match)
+ * Project severity overrides apply last ('off' drops the diagnostic)
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {string} filePath - Path to artifact file (relative to project root)
+ * @param {string} artifactType - Artifact type (e.g., 'PROJECT.md', 'PLAN') or schema id (e.g., 'gsd-plan-v1')
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.lint] - Run the markdownlint layer (default: true)
+ * @param {boolean} [options.fix] - Apply markdownlint's automatic fixes before validating
+ * @returns {Promise<Array<Object>>} Diagnostics (empty if the artifact is valid)
+ * @throws {Error} If the artifact type is unknown, the project's rules are invalid or the file cannot be read
+ */
+export async function diagnoseArtifact(projectRoot, filePath, artifactType, options = {}) {
+  const { schema, rules, severity } = await resolveArtifactRules(projectRoot, artifactType);
+  const lint = options.lint === false
+    ? { errors: [] }
+    : await lintArtifact(projectRoot, filePath, { fix: options.fix });
+
   const absolutePath = path.isAbsolute(filePath)
     ? filePath
     : path.join(projectRoot, filePath);
 
   const content = await readFile(absolutePath);
-  const errors = [];
+  const lines = content.split('\n');
+  const diagnostics = [];
+  const metadataRequired = (schema.metadataSchema.required || []).length > 0;
+  const fixCommand = `node gsd/scripts/validator.js --artifact=${filePath} --type=${artifactType} --fix`;
 
   // Layer 1: Metadata validation (YAML frontmatter)
   try {
     const parsed = frontmatter(content);
 
-    if (Object.keys(parsed.attributes).length > 0) {
+    if (Object.keys(parsed.attributes).length > 0 || metadataRequired) {
       const valid = ajv.validate(schema.metadataSchema, parsed.attributes);
 
       if (!valid) {
-        const errorMessages = ajv.errors.map(err => {
+        for (const err of ajv.errors) {
           const field = err.instancePath.replace(/^\//, '') || err.params.missingProperty || 'metadata';
-          return `${field}: ${err.message}`;
-        });
-        errors.push(`Metadata validation failed: ${errorMessages.join(', ')}`);
+          const missing = err.keyword === 'required';
+          diagnostics.push(createDiagnostic({
+            ruleId: 'frontmatter-schema',
+            file: filePath,
+            line: frontmatterLine(lines, field.split('/')[0]),
+            message: `Metadata validation failed: ${field}: ${err.message}`,
+            fix: missing ? fixCommand : `correct the '${field.split('/')[0]}' frontmatter field in ${filePath}`
+          }));
+        }
       }
     }
   } catch (error) {
     // Frontmatter parsing failed or doesn't exist
     // This is often OK - not all artifacts require frontmatter
     // Only fail if schema requires specific metadata fields
+    if (metadataRequired) {
+      // js-yaml marks are 0-based within the frontmatter block, which starts on line 2
+      const mark = error.mark && Number.isInteger(error.mark.line) ? error.mark : null;
+      diagnostics.push(createDiagnostic({
+        ruleId: 'frontmatter-yaml',
+        file: filePath,
+        line: mark ? mark.line + 2 : 1,
+        column: mark ? mark.column + 1 : 1,
+        message: `Invalid YAML frontmatter: ${error.message.split('\n')[0]}`
+      }));
+    }
   }
 
   // Layer 2: Required sections validation
-  for (const section of schema.requiredSections) {
-    const regex = new RegExp(`^## ${escapeRegex(section)}$`, 'm');
-
-    if (!regex.test(content)) {
-      const lineNumber = estimateLineNumber(content, section);
-      errors.push(
-        `Missing section: ${section} (expected around line ${lineNumber}). ` +
-        `Fix: echo '## ${section}' >> ${filePath}`
-      );
+  diagnostics.push(...diagnoseSections(content, schema.requiredSections, filePath, artifactType));
+  const requiredTags = schema.requiredTags || [];
+  const tagIndex = tag => lines.findIndex(line => new RegExp(`^<${tag}>`).test(line));
+  requiredTags.forEach((tag, position) => {
+    if (tagIndex(tag) === -1) {
+      const next = requiredTags.slice(position + 1).map(tagIndex).find(index => index !== -1);
+      diagnostics.push(createDiagnostic({
+        ruleId: 'missing-tag',
+        file: filePath,
+        line: next !== undefined ? next + 1 : lines.length,
+        message: `Missing <${tag}> section`,
+        fix: fixCommand
+      }));
     }
-  }
+  });
 
-  if (errors.length > 0) {
-    throw new Error(
-      `Validation failed for ${artifactType} at ${filePath}:\n` +
-      errors.map((err, i) => `  ${i + 1}. ${err}`).join('\n')
-    );
+  // Layer 3: markdownlint
+  diagnostics.push(...lintDiagnostics(lint.errors, filePath));
+
+  // Layer 4: project regex rules
+  for (const rule of rules) {
+    const matches = [...content.matchAll(rule.regex)];
+    const failures = rule.mustMatch ? (matches.length === 0 ? [null] : []) : matches;
+    failures.forEach(match => diagnostics.push(createDiagnostic({
+      ruleId: rule.id,
+      severity: rule.severity,
+      file: filePath,
+      ...(match ? positionAt(content, match.index) : {}),
+      message: rule.message,
+      fix: rule.fix
+    })));
   }
 
-  return true;
+  return diagnostics
+    .filter(diagnostic => severity[diagnostic.ruleId] !== 'off')
+    .map(diagnostic => (severity[diagnostic.ruleId] ? { ...diagnostic, severity: severity[diagnostic.ruleId] } : diagnostic));
 }
 
 /**
- * Validate requirement coverage in roadmap
- * Ensures all requirements from REQUIREMENTS.md are mapped to phases in ROADMAP.md
+ * Validate artifact structure and metadata (diagnoseArtifact, thrown as one summary)
  *
  * @param {string} projectRoot - Root directory of the project
- * @returns {Promise<Object>} Coverage object with total, traced, orphaned, percentage
- * @throws {Error} If orphaned requirements found
+ * @param {string} filePath - Path to artifact file (relative to project root)
+ * @param {string} artifactType - Artifact type (e.g., 'PROJECT.md', 'PLAN') or schema id (e.g., 'gsd-plan-v1')
+ * @param {Object} [options] - Options (see diagnoseArtifact)
+ * @returns {Promise<boolean>} True if validation passes (warnings and notes do not fail it)
+ * @throws {Error} If any error-severity problem is found; message lists every problem, error.diagnostics holds them structured
  */
-export async function validateRequirementCoverage(projectRoot) {
-  const requirementsPath = path.join(projectRoot, '.planning', 'REQUIREMENTS.md');
-  const roadmapPath = path.join(projectRoot, '.planning', 'ROADMAP.md');
-
-  const requirementsContent = await readFile(requirementsPath);
-  const roadmapContent = await readFile(roadmapPath);
-
-  // Extract requirement IDs from REQUIREMENTS.md
-  // Matches patterns like: - [ ] **CORE-01**: Description
-  const requirementRegex = /\*\*([A-Z]+-\d+)\*\*:/g;
-  const requirementMatches = [...requirementsContent.matchAll(requirementRegex)];
-  const requirementIds = requirementMatches.map(match => match[1]);
-
-  // Extract requirement IDs from ROADMAP.md traceability section
-  // Matches patterns like: | CORE-01 | Phase 1 | Complete |
-  const traceabilityRegex = /\|\s*([A-Z]+-\d+)\s*\|/g;
-  const traceabilityMatches = [...roadmapContent.matchAll(traceabilityRegex)];
-  const tracedIds = traceabilityMatches.map(match => match[1]);
-
-  // Find orphaned requirements (in REQUIREMENTS.md but not in ROADMAP.md)
-  const orphanedRequirements = requirementIds.filter(id => !tracedIds.includes(id));
-
-  const coverage = {
-    total: requirementIds.length,
-    traced: requirementIds.filter(id => tracedIds.includes(id)).length,
-    orphaned: orphanedRequirements.length,
-    percentage: requirementIds.length > 0
-      ? Math.round((requirementIds.filter(id => tracedIds.includes(id)).length / requirementIds.length) * 100)
-      : 100
-  };
+export async function validateArtifact(projectRoot, filePath, artifactType, options = {}) {
+  const diagnostics = await diagnoseArtifact(projectRoot, filePath, artifactType, options);
 
-  if (orphanedRequirements.length > 0) {
-    throw new Error(
-      `Requirement coverage validation failed.\n\n` +
-      `Orphaned requirements (not mapped to any phase):\n` +
-      orphanedRequirements.map(id => `  - ${id}`).join('\n') + '\n\n' +
-      `Fix: Add traceability entries in ROADMAP.md Traceability section.`
-    );
+  if (diagnostics.some(diagnostic => diagnostic.severity === 'error')) {
+    throw createDiagnosticsError(`Validation failed for ${artifactType} at ${filePath}`, diagnostics);
   }
 
-  return coverage;
+  return true;
+}
+
+/**
+ * Validate requirement traceability (see traceability.js)
+ * Every v1 requirement mapped to exactly one phase, every mapped ID defined, checkboxes and Traceability status agree
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<Object>} Coverage object with total, traced, orphaned, complete, percentage
+ * @throws {Error} If any traceability issue is found (error.diagnostics lists them)
+ */
+export async function validateRequirementCoverage(projectRoot) {
+  return checkTraceability(projectRoot);
 }
 
 /**
@@ -227,10 +734,10 @@ export function validateStateStructure(stateData) {
     errors.push(`Missing required fields: ${missingFields.join(', ')}`);
   }
 
-  // Check phase is valid
+  // Check phase is valid (decimals such as 2.1 are inserted phases)
   if ('phase' in stateData) {
-    if (!Number.isInteger(stateData.phase) || stateData.phase < 1) {
-      errors.push('Phase must be a positive integer');
+    if (!isValidPhase(stateData.phase)) {
+      errors.push('Phase must be a positive phase number (e.g., 2 or 2.1)');
     }
   }
 
@@ -261,3 +768,528 @@ export function validateStateStructure(stateData) {
     errors
   };
 }
+
+/**
+ * Validate a configuration file against config-schema.json (via config-loader.js, bypassing its cache)
+ *
+ * @param {string} configPath - Path to .gsd-config.json
+ * @param {string} [schemaPath] - Path to JSON Schema (default: gsd/config-schema.json)
+ * @returns {Promise<boolean>} True if validation passes
+ * @throws {Error} If the file is not valid JSON or fails schema validation
+ */
+export async function validateConfig(configPath, schemaPath = DEFAULT_CONFIG_SCHEMA) {
+  await loadConfig(configPath, { schemaPath, reload: true });
+  return true;
+}
+
+/**
+ * Find the directory for a phase under .planning/phases (e.g., 03-workflow-orchestration, 02.1-hotfix)
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {number} phase - Phase number
+ * @returns {Promise<string|null>} Absolute directory path, or null if not found
+ */
+async function findPhaseDir(projectRoot, phase) {
+  const phasesDir = path.join(projectRoot, '.planning', 'phases');
+  const prefix = `${formatPhasePrefix(phase)}-`;
+
+  let entries;
+  try {
+    entries = await readdir(phasesDir, { withFileTypes: true });
+  } catch (error) {
+    return null;
+  }
+
+  const match = entries.find(entry => entry.isDirectory() && entry.name.startsWith(prefix));
+  return match ? path.join(phasesDir, match.name) : null;
+}
+
+/**
+ * Diagnose plans in a phase directory that have no matching SUMMARY
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {number} phase - Phase number
+ * @returns {Promise<Array<Object>>} Diagnostics (empty if all plans summarized)
+ */
+export async function diagnosePhaseSummaries(projectRoot, phase) {
+  const phaseDir = await findPhaseDir(projectRoot, phase);
+  if (!phaseDir) {
+    return [createDiagnostic({
+      ruleId: 'plan-summary-missing',
+      file: '.planning/phases',
+      message: `Phase directory not found: .planning/phases/${formatPhasePrefix(phase)}-*`
+    })];
+  }
+
+  const files = await readdir(phaseDir);
+  const relativeDir = path.relative(projectRoot, phaseDir);
+
+  return files
+    .filter(file => PLAN_FILE_REGEX.test(file))
+    .map(file => file.replace(/-PLAN\.md$/, ''))
+    .filter(planId => !files.includes(`${planId}-SUMMARY.md`))
+    .map(planId => createDiagnostic({
+      ruleId: 'plan-summary-missing',
+      file: path.join(relativeDir, `${planId}-PLAN.md`),
+      message: `Plan ${planId} has no SUMMARY`,
+      fix: `create ${path.join(relativeDir, `${planId}-SUMMARY.md`)}`
+    }));
+}
+
+/**
+ * Check every PLAN in a phase directory has a matching SUMMARY
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {number} phase - Phase number
+ * @returns {Promise<string[]>} Error messages (empty if all plans summarized)
+ */
+export async function checkPhaseSummaries(projectRoot, phase) {
+  return (await diagnosePhaseSummaries(projectRoot, phase)).map(formatDiagnostic);
+}
+
+/**
+ * Diagnose a phase's requirement mapping against REQUIREMENTS.md (one diagnostic per undefined ID, at its ROADMAP.md line)
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {number} phase - Phase number
+ * @returns {Promise<Array<Object>>} Diagnostics (empty if every mapped requirement is defined)
+ */
+export async function diagnosePhaseRequirements(projectRoot, phase) {
+  const requirements = await readFile(path.join(projectRoot, '.planning', 'REQUIREMENTS.md'));
+  const roadmapPhase = await getPhase(projectRoot, phase);
+  if (!roadmapPhase) {
+    return [createDiagnostic({
+      ruleId: 'requirement-undefined',
+      file: '.planning/ROADMAP.md',
+      message: `Phase ${phase} not found in ROADMAP.md`
+    })];
+  }
+
+  const roadmap = await readFile(path.join(projectRoot, '.planning', 'ROADMAP.md'));
+  const phaseStart = Math.max(0, roadmap.search(new RegExp(`^#+ Phase ${escapeRegex(String(phase))}:`, 'm')));
+  return roadmapPhase.requirements
+    .filter(id => !requirements.includes(`**${id}**`))
+    .map(id => {
+      const offset = roadmap.indexOf(id, phaseStart);
+      return createDiagnostic({
+        ruleId: 'requirement-undefined',
+        file: '.planning/ROADMAP.md',
+        ...positionAt(roadmap, offset === -1 ? phaseStart : offset),
+        message: `Phase ${phase} maps requirement ${id}, which is not defined in REQUIREMENTS.md`,
+        fix: `define **${id}** in .planning/REQUIREMENTS.md or remove it from Phase ${phase}`
+      });
+    });
+}
+
+/**
+ * Check a phase's requirement mapping against REQUIREMENTS.md
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {number} phase - Phase number
+ * @returns {Promise<string[]>} Error messages (empty if every mapped requirement is defined)
+ */
+export async function checkPhaseRequirements(projectRoot, phase) {
+  return (await diagnosePhaseRequirements(projectRoot, phase)).map(formatDiagnostic);
+}
+
+/**
+ * STATE.md location (diagnostics point here even when state.json is the source of truth)
+ */
+const STATE_FILE = '.planning/STATE.md';
+
+/**
+ * Diagnose contradictions between STATE, ROADMAP.md, REQUIREMENTS.md and .planning/phases
+ * Only files that exist are compared (a missing ROADMAP.md is not a contradiction)
+ *
+ * Errors (block resume and transitions):
+ * - STATE's current phase is not in ROADMAP.md
+ * - STATE's plan number has no PLAN file in the phase directory
+ * - A completed phase (before the current one, or the current one when completed) has a PLAN without SUMMARY
+ * Warnings:
+ * - STATE's "Phase N of M" total differs from ROADMAP.md
+ * - ROADMAP.md Progress table marks a phase Complete that STATE has not reached (or the reverse)
+ * - Phase directory for a phase ROADMAP.md does not define
+ * - Requirement of a completed phase unchecked, or checked while its phase has not started
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<Array<Object>>} Diagnostics (empty if everything agrees)
+ * @throws {Error} If no state exists
+ */
+export async function diagnoseConsistency(projectRoot) {
+  const state = await readState(projectRoot);
+  const diagnostics = [];
+  if (!isValidPhase(state.phase)) {
+    return diagnostics;
+  }
+
+  const raw = state.rawContent || '';
+  const stateLine = label => positionAt(raw, Math.max(0, raw.indexOf(`**${label}:**`))).line;
+  const report = (ruleId, severity, file, line, message, fix) =>
+    diagnostics.push(createDiagnostic({ ruleId, severity, file, line, message, fix }));
+
+  let roadmap = null;
+  try {
+    roadmap = await loadRoadmap(projectRoot);
+  } catch (error) {
+    // No ROADMAP.md yet (new-project workflow): nothing to compare against
+  }
+  const roadmapPhases = roadmap ? roadmap.phases.map(phase => phase.number) : [];
+  const phaseDirs = await listPhaseDirs(projectRoot);
+
+  if (roadmap && roadmapPhases.length > 0 && !roadmapPhases.includes(state.phase)) {
+    report('consistency-state-phase', 'error', STATE_FILE, stateLine('Phase'),
+      `STATE is at Phase ${state.phase}, which ROADMAP.md does not define (phases: ${roadmapPhases.join(', ')})`,
+      'add the phase to ROADMAP.md or move STATE to a roadmap phase with node gsd/scripts/state-manager.js --update phase=N');
+  }
+  // Total phases: "**Phase:** 2 of 4" or the progress indicator "(25% - Phase 1 of 4)"
+  const total = raw.match(/\*\*Phase:\*\*\s*\S+\s+of\s+(\d+)/) ||
+    String(state.progressIndicator || '').match(/Phase\s+\S+\s+of\s+(\d+)/);
+  if (roadmap && total && Number(total[1]) !== roadmap.totalPhases) {
+    report('consistency-state-phase', 'warning', STATE_FILE, stateLine(total.input === raw ? 'Phase' : 'Progress'),
+      `STATE counts ${total[1]} phases but ROADMAP.md defines ${roadmap.totalPhases}`,
+      'the next state update rewrites the progress indicator from ROADMAP.md');
+  }
+
+  // Current plan must exist
+  const currentDir = phaseDirs.find(dir => dir.phase === state.phase);
+  if (Number.isInteger(state.plan) && state.plan > 0) {
+    const planFile = `${formatPhasePrefix(state.phase)}-${String(state.plan).padStart(2, '0')}-PLAN.md`;
+    const files = currentDir ? await readdir(currentDir.path) : [];
+    if (!files.includes(planFile)) {
+      report('consistency-state-plan', 'error', STATE_FILE, stateLine('Plan'),
+        `STATE points at plan ${state.plan} of Phase ${state.phase}, but ${planFile} does not exist` +
+        (currentDir ? ` in .planning/phases/${currentDir.name}` : ' (no phase directory)'),
+        `create ${planFile} (plan-phase workflow) or correct the plan number in STATE`);
+    }
+  }
+
+  // Completed phases: every plan summarized
+  const isCompleted = phase => comparePhases(phase, state.phase) < 0 ||
+    (phase === state.phase && /^complete/i.test(String(state.status)));
+  for (const dir of phaseDirs.filter(entry => isCompleted(entry.phase))) {
+    const files = await readdir(dir.path);
+    files
+      .filter(file => PLAN_FILE_REGEX.test(file) && !files.includes(file.replace(/-PLAN\.md$/, '-SUMMARY.md')))
+      .forEach(file => report('consistency-summary', 'error', `.planning/phases/${dir.name}/${file}`, 1,
+        `Phase ${dir.phase} is complete but ${file} has no SUMMARY`,
+        `create .planning/phases/${dir.name}/${file.replace(/-PLAN\.md$/, '-SUMMARY.md')} ` +
+        `or reopen the phase with node gsd/scripts/workflow-orchestrator.js --reopen=${dir.phase} --reason="..."`));
+  }
+
+  if (roadmap) {
+    const roadmapContent = await readFile(path.join(projectRoot, '.planning', 'ROADMAP.md'));
+    const progressLine = phase => {
+      const row = roadmapContent.search(new RegExp(`^\\|\\s*(?:Phase\\s+)?${escapeRegex(String(phase))}\\b`, 'm'));
+      return positionAt(roadmapContent, Math.max(0, row)).line;
+    };
+    for (const phase of roadmap.phases.filter(entry => entry.status)) {
+      const marked = /^complete/i.test(phase.status);
+      if (marked && !isCompleted(phase.number)) {
+        report('consistency-progress', 'warning', '.planning/ROADMAP.md', progressLine(phase.number),
+          `ROADMAP.md marks Phase ${phase.number} ${phase.status} but STATE is at Phase ${state.phase} (${state.status})`,
+          `set the Phase ${phase.number} Progress row back to its real status`);
+      } else if (!marked && comparePhases(phase.number, state.phase) < 0) {
+        report('consistency-progress', 'warning', '.planning/ROADMAP.md', progressLine(phase.number),
+          `STATE is past Phase ${phase.number} but ROADMAP.md marks it ${phase.status}`,
+          `mark Phase ${phase.number} Complete in the ROADMAP.md Progress table`);
+      }
+    }
+
+    for (const dir of phaseDirs.filter(entry => !roadmapPhases.includes(entry.phase))) {
+      report('consistency-phase-dir', 'warning', `.planning/phases/${dir.name}`, 1,
+        `.planning/phases/${dir.name} belongs to Phase ${dir.phase}, which ROADMAP.md does not define`,
+        `add Phase ${dir.phase} to ROADMAP.md or remove the directory`);
+    }
+
+    let requirements = [];
+    let rows = [];
+    try {
+      ({ requirements, rows } = parseRequirements(await readFile(path.join(projectRoot, '.planning', 'REQUIREMENTS.md'))));
+    } catch (error) {
+      // No REQUIREMENTS.md: traceability reports that
+    }
+    // Completion recorded by the checkbox or the Traceability row; when those two disagree, that is
+    // traceability.js's status drift, not a contradiction with phase progress
+    const recordedComplete = requirement => requirement.checked ||
+      rows.some(row => row.id === requirement.id && /^complete/i.test(row.status));
+    for (const requirement of requirements.filter(entry => entry.version === 'v1')) {
+      const phases = roadmap.phases.filter(phase => phase.requirements.includes(requirement.id)).map(phase => phase.number);
+      if (phases.length === 0) {
+        continue;
+      }
+      if (!recordedComplete(requirement) && phases.every(isCompleted)) {
+        report('consistency-requirement', 'warning', '.planning/REQUIREMENTS.md', requirement.line,
+          `Requirement ${requirement.id} is unchecked but Phase ${phases.join(', ')} is complete`,
+          `check [x] ${requirement.id} if the phase delivered it, otherwise reopen the phase`);
+      } else if (requirement.checked && phases.every(phase => comparePhases(phase, state.phase) > 0)) {
+        report('consistency-requirement', 'warning', '.planning/REQUIREMENTS.md', requirement.line,
+          `Requirement ${requirement.id} is checked but Phase ${phases.join(', ')} has not started`,
+          `uncheck ${requirement.id} until its phase delivers it`);
+      }
+    }
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Check cross-artifact consistency; errors block, warnings are returned
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @returns {Promise<{warnings: Array<Object>}>} Warning diagnostics
+ * @throws {Error} If any contradiction of error severity is found (error.diagnostics lists all findings)
+ */
+export async function validateConsistency(projectRoot) {
+  const diagnostics = await diagnoseConsistency(projectRoot);
+  const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+  if (errors.length > 0) {
+    throw createDiagnosticsError('Planning files contradict each other', diagnostics,
+      'Planning files contradict each other:\n' +
+      errors.map((diagnostic, i) => `  ${i + 1}. ${formatDiagnostic(diagnostic)}`).join('\n'));
+  }
+  return { warnings: diagnostics };
+}
+
+/**
+ * Throw accumulated CLI errors in the module's numbered-list format
+ *
+ * @param {string} heading - Summary line
+ * @param {string[]} errors - Error messages
+ * @param {Array<Object>} diagnostics - The same problems as diagnostics (attached to the error for --format)
+ * @throws {Error} If any errors were accumulated
+ */
+function throwIfErrors(heading, errors, diagnostics) {
+  if (errors.length > 0) {
+    throw createDiagnosticsError(heading, diagnostics,
+      `${heading}:\n` + errors.map((err, i) => `  ${i + 1}. ${err}`).join('\n'));
+  }
+}
+
+/**
+ * Diagnose failed success criteria, located at the criterion's line in ROADMAP.md or its PLAN.md
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {Object} report - Report from evaluatePhaseCriteria
+ * @returns {Promise<Array<Object>>} Diagnostics
+ */
+async function diagnoseCriteria(projectRoot, report) {
+  const diagnostics = [];
+  for (const item of report.items.filter(entry => entry.status === 'failed')) {
+    const file = item.source === 'ROADMAP.md' ? '.planning/ROADMAP.md' : item.source;
+    const content = await readFile(path.join(projectRoot, file)).catch(() => '');
+    const failures = [
+      ...item.errors,
+      ...item.results.filter(result => !result.passed).map(result => `${result.check}: ${result.detail.split('\n')[0]}`)
+    ];
+    diagnostics.push(createDiagnostic({
+      ruleId: 'success-criterion',
+      file,
+      ...positionAt(content, Math.max(0, content.indexOf(item.text))),
+      message: `${item.description} (${failures.join('; ')})`,
+      fix: `make the \`verify:\` checks pass or correct them in ${file}`
+    }));
+  }
+  for (const err of report.errors) {
+    diagnostics.push(createDiagnostic({ ruleId: 'plan-malformed', file: err.file, line: err.line, message: err.message }));
+  }
+  return diagnostics;
+}
+
+/**
+ * Parse --phase option into a phase number
+ *
+ * @param {string|boolean|undefined} value - Raw option value
+ * @param {boolean} required - Whether the option must be present
+ * @returns {number|null} Phase number, or null if absent and optional
+ * @throws {Error} If the value is invalid or missing when required
+ */
+function parsePhaseOption(value, required) {
+  if (value === undefined && !required) {
+    return null;
+  }
+  const phase = parsePhase(value);
+  if (phase === null) {
+    throw new Error('--phase must be a phase number (e.g., --phase=2 or --phase=2.1)');
+  }
+  return phase;
+}
+
+/**
+ * CLI entry point
+ * Runs the requested check and exits non-zero on failure
+ * With --format=json|sarif, progress goes to stderr and the diagnostics are printed to stdout
+ *
+ * @param {string[]} argv - Command-line arguments
+ * @returns {Promise<string>} Success message
+ * @throws {Error} If the check fails (message holds the accumulated error list)
+ */
+async function main(argv) {
+  const { options } = parseArgs(argv);
+  const projectRoot = typeof options.root === 'string' ? options.root : process.cwd();
+  if (options.format !== undefined && options.format !== 'text' && !DIAGNOSTIC_FORMATS[options.format]) {
+    throw new Error(`Unknown format: ${options.format}. Valid formats: text, ${Object.keys(DIAGNOSTIC_FORMATS).join(', ')}`);
+  }
+  const log = DIAGNOSTIC_FORMATS[options.format] ? console.error : console.log;
+
+  if (options.schema !== undefined) {
+    if (options.schema !== 'config') {
+      throw new Error(`Unknown schema: ${options.schema}. Valid schemas: config`);
+    }
+    const configPath = typeof options.file === 'string' ? options.file : 'gsd/.gsd-config.json';
+    await validateConfig(configPath);
+    return `Config ${configPath} is valid`;
+  }
+
+  if (options.artifact !== undefined) {
+    if (typeof options.artifact !== 'string' || typeof options.type !== 'string') {
+      throw new Error('--artifact requires a file path and --type (e.g., --type=PROJECT)');
+    }
+    const { id } = await resolveArtifactSchema(options.type);
+    if (options.fix) {
+      // Compute and show the diff first; the file is only written after it has been printed
+      const { fixArtifact } = await import('./artifact-fixer.js');
+      const result = await fixArtifact(projectRoot, options.artifact, options.type, { dryRun: true });
+      log(result.diff || `No automatic fixes for ${options.artifact}`);
+      result.changes.forEach(change => log(`  + ${change}`));
+      result.unfixed.forEach(problem => log(`  ! ${problem}`));
+      if (options['dry-run']) {
+        return `Dry run: ${result.changes.length} fix(es) not written to ${options.artifact}`;
+      }
+      if (result.diff) {
+        await writeFileAtomic(result.path, result.content);
+      }
+    }
+    const diagnostics = await diagnoseArtifact(projectRoot, options.artifact, options.type);
+    const heading = `Validation failed for ${options.type} at ${options.artifact}`;
+    throwIfErrors(heading, diagnostics.filter(diagnostic => diagnostic.severity === 'error').map(formatDiagnostic), diagnostics);
+    diagnostics.forEach(diagnostic => log(`  ! ${formatDiagnostic(diagnostic)}`));
+    return { message: `${options.artifact} is a valid ${options.type} (${id})`, diagnostics };
+  }
+
+  if (options.lint !== undefined) {
+    if (typeof options.lint !== 'string') {
+      throw new Error('--lint requires a file path (e.g., --lint=.planning/ROADMAP.md [--fix])');
+    }
+    const { errors, fixed } = await lintArtifact(projectRoot, options.lint, { fix: Boolean(options.fix) });
+    if (fixed > 0) {
+      log(`Fixed ${fixed} lint error(s) in ${options.lint}`);
+    }
+    const diagnostics = lintDiagnostics(errors, options.lint);
+    throwIfErrors(`Lint failed for ${options.lint}`, diagnostics.map(formatDiagnostic), diagnostics);
+    return `${options.lint} passes markdownlint`;
+  }
+
+  switch (options.check) {
+    case 'artifacts': {
+      const phase = parsePhaseOption(options.phase, false);
+      const errors = [];
+      const diagnostics = [];
+      for (const artifact of CORE_ARTIFACTS) {
+        try {
+          await validateArtifact(projectRoot, artifact.filePath, artifact.type);
+        } catch (error) {
+          errors.push(error.message);
+          diagnostics.push(...diagnosticsFromError(error, artifact.filePath));
+        }
+      }
+      if (phase !== null) {
+        const missing = await diagnosePhaseSummaries(projectRoot, phase);
+        errors.push(...missing.map(formatDiagnostic));
+        diagnostics.push(...missing);
+      }
+      throwIfErrors('Artifact validation failed', errors, diagnostics);
+      return `Artifacts valid (${CORE_ARTIFACTS.length} core artifacts${phase !== null ? `, phase ${phase} plans summarized` : ''})`;
+    }
+
+    case 'requirements': {
+      const phase = parsePhaseOption(options.phase, false);
+      const errors = [];
+      const diagnostics = [];
+      let coverage = null;
+      try {
+        coverage = await validateRequirementCoverage(projectRoot);
+      } catch (error) {
+        errors.push(error.message);
+        diagnostics.push(...diagnosticsFromError(error, '.planning/REQUIREMENTS.md'));
+      }
+      if (phase !== null) {
+        const undefinedIds = await diagnosePhaseRequirements(projectRoot, phase);
+        errors.push(...undefinedIds.map(formatDiagnostic));
+        diagnostics.push(...undefinedIds);
+      }
+      throwIfErrors('Requirements validation failed', errors, diagnostics);
+      return `Requirements coverage ${coverage.percentage}% (${coverage.traced}/${coverage.total})`;
+    }
+
+    case 'success-criteria': {
+      const phase = parsePhaseOption(options.phase, true);
+      const report = await evaluatePhaseCriteria(projectRoot, phase);
+      if (!report.items.some(item => item.source === 'ROADMAP.md')) {
+        throw new Error(`Phase ${phase} has no **Success Criteria:** list in ROADMAP.md`);
+      }
+      log(formatCriteriaReport(report));
+      throwIfErrors(`Phase ${phase} success criteria failed`, [
+        ...report.items.filter(item => item.status === 'failed').map(item => item.description),
+        ...report.errors.map(err => `${err.file}:${err.line}: ${err.message}`)
+      ], await diagnoseCriteria(projectRoot, report));
+      return `Phase ${phase}: ${report.automated.passed} success criteria passed automatically, ` +
+        `${report.manual} require manual verification`;
+    }
+
+    case 'sections': {
+      if (typeof options.file !== 'string' || typeof options.required !== 'string') {
+        throw new Error('--check=sections requires --file=PATH and --required="Section A,Section B"');
+      }
+      const absolutePath = path.isAbsolute(options.file) ? options.file : path.join(projectRoot, options.file);
+      const content = await readFile(absolutePath);
+      const required = options.required.split(',').map(section => section.trim()).filter(Boolean);
+      const diagnostics = diagnoseSections(content, required, options.file);
+      throwIfErrors(`Section validation failed for ${options.file}`, diagnostics.map(formatDiagnostic), diagnostics);
+      return `${options.file} has all ${required.length} required sections`;
+    }
+
+    case 'traceability': {
+      const coverage = await validateRequirementCoverage(projectRoot);
+      return `Traceability complete: ${coverage.traced}/${coverage.total} requirements mapped (${coverage.percentage}%)`;
+    }
+
+    case 'consistency': {
+      const { warnings } = await validateConsistency(projectRoot);
+      warnings.forEach(warning => log(`  ! ${formatDiagnostic(warning)}`));
+      return {
+        message: `STATE, ROADMAP.md, REQUIREMENTS.md and phase directories agree (${warnings.length} warning(s))`,
+        diagnostics: warnings
+      };
+    }
+
+    default:
+      throw new Error(
+        'Usage: node gsd/scripts/validator.js [--root=DIR] ' +
+        '--check=artifacts|requirements|success-criteria|sections|traceability|consistency [--phase=N]\n' +
+        '       node gsd/scripts/validator.js --schema=config --file=gsd/.gsd-config.json\n' +
+        '       node gsd/scripts/validator.js --artifact=PATH --type=ARTIFACT|SCHEMA_ID (e.g., PLAN or gsd-plan-v1) [--fix [--dry-run]]\n' +
+        '       node gsd/scripts/validator.js --lint=PATH [--fix]\n' +
+        '       add --format=json|sarif to any check for structured diagnostics'
+      );
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  const argv = process.argv.slice(2);
+  const serialize = DIAGNOSTIC_FORMATS[parseArgs(argv).options.format];
+  main(argv).then(
+    result => {
+      // Checks that pass with warnings return { message, diagnostics }
+      const { message, diagnostics = [] } = typeof result === 'string' ? { message: result } : result;
+      console.log(serialize ? serialize(diagnostics) : `✓ ${message}`);
+    },
+    error => {
+      if (serialize) {
+        console.log(serialize(diagnosticsFromError(error)));
+      } else {
+        console.error(`✗ ${error.message}`);
+      }
+      process.exitCode = 1;
+    }
+  );
+}
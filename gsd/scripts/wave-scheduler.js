@@ -0,0 +1,286 @@
+/**
+ * Wave Scheduler Module
+ * Orders a phase's plans into execution waves from their depends_on graph
+ *
+ * Critical patterns:
+ * - Plans form a DAG: depends_on edges point at plans that must finish first
+ * - Cycles and references to nonexistent plans are errors (accumulated, never guessed around)
+ * - Waves are computed from the graph (wave = 1 + deepest dependency's wave), not trusted from frontmatter
+ * - A plan is complete when its NN-MM-SUMMARY.md exists (execute-phase writes it last)
+ * - Next runnable plan: lowest wave, then lowest plan number, among incomplete plans whose dependencies are complete
+ *
+ * CLI usage:
+ * - node gsd/scripts/wave-scheduler.js              (waves for the current phase)
+ * - node gsd/scripts/wave-scheduler.js --phase=2
+ * - node gsd/scripts/wave-scheduler.js --next       (next runnable plan)
+ */
+
+import { loadPlans } from './plan-parser.js';
+import { readState } from './state-manager.js';
+import { fileExists } from './file-ops.js';
+import { parsePhase, comparePhases } from './phase-numbers.js';
+import { parseArgs, isMainModule } from './cli-args.js';
+import path from 'node:path';
+
+/**
+ * Build the dependency graph for a set of plans
+ * Dependencies on plans outside the set are resolved against knownPlans and do not affect waves
+ *
+ * @param {Array<Object>} plans - Plans to schedule (from plan-parser)
+ * @param {Array<Object>} [knownPlans] - All plans that may be referenced (default: plans)
+ * @returns {{nodes: Map<string, Object>, edges: Map<string, string[]>, external: Map<string, string[]>, errors: string[]}}
+ *   edges maps plan id to its in-set dependencies; external maps plan id to dependencies in other phases
+ */
+export function buildPlanGraph(plans, knownPlans = plans) {
+  const nodes = new Map(plans.map(plan => [plan.id, plan]));
+  const known = new Map(knownPlans.map(plan => [plan.id, plan]));
+  const edges = new Map();
+  const external = new Map();
+  const errors = [];
+
+  for (const plan of plans) {
+    edges.set(plan.id, []);
+    external.set(plan.id, []);
+
+    for (const dependency of plan.dependsOn) {
+      if (dependency === plan.id) {
+        errors.push(`Plan ${plan.id} depends on itself. Fix: remove ${dependency} from depends_on in ${plan.file}`);
+      } else if (nodes.has(dependency)) {
+        edges.get(plan.id).push(dependency);
+      } else if (known.has(dependency)) {
+        if (comparePhases(known.get(dependency).phase, plan.phase) > 0) {
+          errors.push(`Plan ${plan.id} depends on ${dependency} from a later phase. Fix: move the dependency or the plan`);
+        } else {
+          external.get(plan.id).push(dependency);
+        }
+      } else {
+        errors.push(
+          `Plan ${plan.id} depends on nonexistent plan ${dependency}. ` +
+          `Fix: create ${dependency}-PLAN.md or correct depends_on in ${plan.file}`
+        );
+      }
+    }
+  }
+
+  return { nodes, edges, external, errors };
+}
+
+/**
+ * Find dependency cycles in a plan graph
+ *
+ * @param {Map<string, string[]>} edges - Plan id to dependency ids
+ * @returns {string[][]} Cycles as id paths, first id repeated at the end (e.g., ['03-01', '03-02', '03-01'])
+ */
+export function detectCycles(edges) {
+  const cycles = [];
+  const visiting = [];
+  const done = new Set();
+
+  const visit = id => {
+    if (done.has(id)) {
+      return;
+    }
+    const index = visiting.indexOf(id);
+    if (index !== -1) {
+      cycles.push([...visiting.slice(index), id]);
+      return;
+    }
+    visiting.push(id);
+    for (const dependency of edges.get(id) || []) {
+      visit(dependency);
+    }
+    visiting.pop();
+    done.add(id);
+  };
+
+  for (const id of [...edges.keys()].sort()) {
+    visit(id);
+  }
+
+  return cycles;
+}
+
+/**
+ * Group plans into waves
+ * Wave 1 has no in-phase dependencies; every other plan runs one wave after its latest dependency
+ *
+ * @param {Map<string, string[]>} edges - Plan id to dependency ids (must be acyclic)
+ * @returns {string[][]} Waves of plan ids, each wave sorted by id
+ */
+export function computeWaves(edges) {
+  const waveOf = new Map();
+
+  const resolve = id => {
+    if (!waveOf.has(id)) {
+      const dependencies = edges.get(id) || [];
+      waveOf.set(id, dependencies.length === 0 ? 1 : 1 + Math.max(...dependencies.map(resolve)));
+    }
+    return waveOf.get(id);
+  };
+
+  const waves = [];
+  for (const id of [...edges.keys()].sort()) {
+    const wave = resolve(id);
+    (waves[wave - 1] = waves[wave - 1] || []).push(id);
+  }
+
+  return waves.map(wave => wave.sort());
+}
+
+/**
+ * Check whether a plan has been completed (its SUMMARY exists)
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {Object} plan - Plan from plan-parser
+ * @returns {Promise<boolean>} True if NN-MM-SUMMARY.md exists next to the plan
+ */
+export async function isPlanComplete(projectRoot, plan) {
+  return fileExists(path.join(projectRoot, plan.file.replace(/-PLAN\.md$/, '-SUMMARY.md')));
+}
+
+/**
+ * Build the execution schedule for a phase
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {number} phase - Phase number
+ * @returns {Promise<Object>} Schedule: { phase, waves: string[][], plans: Array<{id, plan, wave, dependsOn, complete, runnable, file}> }
+ *   plans ordered by wave then plan number
+ * @throws {Error} If plans are malformed, reference nonexistent plans, or form a cycle (all issues listed)
+ */
+export async function schedulePhase(projectRoot, phase) {
+  const { plans: allPlans, errors: parseErrors } = await loadPlans(projectRoot);
+  const plans = allPlans.filter(plan => plan.phase === phase);
+  const planFiles = new Set(plans.map(plan => plan.file));
+
+  const errors = parseErrors
+    .filter(error => planFiles.has(error.file))
+    .map(error => `${error.file}:${error.line}: ${error.message}`);
+
+  const graph = buildPlanGraph(plans, allPlans);
+  errors.push(...graph.errors);
+
+  for (const cycle of detectCycles(graph.edges)) {
+    errors.push(`Dependency cycle: ${cycle.join(' → ')}. Fix: remove one depends_on entry in the cycle`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Cannot schedule Phase ${phase}:\n${errors.map((err, i) => `  ${i + 1}. ${err}`).join('\n')}`);
+  }
+
+  const waves = computeWaves(graph.edges);
+  const externalIds = new Set([...graph.external.values()].flat());
+  const complete = new Map();
+  for (const plan of allPlans) {
+    if (planFiles.has(plan.file) || externalIds.has(plan.id)) {
+      complete.set(plan.id, await isPlanComplete(projectRoot, plan));
+    }
+  }
+
+  const scheduled = [];
+  waves.forEach((ids, index) => {
+    for (const id of ids) {
+      const plan = graph.nodes.get(id);
+      const dependencies = [...graph.edges.get(id), ...graph.external.get(id)];
+      scheduled.push({
+        id,
+        plan: plan.plan,
+        wave: index + 1,
+        dependsOn: plan.dependsOn,
+        complete: complete.get(id),
+        runnable: !complete.get(id) && dependencies.every(dependency => complete.get(dependency)),
+        file: plan.file
+      });
+    }
+  });
+
+  scheduled.sort((a, b) => a.wave - b.wave || a.plan - b.plan);
+  return { phase, waves, plans: scheduled };
+}
+
+/**
+ * Select the next plan to execute from a phase schedule
+ *
+ * @param {Object} schedule - Schedule from schedulePhase()
+ * @returns {Object|null} Next runnable plan, or null if the phase has no plans or all of them are complete
+ * @throws {Error} If incomplete plans are all blocked by plans from other phases
+ */
+export function selectNextPlan(schedule) {
+  const next = schedule.plans.find(plan => plan.runnable);
+  if (next) {
+    return next;
+  }
+
+  const blocked = schedule.plans.filter(plan => !plan.complete);
+  if (blocked.length > 0) {
+    throw new Error(
+      `No runnable plan in Phase ${schedule.phase}: ${blocked.map(plan => plan.id).join(', ')} ` +
+      'wait on incomplete plans from other phases. Complete those plans (write their SUMMARY.md) first.'
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Find the next plan to execute
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {number} [phase] - Phase to schedule (default: current phase from state)
+ * @returns {Promise<Object|null>} Next runnable plan ({id, plan, wave, dependsOn, complete, runnable, file}),
+ *   or null if the phase has no plans or all of them are complete
+ * @throws {Error} If the phase's plans cannot be scheduled, or incomplete plans are blocked by other phases
+ */
+export async function nextRunnablePlan(projectRoot, phase) {
+  const targetPhase = phase === undefined ? (await readState(projectRoot)).phase : phase;
+  return selectNextPlan(await schedulePhase(projectRoot, targetPhase));
+}
+
+/**
+ * CLI entry point
+ * Prints the wave schedule for a phase, or the next runnable plan with --next
+ *
+ * @param {string[]} argv - Command-line arguments
+ * @returns {Promise<void>}
+ * @throws {Error} If the phase cannot be scheduled
+ */
+async function main(argv) {
+  const { options } = parseArgs(argv);
+  const projectRoot = typeof options.root === 'string' ? options.root : process.cwd();
+
+  let phase;
+  if (options.phase !== undefined) {
+    phase = parsePhase(options.phase);
+    if (phase === null) {
+      throw new Error(`Invalid --phase value: ${options.phase}. Expected a phase number (e.g., 2 or 2.1).`);
+    }
+  } else {
+    phase = (await readState(projectRoot)).phase;
+  }
+
+  if (options.next) {
+    const next = await nextRunnablePlan(projectRoot, phase);
+    console.log(next ? `${next.id} (wave ${next.wave}) ${next.file}` : `All plans in Phase ${phase} complete.`);
+    return;
+  }
+
+  const schedule = await schedulePhase(projectRoot, phase);
+  if (schedule.plans.length === 0) {
+    console.log(`Phase ${phase} has no plans yet.`);
+    return;
+  }
+
+  schedule.waves.forEach((ids, index) => {
+    const labels = ids.map(id => {
+      const plan = schedule.plans.find(candidate => candidate.id === id);
+      return `${id}${plan.complete ? ' ✓' : plan.runnable ? ' (ready)' : ''}`;
+    });
+    console.log(`Wave ${index + 1}: ${labels.join(', ')}`);
+  });
+}
+
+if (isMainModule(import.meta.url)) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
@@ -7,34 +7,98 @@
  * - Blocks invalid phase transitions (don't warn - block)
  * - Validates artifacts before phase transitions (validation gates)
  * - Accumulates errors before throwing (show all issues at once)
+ * - Moving backward only through reopenPhase() (reason required, logged to Key Decisions)
+ * - Plan to execute chosen by wave-scheduler.js from the phase's depends_on graph
+ * - verifyPhase() writes NN-VERIFICATION.md and records the verdict; transitionPhase() requires a passed verdict
+ * - Success criteria with `verify:` checks evaluated by success-criteria.js; the rest await human confirmation
+ * - State changes journaled under the orchestrator operation that caused them
+ *
+ * CLI usage:
+ * - node gsd/scripts/workflow-orchestrator.js --verify=2                   (verify Phase 2)
+ * - node gsd/scripts/workflow-orchestrator.js --verify=2 --approve-manual  (user confirmed the manual criteria)
+ * - node gsd/scripts/workflow-orchestrator.js --transition=3               (move on once Phase 2 verified)
+ * - node gsd/scripts/workflow-orchestrator.js --reopen=2 --reason="Auth tokens not persisted"
  */
 
-import { readState, writeState, updateProgress, transitionPhase as stateTransition, STATUS_VALUES } from './state-manager.js';
+import {
+  readState,
+  initState,
+  updateProgress,
+  transitionPhase as stateTransition,
+  generateProgressIndicator,
+  STATUS_VALUES
+} from './state-manager.js';
+import { loadStateDocument, saveStateDocument } from './state-store.js';
 import { loadGuideline } from './guideline-loader.js';
-import { validateArtifact, validateRequirementCoverage } from './validator.js';
+import {
+  validateArtifact,
+  validateRequirementCoverage,
+  checkPhaseSummaries,
+  checkPhaseRequirements,
+  diagnoseConsistency,
+  CORE_ARTIFACTS
+} from './validator.js';
 import { checkWorkflowConflict } from './trigger-detector.js';
+import { getPhaseNumbers, getPhase } from './roadmap-parser.js';
+import { listPhaseDirs, formatPlanErrors } from './plan-parser.js';
+import { evaluatePhaseCriteria } from './success-criteria.js';
+import { renderTemplate } from './template-renderer.js';
+import { writeFileAtomic } from './file-ops.js';
+import { schedulePhase, selectNextPlan } from './wave-scheduler.js';
+import { isValidPhase, getNextPhase, parsePhase, comparePhases, toPhaseList, formatPhasePrefix } from './phase-numbers.js';
+import { parseArgs, isMainModule } from './cli-args.js';
 import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Actor name recorded in the workflow journal for orchestrator state changes
+ */
+const ORCHESTRATOR_ACTOR = 'workflow-orchestrator';
+
+/**
+ * Default templates directory (gsd/templates, relative to this script)
+ */
+const DEFAULT_TEMPLATES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'templates');
 
 /**
  * Validate phase transition is valid (blocks invalid jumps)
+ * Inserted decimal phases are part of the sequence: 2 → 2.1 → 3
+ *
  * @param {Object} state - Current state from STATE.md
  * @param {number} targetPhase - Phase to transition to
+ * @param {number|number[]} [roadmapPhases] - Roadmap phase numbers, or a phase count for phases 1..N
+ *   (blocks transitions to phases the roadmap does not define)
  * @returns {boolean} True if valid
  * @throws {Error} If transition is invalid
  */
-export function validatePhaseTransition(state, targetPhase) {
+export function validatePhaseTransition(state, targetPhase, roadmapPhases) {
+  const phases = toPhaseList(roadmapPhases);
+
+  if (!isValidPhase(targetPhase)) {
+    throw new Error(`Invalid transition: ${targetPhase} is not a phase number (e.g., 3 or 2.1).`);
+  }
+
+  // Cannot move to a phase the roadmap does not define
+  if (phases && !phases.includes(targetPhase)) {
+    throw new Error(
+      `Invalid transition: Phase ${targetPhase} does not exist. ROADMAP.md defines ${phases.length} phases.`
+    );
+  }
+
   // Cannot skip phases (must be sequential)
-  if (targetPhase > state.phase + 1) {
+  const nextPhase = getNextPhase(state.phase, phases);
+  if (targetPhase > state.phase && (nextPhase === null || targetPhase > nextPhase)) {
     throw new Error(
       `Invalid transition: Phase ${state.phase} to Phase ${targetPhase}. ` +
-      `Complete Phase ${state.phase + 1} first.`
+      `Complete Phase ${nextPhase} first.`
     );
   }
 
   // Cannot move backward
   if (targetPhase < state.phase) {
     throw new Error(
-      `Cannot move backward from Phase ${state.phase} to Phase ${targetPhase}`
+      `Cannot move backward from Phase ${state.phase} to Phase ${targetPhase}. ` +
+      `Use reopenPhase() with a reason to rework a completed phase.`
     );
   }
 
@@ -62,13 +126,17 @@ export async function validatePhaseCompletion(projectRoot, phaseNumber, required
   }
 
   // If this is the final phase, validate requirement coverage
-  // Assume 4 phases based on ROADMAP.md
-  if (phaseNumber === 4) {
-    try {
-      await validateRequirementCoverage(projectRoot);
-    } catch (error) {
-      errors.push(`Requirement coverage: ${error.message}`);
+  try {
+    const phases = await getPhaseNumbers(projectRoot);
+    if (phaseNumber === phases[phases.length - 1]) {
+      try {
+        await validateRequirementCoverage(projectRoot);
+      } catch (error) {
+        errors.push(`Requirement coverage: ${error.message}`);
+      }
     }
+  } catch (error) {
+    errors.push(`Roadmap: ${error.message}`);
   }
 
   // If any errors, throw with all accumulated errors
@@ -108,20 +176,13 @@ export async function startWorkflow(projectRoot, userConfirmation) {
   // Load newProject guideline
   const guidelineContent = await loadGuideline('newProject');
 
-  // Initialize STATE.md with phase 0
-  const statePath = path.join(projectRoot, '.planning', 'STATE.md');
-
-  // Create initial state data
-  const initialState = {
-    phase: 0,
-    plan: 0,
-    status: STATUS_VALUES.PENDING,
+  // Initialize STATE.md from template (conflict check above guarantees no active workflow)
+  await initState(projectRoot, {
     step: 'Initialization',
-    progressIndicator: '░░░░ (0% - Phase 0 of 4)'
-  };
-
-  // Write initial state
-  await writeState(projectRoot, initialState);
+    force: true,
+    operation: 'startWorkflow',
+    actor: ORCHESTRATOR_ACTOR
+  });
 
   return {
     guideline: guidelineContent,
@@ -132,21 +193,34 @@ export async function startWorkflow(projectRoot, userConfirmation) {
 /**
  * Execute single phase
  * Returns guideline for Tabnine to follow (no sub-agent spawning)
+ * The plan recorded in state is the next runnable plan in wave order; a phase without plans loads the planning guideline
  *
  * @param {string} projectRoot - Root directory of the project
  * @param {number} phaseNumber - Phase number to execute
- * @returns {Promise<Object>} Result: { guideline, phase, status }
- * @throws {Error} If phase transition is invalid
+ * @returns {Promise<Object>} Result: { guideline, phase, status, plan } (plan is null while the phase is unplanned)
+ * @throws {Error} If phase transition is invalid, plans cannot be scheduled, or every plan is already complete
  */
 export async function executePhase(projectRoot, phaseNumber) {
   // Load current state
   const state = await readState(projectRoot);
 
   // Validate phase transition is valid
-  validatePhaseTransition(state, phaseNumber);
+  const phases = await getPhaseNumbers(projectRoot);
+  validatePhaseTransition(state, phaseNumber, phases);
+
+  // Pick the next plan from the dependency graph (throws on cycles or missing plans)
+  const schedule = await schedulePhase(projectRoot, phaseNumber);
+  const nextPlan = selectNextPlan(schedule);
+
+  if (schedule.plans.length > 0 && !nextPlan) {
+    throw new Error(
+      `All ${schedule.plans.length} plans in Phase ${phaseNumber} are complete. ` +
+      `Verify Phase ${phaseNumber}, then transition to the next phase.`
+    );
+  }
 
-  // Determine guideline type based on state
-  const guidelineType = state.status === 'completed' ? 'planPhase' : 'executePhase';
+  // Unplanned phase: plan it first
+  const guidelineType = nextPlan ? 'executePhase' : 'planPhase';
 
   // Load guideline
   const guidelineContent = await loadGuideline(guidelineType);
@@ -154,15 +228,18 @@ export async function executePhase(projectRoot, phaseNumber) {
   // Update state to in_progress
   await updateProgress(projectRoot, {
     phase: phaseNumber,
-    plan: state.plan || 1,
+    plan: nextPlan ? nextPlan.plan : 1,
     status: STATUS_VALUES.IN_PROGRESS,
-    step: `Executing phase ${phaseNumber}`
-  });
+    step: nextPlan
+      ? `Executing plan ${nextPlan.id} (wave ${nextPlan.wave})`
+      : `Planning phase ${phaseNumber}`
+  }, { operation: 'executePhase', actor: ORCHESTRATOR_ACTOR });
 
   return {
     guideline: guidelineContent,
     phase: phaseNumber,
-    status: 'in_progress'
+    status: 'in_progress',
+    plan: nextPlan
   };
 }
 
@@ -173,21 +250,53 @@ export async function executePhase(projectRoot, phaseNumber) {
  * @param {number} toPhase - Next phase number
  * @param {string} completionNote - Completion note for state
  * @returns {Promise<Object>} Result: { transitioned: true, from, to }
- * @throws {Error} If validation fails
+ * @throws {Error} If the target phase is unknown or fromPhase has no passed verification
  */
 export async function transitionPhase(projectRoot, fromPhase, toPhase, completionNote) {
   // Note: Validation should be done before calling this function
-  // This function assumes validation has already passed
+  // This function assumes validation has already passed, and only enforces the verification gate
+  // and cross-artifact consistency (STATE, ROADMAP.md, REQUIREMENTS.md, phase directories)
+
+  // Use state-manager's transitionPhase function with the roadmap's phase list
+  const phases = await getPhaseNumbers(projectRoot);
+  const document = await loadStateDocument(projectRoot);
+  const verification = (document.verifications || []).find(v => v.phase === fromPhase);
+  const errors = [];
 
-  // Use state-manager's transitionPhase function
-  // Assume 4 total phases from ROADMAP.md
-  await stateTransition(projectRoot, toPhase, 4);
+  if (!phases.includes(toPhase)) {
+    errors.push(`ROADMAP.md defines phases ${phases.join(', ')}; Phase ${toPhase} is not one of them.`);
+  }
+  if (!verification) {
+    errors.push(
+      `Phase ${fromPhase} has not been verified. ` +
+      `Run: node gsd/scripts/workflow-orchestrator.js --verify=${fromPhase}`
+    );
+  } else if (verification.status !== 'passed') {
+    errors.push(
+      `Phase ${fromPhase} verification ${verification.status} (${verification.score}). ` +
+      `See ${verification.report}` +
+      (verification.status === 'human_needed'
+        ? `, then run: node gsd/scripts/workflow-orchestrator.js --verify=${fromPhase} --approve-manual`
+        : ', fix the failed items and verify again')
+    );
+  }
+  const contradictions = (await diagnoseConsistency(projectRoot)).filter(diagnostic => diagnostic.severity === 'error');
+  errors.push(...contradictions.map(diagnostic =>
+    `${diagnostic.file}:${diagnostic.line}: ${diagnostic.message}. Fix: ${diagnostic.fix}`));
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Cannot transition from Phase ${fromPhase} to Phase ${toPhase}:\n\n` +
+      errors.map((err, i) => `${i + 1}. ${err}`).join('\n')
+    );
+  }
+  await stateTransition(projectRoot, toPhase, phases.length, { actor: ORCHESTRATOR_ACTOR });
 
   // Update completion note
   await updateProgress(projectRoot, {
     status: STATUS_VALUES.PENDING,
     step: completionNote || `Phase ${fromPhase} complete. Ready for Phase ${toPhase}.`
-  });
+  }, { operation: 'transitionPhase', actor: ORCHESTRATOR_ACTOR });
 
   return {
     transitioned: true,
@@ -195,3 +304,346 @@ export async function transitionPhase(projectRoot, fromPhase, toPhase, completio
     to: toPhase
   };
 }
+
+/**
+ * Extract the remediation from a validation message ("... Fix: <command>")
+ * @param {string} message - Validation error message
+ * @param {string} fallback - Remediation when the message has none
+ * @returns {string} Remediation text
+ */
+function extractRemediation(message, fallback) {
+  const match = message.match(/Fix:\s*([^\n]+)/);
+  return match ? match[1].trim() : fallback;
+}
+
+/**
+ * Run the checks behind a phase verification
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {number} phase - Phase number
+ * @param {Object} roadmapPhase - Phase from ROADMAP.md (goal, successCriteria)
+ * @param {boolean} approveManual - User confirmed the manual success criteria
+ * @returns {Promise<Array<Object>>} Items: { category, check, status: 'passed'|'failed'|'manual', detail, remediation }
+ */
+async function runVerificationChecks(projectRoot, phase, roadmapPhase, approveManual) {
+  const items = [];
+  const record = (category, check, error, passedDetail, fallback) => {
+    items.push(error
+      ? { category, check, status: 'failed', detail: error, remediation: extractRemediation(error, fallback) }
+      : { category, check, status: 'passed', detail: passedDetail, remediation: '' });
+  };
+
+  // Artifacts: core planning documents and one SUMMARY per plan
+  for (const artifact of CORE_ARTIFACTS) {
+    let error = null;
+    try {
+      await validateArtifact(projectRoot, artifact.filePath, artifact.type);
+    } catch (err) {
+      error = err.message;
+    }
+    record('artifacts', artifact.filePath, error, 'Structure valid', `Restore the required sections in ${artifact.filePath}`);
+  }
+  const summaryErrors = await checkPhaseSummaries(projectRoot, phase);
+  record('artifacts', `Phase ${phase} plan summaries`, summaryErrors.join('\n') || null,
+    'Every plan has a SUMMARY', 'node gsd/scripts/plan-summary.js --plan=NN-MM');
+
+  // Requirements: global traceability and the phase's own mapping
+  let coverage = null;
+  let coverageError = null;
+  try {
+    coverage = await validateRequirementCoverage(projectRoot);
+  } catch (err) {
+    coverageError = err.message;
+  }
+  record('requirements', 'Requirement coverage', coverageError,
+    coverage ? `${coverage.percentage}% (${coverage.traced}/${coverage.total}) mapped` : '',
+    'Map every requirement to a phase in the ROADMAP.md Traceability section');
+  const requirementErrors = await checkPhaseRequirements(projectRoot, phase);
+  record('requirements', `Phase ${phase} requirement mapping`, requirementErrors.join('\n') || null,
+    `${roadmapPhase.requirements.length} requirement(s) defined in REQUIREMENTS.md`,
+    'Define the mapped requirement IDs in REQUIREMENTS.md or fix the phase mapping in ROADMAP.md');
+
+  // Success criteria from ROADMAP.md and plans: inline `verify:` checks run automatically, the rest need a human
+  if (roadmapPhase.successCriteria.length === 0) {
+    record('success-criteria', `Phase ${phase} success criteria`,
+      `Phase ${phase} has no **Success Criteria:** list in ROADMAP.md`, '',
+      `Add a **Success Criteria:** list under Phase ${phase} in ROADMAP.md`);
+  }
+  const criteria = await evaluatePhaseCriteria(projectRoot, phase);
+  if (criteria.errors.length > 0) {
+    record('success-criteria', `Phase ${phase} plan criteria`, formatPlanErrors(criteria.errors), '',
+      'Fix the malformed PLAN.md files so their success criteria can be evaluated');
+  }
+  for (const item of criteria.items) {
+    const check = item.source === 'ROADMAP.md' ? item.description : `${item.description} (${item.source})`;
+    if (item.status === 'manual') {
+      items.push(approveManual
+        ? { category: 'success-criteria', check, status: 'passed', detail: 'Confirmed by user', remediation: '' }
+        : { category: 'success-criteria', check, status: 'manual', detail: 'Needs human confirmation', remediation: '' });
+    } else {
+      const failures = [
+        ...item.errors,
+        ...item.results.filter(result => !result.passed).map(result => `${result.check}: ${result.detail.split('\n')[0]}`)
+      ];
+      record('success-criteria', check, failures.join('\n') || null,
+        item.results.map(result => result.detail).join('; '),
+        `Make the \`verify:\` checks pass or correct them in ${item.source}`);
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Verify a phase (verify-work workflow)
+ * Runs artifact, requirement and success-criteria checks, writes NN-VERIFICATION.md with
+ * passed/failed items and remediation, and records the verdict in state (gates transitionPhase)
+ *
+ * Verdicts: 'failed' if any check failed, 'human_needed' if success criteria await confirmation, else 'passed'
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {number} phase - Phase number to verify
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.approveManual] - User confirmed the manual success criteria
+ * @param {string} [options.templatesDir] - Templates directory (default: gsd/templates)
+ * @returns {Promise<Object>} Result: { phase, status, score, items, report }
+ * @throws {Error} If the phase is not in ROADMAP.md or has no phase directory
+ */
+export async function verifyPhase(projectRoot, phase, options = {}) {
+  const errors = [];
+  const roadmapPhase = isValidPhase(phase) ? await getPhase(projectRoot, phase) : null;
+  const phaseDir = (await listPhaseDirs(projectRoot)).find(dir => dir.phase === phase);
+
+  if (!roadmapPhase) {
+    errors.push(`Phase ${phase} not found in ROADMAP.md`);
+  }
+  if (!phaseDir) {
+    errors.push(`Phase directory not found: .planning/phases/${formatPhasePrefix(phase)}-*. Plan the phase first.`);
+  }
+  if (errors.length > 0) {
+    throw new Error(
+      `Cannot verify Phase ${phase}:\n\n` +
+      errors.map((err, i) => `${i + 1}. ${err}`).join('\n')
+    );
+  }
+
+  const items = await runVerificationChecks(projectRoot, phase, roadmapPhase, Boolean(options.approveManual));
+  const failed = items.filter(item => item.status === 'failed');
+  const manual = items.filter(item => item.status === 'manual');
+  const passed = items.filter(item => item.status === 'passed');
+  const status = failed.length > 0 ? 'failed' : manual.length > 0 ? 'human_needed' : 'passed';
+  const score = `${passed.length}/${items.length} checks passed`;
+  const verified = new Date().toISOString();
+
+  const reportPath = path.join(phaseDir.path, `${formatPhasePrefix(phase)}-VERIFICATION.md`);
+  const report = path.relative(projectRoot, reportPath).split(path.sep).join('/');
+  const document = await loadStateDocument(projectRoot);
+  const previous = (document.verifications || []).find(v => v.phase === phase);
+  const cell = text => String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+  const content = await renderTemplate('VERIFICATION', {
+    phaseName: phaseDir.name,
+    phase,
+    verified,
+    status,
+    statusLabel: status.toUpperCase(),
+    score,
+    reVerification: Boolean(previous) || (document.needsReverification || []).includes(phase),
+    reVerificationNote: previous ? `Yes (previous: ${previous.status}, ${previous.verifiedAt})` : 'No - initial verification',
+    phaseGoal: roadmapPhase.goal || '(not stated in ROADMAP.md)',
+    checkRows: items.map((item, i) =>
+      `| ${i + 1} | ${item.category} | ${cell(item.check)} | ${item.status.toUpperCase()} | ${cell(item.detail)} |`
+    ).join('\n'),
+    failedItems: failed.length > 0
+      ? failed.map((item, i) => `${i + 1}. **${item.check}:** ${cell(item.detail)}\n   - Fix: ${item.remediation}`).join('\n')
+      : 'None',
+    humanItems: manual.length > 0
+      ? manual.map(item => `- [ ] ${item.check}`).join('\n')
+      : 'None',
+    nextSteps: status === 'passed'
+      ? `Phase ${phase} verified. Transition to the next phase.`
+      : status === 'human_needed'
+        ? `Confirm each criterion above, then run: node gsd/scripts/workflow-orchestrator.js --verify=${phase} --approve-manual`
+        : `Fix the failed items, then run: node gsd/scripts/workflow-orchestrator.js --verify=${phase}`
+  }, options.templatesDir || DEFAULT_TEMPLATES_DIR);
+
+  await writeFileAtomic(reportPath, content);
+
+  // Record the verdict; a pass also clears any pending re-verification of this phase
+  document.verifications = [
+    ...(document.verifications || []).filter(v => v.phase !== phase),
+    { phase, status, verifiedAt: verified, score, report }
+  ].sort((a, b) => comparePhases(a.phase, b.phase));
+
+  if (status === 'passed') {
+    document.needsReverification = (document.needsReverification || []).filter(n => n !== phase);
+    for (const todo of document.todos) {
+      if (!todo.done && todo.text.startsWith(`Re-verify Phase ${phase} `)) {
+        todo.done = true;
+      }
+    }
+  }
+  document.step = `Phase ${phase} verification ${status} (${score})`;
+
+  await saveStateDocument(projectRoot, document, { operation: 'verifyPhase', actor: ORCHESTRATOR_ACTOR });
+
+  return { phase, status, score, items, report: reportPath };
+}
+
+/**
+ * Reopen an earlier (or the current completed) phase for rework
+ * Moves state backward deliberately: logs the reason to Key Decisions, marks every
+ * downstream phase up to the current one as needing re-verification, and regenerates progress
+ *
+ * @param {string} projectRoot - Root directory of the project
+ * @param {number} phase - Phase number to reopen
+ * @param {string} reason - Why the phase is reopened (recorded in Key Decisions)
+ * @returns {Promise<Object>} Result: { reopened, from, needsReverification, progressIndicator }
+ * @throws {Error} If the reason is missing or the phase cannot be reopened
+ */
+export async function reopenPhase(projectRoot, phase, reason) {
+  const errors = [];
+
+  if (typeof reason !== 'string' || reason.trim() === '') {
+    errors.push('A reason is required to reopen a phase (it is recorded in Key Decisions)');
+  }
+
+  const document = await loadStateDocument(projectRoot);
+  const phases = await getPhaseNumbers(projectRoot);
+
+  if (!phases.includes(phase)) {
+    errors.push(`Phase ${phase} does not exist. ROADMAP.md defines phases ${phases.join(', ')}.`);
+  } else if (phase > document.phase) {
+    errors.push(`Phase ${phase} has not started yet (current phase: ${document.phase}). Nothing to reopen.`);
+  } else if (phase === document.phase && document.status !== STATUS_VALUES.COMPLETED) {
+    errors.push(`Phase ${phase} is still ${document.status}. Only completed phases can be reopened.`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Cannot reopen Phase ${phase}:\n\n` +
+      errors.map((err, i) => `${i + 1}. ${err}`).join('\n')
+    );
+  }
+
+  const fromPhase = document.phase;
+  const date = new Date().toISOString().split('T')[0];
+
+  // Phases after the reopened one that were already worked on must be verified again
+  const downstream = phases.filter(n => n > phase && n <= fromPhase);
+
+  const needsReverification = [...new Set([...(document.needsReverification || []), ...downstream])]
+    .filter(n => n !== phase)
+    .sort(comparePhases);
+
+  for (const n of downstream) {
+    const text = `Re-verify Phase ${n} after Phase ${phase} rework`;
+    if (!document.todos.some(todo => !todo.done && todo.text === text)) {
+      document.todos.push({ text, done: false });
+    }
+  }
+
+  document.decisions.push({
+    decision: `[REOPEN] Phase ${phase} (from Phase ${fromPhase})`,
+    date,
+    rationale: reason.trim()
+  });
+
+  const progressIndicator = generateProgressIndicator(phase, phases.length, phases);
+
+  Object.assign(document, {
+    phase,
+    plan: 0,
+    status: STATUS_VALUES.IN_PROGRESS,
+    step: `Reopened Phase ${phase}: ${reason.trim()}`,
+    progressIndicator,
+    needsReverification,
+    // Verdicts for the reopened phase and everything after it no longer hold
+    verifications: (document.verifications || []).filter(v => v.phase < phase)
+  });
+  document.metrics = {
+    ...document.metrics,
+    totalPhases: phases.length,
+    completedPhases: Math.min(document.metrics.completedPhases, phases.indexOf(phase))
+  };
+
+  await saveStateDocument(projectRoot, document, { operation: 'reopenPhase', actor: ORCHESTRATOR_ACTOR });
+
+  return {
+    reopened: phase,
+    from: fromPhase,
+    needsReverification,
+    progressIndicator
+  };
+}
+
+/**
+ * CLI entry point
+ * Supports --verify=N [--approve-manual], --transition=N [--note=TEXT] and --reopen=N --reason=TEXT
+ *
+ * @param {string[]} argv - Command-line arguments
+ * @returns {Promise<void>}
+ * @throws {Error} If options are invalid or the operation fails
+ */
+async function main(argv) {
+  const { options } = parseArgs(argv);
+  const projectRoot = typeof options.root === 'string' ? options.root : process.cwd();
+
+  if (typeof options.verify === 'string') {
+    const phase = parsePhase(options.verify);
+    if (phase === null) {
+      throw new Error(`Invalid --verify value: ${options.verify}. Expected a phase number (e.g., 2 or 2.1).`);
+    }
+    const result = await verifyPhase(projectRoot, phase, { approveManual: Boolean(options['approve-manual']) });
+    console.log(`Phase ${phase} verification: ${result.status} (${result.score})`);
+    for (const item of result.items.filter(entry => entry.status !== 'passed')) {
+      console.log(`  [${item.status}] ${item.check}${item.remediation ? ` - Fix: ${item.remediation}` : ''}`);
+    }
+    console.log(`Report: ${path.relative(projectRoot, result.report)}`);
+    if (result.status === 'failed') {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (typeof options.transition === 'string') {
+    const toPhase = parsePhase(options.transition);
+    if (toPhase === null) {
+      throw new Error(`Invalid --transition value: ${options.transition}. Expected a phase number (e.g., 3 or 2.1).`);
+    }
+    const state = await readState(projectRoot);
+    if (toPhase === state.phase) {
+      throw new Error(`Already in Phase ${toPhase}. Pass the next phase to --transition.`);
+    }
+    validatePhaseTransition(state, toPhase, await getPhaseNumbers(projectRoot));
+    const note = typeof options.note === 'string' ? options.note : undefined;
+    const result = await transitionPhase(projectRoot, state.phase, toPhase, note);
+    console.log(`Transitioned from Phase ${result.from} to Phase ${result.to}`);
+    return;
+  }
+
+  if (typeof options.reopen === 'string') {
+    const result = await reopenPhase(projectRoot, parsePhase(options.reopen), options.reason);
+    console.log(`Reopened Phase ${result.reopened} (was Phase ${result.from})`);
+    console.log(`Progress: ${result.progressIndicator}`);
+    if (result.needsReverification.length > 0) {
+      console.log(`Phases needing re-verification: ${result.needsReverification.join(', ')}`);
+    }
+    return;
+  }
+
+  console.log(
+    'Usage: node gsd/scripts/workflow-orchestrator.js [--root=DIR] <command>\n\n' +
+    'Commands:\n' +
+    '  --verify=N [--approve-manual]  Verify Phase N and write NN-VERIFICATION.md\n' +
+    '  --transition=N [--note=TEXT]   Move to Phase N (current phase must have a passed verdict)\n' +
+    '  --reopen=N --reason=TEXT       Move back to completed Phase N for rework'
+  );
+}
+
+if (isMainModule(import.meta.url)) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
+}